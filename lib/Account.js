@@ -0,0 +1,296 @@
+module.exports = Account;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var events = require('events');
+var debug = require('debug')('JsSIP:Account');
+var debugerror = require('debug')('JsSIP:ERROR:Account');
+debugerror.log = console.warn.bind(console);
+var Exceptions = require('./Exceptions');
+var Grammar = require('./Grammar');
+var Utils = require('./Utils');
+var UA = require('./UA');
+var Registrator = require('./Registrator');
+
+
+/**
+ * An additional SIP account (AOR and credentials) of the UA.
+ * All the accounts share the UA transport. Each one has its own Contact
+ * (so incoming requests can be routed to it by Request-URI) and its own
+ * Registrator.
+ *
+ * -param {JsSIP.UA} ua
+ * -param {Object} configuration
+ *   - uri {String} (mandatory)
+ *   - authorization_user, password, ha1, realm, credentials, access_token, display_name,
+ *     registrar_server, register_expires, register: as in the UA configuration.
+ *   - id {String}: account identifier (the AOR by default).
+ * -param {Object} contact: Contact of the account.
+ *
+ * -throws {JsSIP.Exceptions.ConfigurationError}
+ */
+function Account(ua, configuration, contact) {
+  debug('new() [configuration:%o]', configuration);
+
+  var parameter, value, checked_value, registrar_server,
+  settings = {
+    uri: null,
+    authorization_user: null,
+    password: null,
+    ha1: null,
+    realm: null,
+    credentials: null,
+    access_token: null,
+    display_name: null,
+    registrar_server: null,
+    register_expires: ua.configuration.register_expires,
+    register: true
+  };
+
+  this.ua = ua;
+  this.contact = contact;
+
+  this.cache = {
+    credentials: {},
+    access_token: null
+  };
+
+  // Custom account empty object for high level use
+  this.data = {};
+
+  configuration = configuration || {};
+
+  // Check Mandatory parameters
+  if (!configuration.hasOwnProperty('uri')) {
+    throw new Exceptions.ConfigurationError('uri');
+  }
+
+  settings.uri = UA.configuration_check.mandatory.uri.call(ua, configuration.uri);
+  if (!settings.uri) {
+    throw new Exceptions.ConfigurationError('uri', configuration.uri);
+  }
+
+  // Check Optional parameters
+  for (parameter in settings) {
+    if (parameter === 'uri' || !configuration.hasOwnProperty(parameter)) {
+      continue;
+    }
+
+    value = configuration[parameter];
+
+    // If the parameter value is empty, then apply its default value.
+    if (Utils.isEmpty(value)) {
+      continue;
+    }
+
+    checked_value = UA.configuration_check.optional[parameter].call(ua, value);
+
+    if (checked_value === undefined) {
+      throw new Exceptions.ConfigurationError(parameter, value);
+    }
+
+    settings[parameter] = checked_value;
+  }
+
+  // Sanity Checks
+
+  // Authorization user defaults to the 'uri' user.
+  if (!settings.authorization_user) {
+    settings.authorization_user = settings.uri.user;
+  }
+
+  // If no 'registrar_server' is set use the 'uri' value without user portion and
+  // without URI params/headers.
+  if (!settings.registrar_server) {
+    registrar_server = settings.uri.clone();
+    registrar_server.user = null;
+    registrar_server.clearParams();
+    registrar_server.clearHeaders();
+    settings.registrar_server = registrar_server;
+  }
+
+  this.configuration = settings;
+  this.id = configuration.id ? String(configuration.id) : settings.uri.toAor();
+
+  this._registrator = new Registrator(ua, null, this);
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Account, events.EventEmitter);
+
+
+/**
+ * Register the account.
+ */
+Account.prototype.register = function() {
+  debug('register() [id:%s]', this.id);
+
+  this.configuration.register = true;
+  this._registrator.register();
+};
+
+/**
+ * Unregister the account.
+ */
+Account.prototype.unregister = function(options) {
+  debug('unregister() [id:%s]', this.id);
+
+  this.configuration.register = false;
+  this._registrator.unregister(options);
+};
+
+/**
+ * Get the Registrator instance.
+ */
+Account.prototype.registrator = function() {
+  return this._registrator;
+};
+
+/**
+ * Registration state.
+ */
+Account.prototype.isRegistered = function() {
+  return !!this._registrator.registered;
+};
+
+/**
+ * Allow retrieving credentials in runtime.
+ */
+Account.prototype.get = function(parameter) {
+  switch(parameter) {
+    case 'realm':
+      return this.configuration.realm;
+
+    case 'ha1':
+      return this.configuration.ha1;
+
+    default:
+      debugerror('get() | cannot get "%s" parameter in runtime', parameter);
+      return undefined;
+  }
+};
+
+/**
+ * Allow credentials changes in runtime.
+ * Returns true if the parameter could be set.
+ */
+Account.prototype.set = function(parameter, value) {
+  switch(parameter) {
+    case 'password': {
+      value = checkCredential(parameter, value);
+      if (value === undefined) {
+        return false;
+      }
+      this.configuration.password = value;
+      break;
+    }
+
+    case 'realm': {
+      value = checkCredential(parameter, value);
+      if (value === undefined) {
+        return false;
+      }
+      this.configuration.realm = value;
+      break;
+    }
+
+    case 'ha1': {
+      value = checkCredential(parameter, value);
+      if (value === undefined) {
+        return false;
+      }
+      this.configuration.ha1 = value;
+      // Delete the plain SIP password.
+      this.configuration.password = null;
+      break;
+    }
+
+    case 'access_token': {
+      if (UA.configuration_check.optional.access_token(value) === undefined) {
+        debugerror('set() | wrong "access_token"');
+        return false;
+      }
+      this.configuration.access_token = value;
+      // Forget the previous token.
+      this.cache.access_token = null;
+      break;
+    }
+
+    case 'display_name': {
+      if (Grammar.parse('"' + value + '"', 'display_name') === -1) {
+        debugerror('set() | wrong "display_name"');
+        return false;
+      }
+      this.configuration.display_name = value;
+      break;
+    }
+
+    default:
+      debugerror('set() | cannot set "%s" parameter in runtime', parameter);
+      return false;
+  }
+
+  return true;
+};
+
+
+/**
+ * Registrator callbacks. Events are fired in this account and in the UA.
+ */
+
+Account.prototype.registered = function(data) {
+  data.account = this;
+  this.emit('registered', data);
+  this.ua.registered(data);
+};
+
+Account.prototype.unregistered = function(data) {
+  data.account = this;
+  this.emit('unregistered', data);
+  this.ua.unregistered(data);
+};
+
+Account.prototype.registrationFailed = function(data) {
+  data.account = this;
+  this.emit('registrationFailed', data);
+  this.ua.registrationFailed(data);
+};
+
+Account.prototype.registrationExpiring = function(data) {
+  data.account = this;
+  this.emit('registrationExpiring', data);
+  this.ua.registrationExpiring(data);
+};
+
+Account.prototype.registrationRetry = function(data) {
+  data.account = this;
+  this.emit('registrationRetry', data);
+  this.ua.registrationRetry(data);
+};
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Check a credential given to set() with the UA configuration checks.
+ * Returns undefined if it is empty or wrong.
+ */
+function checkCredential(parameter, value) {
+  var checked_value;
+
+  if (!Utils.isEmpty(value)) {
+    checked_value = UA.configuration_check.optional[parameter](value);
+  }
+
+  if (checked_value === undefined) {
+    debugerror('set() | wrong "%s"', parameter);
+  }
+
+  return checked_value;
+}
@@ -33,10 +33,12 @@ var C = {
     NO_ANSWER:                'No Answer',
     EXPIRES:                  'Expires',
     NO_ACK:                   'No ACK',
+    NO_PRACK:                 'No PRACK',
     DIALOG_ERROR:             'Dialog Error',
     USER_DENIED_MEDIA_ACCESS: 'User Denied Media Access',
     BAD_MEDIA_DESCRIPTION:    'Bad Media Description',
-    RTP_TIMEOUT:              'RTP Timeout'
+    RTP_TIMEOUT:              'RTP Timeout',
+    ANSWERED_ELSEWHERE:       'Answered Elsewhere'
   },
 
   SIP_ERROR_CAUSES: {
@@ -59,6 +61,8 @@ var C = {
   MESSAGE:    'MESSAGE',
   NOTIFY:     'NOTIFY',
   OPTIONS:    'OPTIONS',
+  PRACK:      'PRACK',
+  PUBLISH:    'PUBLISH',
   REGISTER:   'REGISTER',
   REFER:      'REFER',
   UPDATE:     'UPDATE',
@@ -143,7 +147,7 @@ var C = {
     606: 'Not Acceptable'
   },
 
-  ALLOWED_METHODS: 'INVITE,ACK,CANCEL,BYE,UPDATE,MESSAGE,OPTIONS,REFER,INFO',
+  ALLOWED_METHODS: 'INVITE,ACK,CANCEL,BYE,UPDATE,MESSAGE,OPTIONS,REFER,INFO,NOTIFY,SUBSCRIBE,PRACK',
   ACCEPTED_BODY_TYPES: 'application/sdp, application/dtmf-relay',
   MAX_FORWARDS: 69,
   SESSION_EXPIRES: 90,
@@ -30,6 +30,10 @@ function Dialog(owner, message, type, state) {
   this.uac_pending_reply = false;
   this.uas_pending_reply = false;
 
+  // Flow the requests are sent over while open, if not the UA transport one
+  // (see the Transport sticky policy).
+  this.transport = null;
+
   if(!message.hasHeader('contact')) {
     return {
       error: 'unable to create a Dialog without Contact header field'
@@ -74,6 +78,7 @@ function Dialog(owner, message, type, state) {
     };
     this.state = state;
     this.local_seqnum = message.cseq;
+    this.local_invite_seqnum = message.method === JsSIP_C.INVITE ? message.cseq : null;
     this.local_uri = message.parseHeader('from').uri;
     this.remote_uri = message.parseHeader('to').uri;
     this.remote_target = contact.uri;
@@ -110,7 +115,18 @@ Dialog.prototype = {
 
     if(!this.local_seqnum) { this.local_seqnum = Math.floor(Math.random() * 10000); }
 
-    cseq = (method === JsSIP_C.CANCEL || method === JsSIP_C.ACK) ? this.local_seqnum : this.local_seqnum += 1;
+    // The ACK takes the CSeq of the INVITE even if other requests (ie: PRACK) were sent after it.
+    if (method === JsSIP_C.ACK) {
+      cseq = this.local_invite_seqnum || this.local_seqnum;
+    } else if (method === JsSIP_C.CANCEL) {
+      cseq = this.local_seqnum;
+    } else {
+      cseq = this.local_seqnum += 1;
+    }
+
+    if (method === JsSIP_C.INVITE) {
+      this.local_invite_seqnum = cseq;
+    }
 
     request = new SIPMessage.OutgoingRequest(
       method,
@@ -122,7 +138,8 @@ Dialog.prototype = {
         'from_tag': this.id.local_tag,
         'to_uri': this.remote_uri,
         'to_tag': this.id.remote_tag,
-        'route_set': this.route_set
+        'route_set': this.route_set,
+        'account': this.owner.account || null
       }, extraHeaders, body);
 
     request.dialog = this;
@@ -137,11 +154,12 @@ Dialog.prototype = {
     if(!this.remote_seqnum) {
       this.remote_seqnum = request.cseq;
     } else if(request.cseq < this.remote_seqnum) {
-        //Do not try to reply to an ACK request.
+        // The ACK keeps the CSeq of the INVITE, which may be lower than the one
+        // of a later request (ie: PRACK).
         if (request.method !== JsSIP_C.ACK) {
           request.reply(500);
+          return false;
         }
-        return false;
     } else if(request.cseq > this.remote_seqnum) {
       this.remote_seqnum = request.cseq;
     }
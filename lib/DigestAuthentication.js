@@ -9,6 +9,22 @@ var debugerror = require('debug')('JsSIP:ERROR:DigestAuthentication');
 debugerror.log = console.warn.bind(console);
 var Utils = require('./Utils');
 
+/**
+ * Constants
+ */
+var C = {
+  // Supported Digest algorithms (RFC 7616, RFC 8760) keyed by their upper case name.
+  // The strongest one is chosen when several challenges are received.
+  ALGORITHMS: {
+    'MD5':              { name: 'MD5',              hash: Utils.calculateMD5,        sess: false, strength: 1 },
+    'MD5-SESS':         { name: 'MD5-sess',         hash: Utils.calculateMD5,        sess: true,  strength: 1 },
+    'SHA-256':          { name: 'SHA-256',          hash: Utils.calculateSHA256,     sess: false, strength: 2 },
+    'SHA-256-SESS':     { name: 'SHA-256-sess',     hash: Utils.calculateSHA256,     sess: true,  strength: 2 },
+    'SHA-512-256':      { name: 'SHA-512-256',      hash: Utils.calculateSHA512_256, sess: false, strength: 3 },
+    'SHA-512-256-SESS': { name: 'SHA-512-256-sess', hash: Utils.calculateSHA512_256, sess: true,  strength: 3 }
+  }
+};
+
 
 function DigestAuthentication(credentials) {
   this.credentials = credentials;
@@ -27,14 +43,17 @@ function DigestAuthentication(credentials) {
   this.response = null;
 }
 
+DigestAuthentication.C = C;
+
 
 DigestAuthentication.prototype.get = function(parameter) {
   switch (parameter) {
     case 'realm':
       return this.realm;
 
+    // The stored ha1 is a MD5 one, so do not expose it for other algorithms.
     case 'ha1':
-      return this.ha1;
+      return /^MD5/.test(this.algorithm) ? this.ha1 : null;
 
     default:
       debugerror('get() | cannot get "%s" parameter', parameter);
@@ -49,7 +68,7 @@ DigestAuthentication.prototype.get = function(parameter) {
 * Returns true if auth was successfully generated, false otherwise.
 */
 DigestAuthentication.prototype.authenticate = function(request, challenge) {
-  var ha2, hex;
+  var ha1, ha2, hex, algorithm;
 
   this.algorithm = challenge.algorithm;
   this.realm = challenge.realm;
@@ -57,15 +76,15 @@ DigestAuthentication.prototype.authenticate = function(request, challenge) {
   this.opaque = challenge.opaque;
   this.stale = challenge.stale;
 
-  if (this.algorithm) {
-    if (this.algorithm !== 'MD5') {
-      debugerror('authenticate() | challenge with Digest algorithm different than "MD5", authentication aborted');
-      return false;
-    }
-  } else {
-    this.algorithm = 'MD5';
+  algorithm = C.ALGORITHMS[this.algorithm || 'MD5'];
+
+  if (!algorithm) {
+    debugerror('authenticate() | challenge with unsupported Digest algorithm "%s", authentication aborted', this.algorithm);
+    return false;
   }
 
+  this.algorithm = algorithm.name;
+
   if (!this.nonce) {
     debugerror('authenticate() | challenge without Digest nonce, authentication aborted');
     return false;
@@ -84,6 +103,12 @@ DigestAuthentication.prototype.authenticate = function(request, challenge) {
       return false;
     }
 
+    // The stored ha1 can just be used with MD5.
+    if (algorithm.hash !== Utils.calculateMD5) {
+      debugerror('authenticate() | no plain SIP password, and stored `ha1` cannot be used with "%s" algorithm, cannot authenticate', this.algorithm);
+      return false;
+    }
+
     // If the realm does not match the stored realm we cannot authenticate.
     if (this.credentials.realm !== this.realm) {
       debugerror('authenticate() | no plain SIP password, and stored `realm` does not match the given `realm`, cannot authenticate [stored:"%s", given:"%s"]', this.credentials.realm, this.realm);
@@ -125,31 +150,38 @@ DigestAuthentication.prototype.authenticate = function(request, challenge) {
 
   // If we have plain SIP password then regenerate ha1.
   if (this.credentials.password) {
-    // HA1 = MD5(A1) = MD5(username:realm:password)
-    this.ha1 = Utils.calculateMD5(this.credentials.username + ':' + this.realm + ':' + this.credentials.password);
+    // HA1 = H(A1) = H(username:realm:password)
+    this.ha1 = algorithm.hash(this.credentials.username + ':' + this.realm + ':' + this.credentials.password);
     //
   // Otherwise reuse the stored ha1.
   } else {
     this.ha1 = this.credentials.ha1;
   }
 
+  // Session variants: HA1 = H(H(username:realm:password):nonce:cnonce)
+  if (algorithm.sess) {
+    ha1 = algorithm.hash(this.ha1 + ':' + this.nonce + ':' + this.cnonce);
+  } else {
+    ha1 = this.ha1;
+  }
+
   if (this.qop === 'auth') {
-    // HA2 = MD5(A2) = MD5(method:digestURI)
-    ha2 = Utils.calculateMD5(this.method + ':' + this.uri);
-    // response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
-    this.response = Utils.calculateMD5(this.ha1 + ':' + this.nonce + ':' + this.ncHex + ':' + this.cnonce + ':auth:' + ha2);
+    // HA2 = H(A2) = H(method:digestURI)
+    ha2 = algorithm.hash(this.method + ':' + this.uri);
+    // response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
+    this.response = algorithm.hash(ha1 + ':' + this.nonce + ':' + this.ncHex + ':' + this.cnonce + ':auth:' + ha2);
 
   } else if (this.qop === 'auth-int') {
-    // HA2 = MD5(A2) = MD5(method:digestURI:MD5(entityBody))
-    ha2 = Utils.calculateMD5(this.method + ':' + this.uri + ':' + Utils.calculateMD5(this.body ? this.body : ''));
-    // response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
-    this.response = Utils.calculateMD5(this.ha1 + ':' + this.nonce + ':' + this.ncHex + ':' + this.cnonce + ':auth-int:' + ha2);
+    // HA2 = H(A2) = H(method:digestURI:H(entityBody))
+    ha2 = algorithm.hash(this.method + ':' + this.uri + ':' + algorithm.hash(request.body ? request.body : ''));
+    // response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
+    this.response = algorithm.hash(ha1 + ':' + this.nonce + ':' + this.ncHex + ':' + this.cnonce + ':auth-int:' + ha2);
 
   } else if (this.qop === null) {
-    // HA2 = MD5(A2) = MD5(method:digestURI)
-    ha2 = Utils.calculateMD5(this.method + ':' + this.uri);
-    // response = MD5(HA1:nonce:HA2)
-    this.response = Utils.calculateMD5(this.ha1 + ':' + this.nonce + ':' + ha2);
+    // HA2 = H(A2) = H(method:digestURI)
+    ha2 = algorithm.hash(this.method + ':' + this.uri);
+    // response = H(HA1:nonce:HA2)
+    this.response = algorithm.hash(ha1 + ':' + this.nonce + ':' + ha2);
   }
 
   debug('authenticate() | response generated');
@@ -181,6 +213,8 @@ DigestAuthentication.prototype.toString = function() {
     auth_params.push('qop=' + this.qop);
     auth_params.push('cnonce="' + this.cnonce + '"');
     auth_params.push('nc=' + this.ncHex);
+  } else if (/-sess$/.test(this.algorithm)) {
+    auth_params.push('cnonce="' + this.cnonce + '"');
   }
 
   return 'Digest ' + auth_params.join(', ');
@@ -214,9 +214,11 @@ module.exports = (function(){
         "Reason": parse_Reason,
         "reason_param": parse_reason_param,
         "reason_cause": parse_reason_cause,
+        "RAck": parse_RAck,
         "Require": parse_Require,
         "Route": parse_Route,
         "route_param": parse_route_param,
+        "RSeq": parse_RSeq,
         "Subscription_State": parse_Subscription_State,
         "substate_value": parse_substate_value,
         "subexp_params": parse_subexp_params,
@@ -9222,8 +9224,9 @@ module.exports = (function(){
       }
       function parse_challenge() {
         var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1;
+        var pos0, pos1, pos2;
         pos0 = pos;
+        pos1 = pos;
         if (input.substr(pos, 6).toLowerCase() === "digest") {
           result0 = input.substr(pos, 6);
           pos += 6;
@@ -9239,7 +9242,7 @@ module.exports = (function(){
             result2 = parse_digest_cln();
             if (result2 !== null) {
               result3 = [];
-              pos1 = pos;
+              pos2 = pos;
               result4 = parse_COMMA();
               if (result4 !== null) {
                 result5 = parse_digest_cln();
@@ -9247,15 +9250,15 @@ module.exports = (function(){
                   result4 = [result4, result5];
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               } else {
                 result4 = null;
-                pos = pos1;
+                pos = pos2;
               }
               while (result4 !== null) {
                 result3.push(result4);
-                pos1 = pos;
+                pos2 = pos;
                 result4 = parse_COMMA();
                 if (result4 !== null) {
                   result5 = parse_digest_cln();
@@ -9263,29 +9266,36 @@ module.exports = (function(){
                     result4 = [result4, result5];
                   } else {
                     result4 = null;
-                    pos = pos1;
+                    pos = pos2;
                   }
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               }
               if (result3 !== null) {
                 result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
-                pos = pos0;
+                pos = pos1;
               }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                                data.scheme = 'Digest'; })(pos0);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         if (result0 === null) {
@@ -9295,8 +9305,9 @@ module.exports = (function(){
       }
       function parse_other_challenge() {
         var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1;
+        var pos0, pos1, pos2;
         pos0 = pos;
+        pos1 = pos;
         result0 = parse_token();
         if (result0 !== null) {
           result1 = parse_LWS();
@@ -9304,7 +9315,7 @@ module.exports = (function(){
             result2 = parse_auth_param();
             if (result2 !== null) {
               result3 = [];
-              pos1 = pos;
+              pos2 = pos;
               result4 = parse_COMMA();
               if (result4 !== null) {
                 result5 = parse_auth_param();
@@ -9312,15 +9323,15 @@ module.exports = (function(){
                   result4 = [result4, result5];
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               } else {
                 result4 = null;
-                pos = pos1;
+                pos = pos2;
               }
               while (result4 !== null) {
                 result3.push(result4);
-                pos1 = pos;
+                pos2 = pos;
                 result4 = parse_COMMA();
                 if (result4 !== null) {
                   result5 = parse_auth_param();
@@ -9328,57 +9339,73 @@ module.exports = (function(){
                     result4 = [result4, result5];
                   } else {
                     result4 = null;
-                    pos = pos1;
+                    pos = pos2;
                   }
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               }
               if (result3 !== null) {
                 result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
-                pos = pos0;
+                pos = pos1;
               }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, scheme) {
+                                data.scheme = scheme; })(pos0, result0[0]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         return result0;
       }
       function parse_auth_param() {
         var result0, result1, result2;
-        var pos0;
+        var pos0, pos1;
         pos0 = pos;
+        pos1 = pos;
         result0 = parse_token();
         if (result0 !== null) {
           result1 = parse_EQUAL();
           if (result1 !== null) {
             result2 = parse_token();
             if (result2 === null) {
-              result2 = parse_quoted_string();
+              result2 = parse_quoted_string_clean();
             }
             if (result2 !== null) {
               result0 = [result0, result1, result2];
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, param, value) {
+                                if(!data.params) data.params = {};
+                                data.params[param.toLowerCase()] = value; })(pos0, result0[0], result0[2]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         return result0;
@@ -9732,29 +9759,7 @@ module.exports = (function(){
         if (result0 !== null) {
           result1 = parse_EQUAL();
           if (result1 !== null) {
-            if (input.substr(pos, 3).toLowerCase() === "md5") {
-              result2 = input.substr(pos, 3);
-              pos += 3;
-            } else {
-              result2 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"MD5\"");
-              }
-            }
-            if (result2 === null) {
-              if (input.substr(pos, 8).toLowerCase() === "md5-sess") {
-                result2 = input.substr(pos, 8);
-                pos += 8;
-              } else {
-                result2 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"MD5-sess\"");
-                }
-              }
-              if (result2 === null) {
-                result2 = parse_token();
-              }
-            }
+            result2 = parse_token();
             if (result2 !== null) {
               result0 = [result0, result1, result2];
             } else {
@@ -10246,6 +10251,70 @@ module.exports = (function(){
         }
         return result0;
       }
+      function parse_RAck() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1;
+        pos0 = pos;
+        pos1 = pos;
+        result1 = parse_DIGIT();
+        if (result1 !== null) {
+          result0 = [];
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_DIGIT();
+          }
+        } else {
+          result0 = null;
+        }
+        if (result0 !== null) {
+          result1 = parse_LWS();
+          if (result1 !== null) {
+            result3 = parse_DIGIT();
+            if (result3 !== null) {
+              result2 = [];
+              while (result3 !== null) {
+                result2.push(result3);
+                result3 = parse_DIGIT();
+              }
+            } else {
+              result2 = null;
+            }
+            if (result2 !== null) {
+              result3 = parse_LWS();
+              if (result3 !== null) {
+                result4 = parse_Method();
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, rseq, cseq) {
+                          data.rseq = parseInt(rseq.join(''));
+                          data.cseq = parseInt(cseq.join('')); })(pos0, result0[0], result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
       function parse_Require() {
         var result0, result1, result2, result3;
         var pos0, pos1;
@@ -10396,6 +10465,29 @@ module.exports = (function(){
         }
         return result0;
       }
+      function parse_RSeq() {
+        var result0, result1;
+        var pos0;
+        pos0 = pos;
+        result1 = parse_DIGIT();
+        if (result1 !== null) {
+          result0 = [];
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_DIGIT();
+          }
+        } else {
+          result0 = null;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, rseq) {
+                          data = parseInt(rseq.join('')); })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
       function parse_Subscription_State() {
         var result0, result1, result2, result3;
         var pos0, pos1;
@@ -10572,13 +10664,13 @@ module.exports = (function(){
           if (result0 === null) {
             pos0 = pos;
             pos1 = pos;
-            if (input.substr(pos, 11).toLowerCase() === "retry_after") {
+            if (input.substr(pos, 11).toLowerCase() === "retry-after") {
               result0 = input.substr(pos, 11);
               pos += 11;
             } else {
               result0 = null;
               if (reportFailures === 0) {
-                matchFailed("\"retry_after\"");
+                matchFailed("\"retry-after\"");
               }
             }
             if (result0 !== null) {
@@ -14,7 +14,12 @@ var UA = require('./UA');
 var URI = require('./URI');
 var NameAddrHeader = require('./NameAddrHeader');
 var Grammar = require('./Grammar');
+var Tracer = require('./Tracer');
 var WebSocketInterface = require('./WebSocketInterface');
+var NodeWebSocketInterface = require('./NodeWebSocketInterface');
+var TcpSocket = require('./TcpSocket');
+var TlsSocket = require('./TlsSocket');
+var UdpSocket = require('./UdpSocket');
 
 
 /**
@@ -28,7 +33,12 @@ var JsSIP = module.exports = {
   URI: URI,
   NameAddrHeader: NameAddrHeader,
   WebSocketInterface: WebSocketInterface,
+  NodeWebSocketInterface: NodeWebSocketInterface,
+  TcpSocket: TcpSocket,
+  TlsSocket: TlsSocket,
+  UdpSocket: UdpSocket,
   Grammar: Grammar,
+  Tracer: Tracer,
   // Expose the debug module.
   debug: require('debug'),
   // Expose the rtcninja module.
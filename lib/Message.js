@@ -17,6 +17,9 @@ var Exceptions = require('./Exceptions');
 function Message(ua) {
   this.ua = ua;
 
+  // JsSIP.Account of the message (null for the UA main account).
+  this.account = null;
+
   // Custom message empty object for high level use
   this.data = {};
 
@@ -46,6 +49,14 @@ Message.prototype.send = function(target, body, options) {
   eventHandlers = options.eventHandlers || {};
   contentType = options.contentType || 'text/plain';
 
+  // Check account validity
+  if (options.account) {
+    this.account = this.ua.getAccount(options.account);
+    if (!this.account) {
+      throw new TypeError('Invalid account: '+ options.account);
+    }
+  }
+
   this.content_type = contentType;
 
   // Set event handlers
@@ -58,7 +69,9 @@ Message.prototype.send = function(target, body, options) {
 
   extraHeaders.push('Content-Type: '+ contentType);
 
-  this.request = new SIPMessage.OutgoingRequest(JsSIP_C.MESSAGE, target, this.ua, null, extraHeaders);
+  this.request = new SIPMessage.OutgoingRequest(JsSIP_C.MESSAGE, target, this.ua, {
+    'account': this.account
+  }, extraHeaders);
 
   if(body) {
     this.request.body = body;
@@ -135,6 +148,7 @@ Message.prototype.init_incoming = function(request) {
   var transaction;
 
   this.request = request;
+  this.account = request.account || null;
   this.content_type = request.getHeader('Content-Type');
 
   if (request.body) {
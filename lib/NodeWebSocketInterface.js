@@ -0,0 +1,212 @@
+module.exports = NodeWebSocketInterface;
+
+/**
+ * Dependencies.
+ */
+var Grammar = require('./Grammar');
+var Utils = require('./Utils');
+var debug = require('debug')('JsSIP:NodeWebSocketInterface');
+var debugerror = require('debug')('JsSIP:ERROR:NodeWebSocketInterface');
+debugerror.log = console.warn.bind(console);
+
+/**
+ * JsSIP.Socket implementation for Node.js.
+ *
+ * The WebSocket constructor is given by the application so no WebSocket
+ * module is bundled. It must follow the 'ws' module API:
+ *   new WebSocket(url, protocols, options)
+ * and expose the onopen, onclose, onmessage and onerror handlers.
+ *
+ * -param {String} url: WebSocket URI.
+ * -param {Object} options
+ *   - WebSocket {Function}: WebSocket constructor (ie: require('ws')).
+ *     The global WebSocket is used if not given.
+ *   - requestHeaders {Object}: extra HTTP headers for the WebSocket handshake
+ *     (ie: Cookie, Authorization).
+ *   - tlsOptions {Object}: TLS options for 'wss' URIs (ie: ca, cert, key,
+ *     rejectUnauthorized).
+ *
+ * -throws {TypeError}
+ */
+function NodeWebSocketInterface(url, options) {
+  debug('new() [url:"%s"]', url);
+
+  var sip_uri = null;
+  var via_transport = null;
+
+  options = options || {};
+
+  this.ws = null;
+  this.WebSocket = options.WebSocket || global.WebSocket;
+  this.requestHeaders = options.requestHeaders || {};
+  this.tlsOptions = options.tlsOptions || {};
+
+  if (!Utils.isFunction(this.WebSocket)) {
+    debugerror('missing WebSocket constructor');
+    throw new TypeError('Invalid argument: missing WebSocket constructor');
+  }
+
+  // setting the 'scheme' alters the sip_uri too (used in SIP Route header field)
+  Object.defineProperties(this, {
+    via_transport: {
+      get: function() { return via_transport; },
+      set: function(transport) {
+        via_transport = transport.toUpperCase();
+      }
+    },
+    sip_uri:  { get: function() { return sip_uri; }},
+    url:      { get: function() { return url; }}
+  });
+
+  var parsed_url = Grammar.parse(url, 'absoluteURI');
+
+  if (parsed_url === -1) {
+    debugerror('invalid WebSocket URI: ' + url);
+    throw new TypeError('Invalid argument: ' + url);
+  } else if(parsed_url.scheme !== 'wss' && parsed_url.scheme !== 'ws') {
+    debugerror('invalid WebSocket URI scheme: ' + parsed_url.scheme);
+    throw new TypeError('Invalid argument: ' + url);
+  } else {
+    sip_uri = 'sip:' + parsed_url.host +
+      (parsed_url.port ? ':' + parsed_url.port : '') + ';transport=ws';
+    this.via_transport = parsed_url.scheme;
+  }
+}
+
+NodeWebSocketInterface.prototype.connect = function () {
+  debug('connect()');
+
+  var name, wsOptions;
+
+  if (this.isConnected()) {
+    debug('WebSocket ' + this.url + ' is already connected');
+    return;
+  } else if (this.isConnecting()) {
+    debug('WebSocket ' + this.url + ' is connecting');
+    return;
+  }
+
+  if (this.ws) {
+    this.ws.close();
+  }
+
+  debug('connecting to WebSocket ' + this.url);
+
+  wsOptions = {
+    headers: this.requestHeaders
+  };
+
+  // TLS options only apply to secure WebSockets.
+  if (this.via_transport === 'WSS') {
+    for (name in this.tlsOptions) {
+      wsOptions[name] = this.tlsOptions[name];
+    }
+  }
+
+  try {
+    this.ws = new this.WebSocket(this.url, 'sip', wsOptions);
+
+    this.ws.binaryType = 'arraybuffer';
+
+    this.ws.onopen    = onOpen.bind(this, this.ws);
+    this.ws.onclose   = onClose.bind(this, this.ws);
+    this.ws.onmessage = onMessage.bind(this, this.ws);
+    this.ws.onerror   = onError.bind(this, this.ws);
+  } catch(e) {
+    onError.call(this, null, e);
+  }
+};
+
+NodeWebSocketInterface.prototype.disconnect = function() {
+  debug('disconnect()');
+
+  if (this.ws) {
+    // Do not notify the closure of a WebSocket we no longer use.
+    this.ws.onclose = function() {};
+    this.ws.close();
+    this.ws = null;
+  }
+};
+
+NodeWebSocketInterface.prototype.send = function(message) {
+  debug('send()');
+
+  if (this.isConnected()) {
+    this.ws.send(message);
+    return true;
+  } else {
+    debugerror('unable to send message, WebSocket is not open');
+    return false;
+  }
+};
+
+NodeWebSocketInterface.prototype.isConnected = function() {
+  return !!this.ws && this.ws.readyState === readyState(this.ws, 'OPEN');
+};
+
+NodeWebSocketInterface.prototype.isConnecting = function() {
+  return !!this.ws && this.ws.readyState === readyState(this.ws, 'CONNECTING');
+};
+
+
+/**
+ * Private API.
+ */
+
+// Not every WebSocket implementation exposes the readyState constants.
+function readyState(ws, name) {
+  var states = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+  return ws[name] !== undefined ? ws[name] : states[name];
+}
+
+
+/**
+ * WebSocket Event Handlers
+ */
+
+function onOpen(ws) {
+  if (ws !== this.ws) { return; }
+
+  debug('WebSocket ' + this.url + ' connected');
+
+  this.onconnect();
+}
+
+function onClose(ws, e) {
+  if (ws !== this.ws) { return; }
+
+  debug('WebSocket ' + this.url + ' closed');
+
+  if (e.wasClean === false) {
+    debug('WebSocket abrupt disconnection');
+  }
+
+  this.ws = null;
+  this.ondisconnect(e.wasClean === false, e.code, e.reason);
+}
+
+function onMessage(ws, e) {
+  if (ws !== this.ws) { return; }
+
+  debug('received WebSocket message');
+
+  var data = e.data;
+
+  // Node Buffer.
+  if (Buffer.isBuffer(data)) {
+    data = data.toString('utf8');
+  }
+
+  this.ondata(data);
+}
+
+function onError(ws, e) {
+  debugerror('WebSocket ' + this.url + ' error: '+ e);
+
+  // The WebSocket could not even be created.
+  if (!ws) {
+    this.ws = null;
+    this.ondisconnect(true);
+  }
+}
@@ -0,0 +1,421 @@
+module.exports = Notifier;
+
+
+var C = {
+  // Notifier states
+  STATUS_NULL:               0,
+  STATUS_WAITING_FOR_ACCEPT: 1,
+  STATUS_ACCEPTED:           2,
+  STATUS_PENDING:            3,
+  STATUS_ACTIVE:             4,
+  STATUS_TERMINATED:         5,
+
+  // Subscription duration used when the SUBSCRIBE has no Expires header.
+  expires: 900
+};
+
+/**
+ * Expose C object.
+ */
+Notifier.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var events = require('events');
+var debug = require('debug')('JsSIP:Notifier');
+var debugerror = require('debug')('JsSIP:ERROR:Notifier');
+debugerror.log = console.warn.bind(console);
+var JsSIP_C = require('./Constants');
+var Exceptions = require('./Exceptions');
+var Utils = require('./Utils');
+var Timers = require('./Timers');
+var Dialog = require('./Dialog');
+
+
+/**
+ * SUBSCRIBE/NOTIFY notifier (RFC 6665).
+ */
+function Notifier(ua) {
+  this.ua = ua;
+  this.status = C.STATUS_NULL;
+  this.dialog = null;
+
+  // JsSIP.Account the SUBSCRIBE was addressed to (null for the UA main account).
+  this.account = null;
+  this.request = null;
+  this.id = null;
+
+  // Event package and its id param (if any).
+  this.event = null;
+  this.event_id = null;
+
+  // Subscription duration (seconds) and its expiration time (Date).
+  this.expires = null;
+  this.expires_at = null;
+
+  // Maximum duration given in accept(), also applied to refreshes.
+  this.max_expires = null;
+
+  // Last NOTIFY body, sent again in response to a refresh.
+  this.body = null;
+  this.content_type = null;
+
+  this.timers = {
+    expiresTimer: null
+  };
+
+  // Custom notifier empty object for high level use
+  this.data = {};
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Notifier, events.EventEmitter);
+
+
+Notifier.prototype.init_incoming = function(request) {
+  debug('init_incoming()');
+
+  var expires;
+
+  if (!request.event) {
+    request.reply(400, 'Missing Event header');
+    return;
+  }
+
+  if (request.hasHeader('expires')) {
+    expires = request.parseHeader('expires');
+    if (expires === undefined) {
+      request.reply(400, 'Invalid Expires header');
+      return;
+    }
+  } else {
+    expires = C.expires;
+  }
+
+  this.request = request;
+  this.event = request.event.event;
+  this.event_id = request.event.params && request.event.params.id || null;
+  this.expires = expires;
+  this.account = request.account || null;
+  this.contact = (this.account || this.ua).contact.toString();
+
+  /* Set the to_tag before
+   * replying a response code that will create a dialog.
+   */
+  request.to_tag = Utils.newTag();
+
+  this.status = C.STATUS_WAITING_FOR_ACCEPT;
+  this.direction = 'incoming';
+  this.local_identity = request.to;
+  this.remote_identity = request.from;
+
+  this.ua.newSubscribe({
+    originator: 'remote',
+    notifier: this,
+    request: request
+  });
+};
+
+/**
+ * Accept the incoming subscription.
+ * The application must send the initial NOTIFY right after it.
+ */
+Notifier.prototype.accept = function(expires) {
+  debug('accept()');
+
+  var dialog;
+
+  if (this.status !== C.STATUS_WAITING_FOR_ACCEPT) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  // The notifier may shorten but not lengthen the requested duration.
+  if (expires !== undefined) {
+    if (!Utils.isDecimal(expires) || Number(expires) < 0) {
+      throw new TypeError('Invalid expires: '+ expires);
+    }
+    this.max_expires = Number(expires);
+    this.expires = Math.min(this.max_expires, this.expires);
+  }
+
+  dialog = new Dialog(this, this.request, 'UAS');
+
+  if (dialog.error) {
+    debug(dialog.error);
+    this.request.reply(400, 'Missing Contact header field');
+    terminated.call(this, 'local', null, JsSIP_C.causes.INTERNAL_ERROR);
+    return;
+  }
+
+  this.dialog = dialog;
+  this.id = dialog.id.toString();
+  this.ua.notifiers[this.id] = this;
+  this.status = C.STATUS_ACCEPTED;
+
+  this.request.reply(200, null, [
+    'Expires: '+ this.expires,
+    'Contact: '+ this.contact
+  ]);
+
+  setExpiresTimer.call(this);
+};
+
+/**
+ * Reject the incoming subscription.
+ */
+Notifier.prototype.reject = function(status_code) {
+  debug('reject()');
+
+  status_code = status_code || 403;
+
+  if (this.status !== C.STATUS_WAITING_FOR_ACCEPT) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (status_code < 300 || status_code >= 700) {
+    throw new TypeError('Invalid status_code: '+ status_code);
+  }
+
+  this.request.reply(status_code);
+
+  terminated.call(this, 'local', null, JsSIP_C.causes.REJECTED);
+};
+
+/**
+ * Send a NOTIFY with the given body. State is 'active' (default) or 'pending'.
+ */
+Notifier.prototype.notify = function(body, contentType, state) {
+  debug('notify()');
+
+  state = state || 'active';
+
+  if (this.status === C.STATUS_NULL ||
+      this.status === C.STATUS_WAITING_FOR_ACCEPT ||
+      this.status === C.STATUS_TERMINATED) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (state !== 'active' && state !== 'pending') {
+    throw new TypeError('Invalid state: '+ state);
+  }
+
+  if (body && !contentType) {
+    throw new TypeError('Missing contentType');
+  }
+
+  this.body = body || null;
+  this.content_type = body ? contentType : null;
+
+  // A fetch (Expires: 0) is terminated right after the first NOTIFY.
+  if (this.expires === 0) {
+    this.terminate('timeout');
+    return;
+  }
+
+  this.status = (state === 'active') ? C.STATUS_ACTIVE : C.STATUS_PENDING;
+
+  sendNotify.call(this, state +';expires='+ remainingExpires.call(this));
+};
+
+/**
+ * Terminate the subscription with a final NOTIFY.
+ */
+Notifier.prototype.terminate = function(reason) {
+  debug('terminate()');
+
+  var state = 'terminated';
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  if (this.status === C.STATUS_WAITING_FOR_ACCEPT) {
+    this.reject(480);
+    return;
+  }
+
+  if (reason) {
+    state += ';reason='+ reason;
+  }
+
+  sendNotify.call(this, state);
+
+  terminated.call(this, 'local', null, JsSIP_C.causes.BYE, reason);
+};
+
+Notifier.prototype.close = function() {
+  debug('close()');
+
+  var idx;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  for (idx in this.timers) {
+    clearTimeout(this.timers[idx]);
+  }
+
+  if (this.dialog) {
+    this.dialog.terminate();
+    this.dialog = null;
+  }
+
+  this.status = C.STATUS_TERMINATED;
+
+  delete this.ua.notifiers[this.id];
+};
+
+Notifier.prototype.isTerminated = function() {
+  return this.status === C.STATUS_TERMINATED;
+};
+
+
+/**
+ * In dialog Request Reception
+ */
+Notifier.prototype.receiveRequest = function(request) {
+  debug('receiveRequest()');
+
+  var event, expires;
+
+  if (request.method !== JsSIP_C.SUBSCRIBE) {
+    request.reply(405, null, ['Allow: '+ JsSIP_C.SUBSCRIBE]);
+    return;
+  }
+
+  event = request.event;
+  if (!event || event.event !== this.event ||
+      (event.params && event.params.id || null) !== this.event_id) {
+    request.reply(489);
+    return;
+  }
+
+  if (request.hasHeader('expires')) {
+    expires = request.parseHeader('expires');
+    if (expires === undefined) {
+      request.reply(400, 'Invalid Expires header');
+      return;
+    }
+  } else {
+    expires = C.expires;
+  }
+
+  // Un-SUBSCRIBE.
+  if (expires === 0) {
+    request.reply(200, null, ['Expires: 0', 'Contact: '+ this.contact]);
+    sendNotify.call(this, 'terminated;reason=timeout');
+    terminated.call(this, 'remote', request, JsSIP_C.causes.BYE, 'timeout');
+    return;
+  }
+
+  // Refresh. Answer it and send the current state without involving the application.
+  this.expires = (this.max_expires === null) ? expires : Math.min(expires, this.max_expires);
+
+  request.reply(200, null, ['Expires: '+ this.expires, 'Contact: '+ this.contact]);
+
+  setExpiresTimer.call(this);
+
+  if (this.status === C.STATUS_ACTIVE || this.status === C.STATUS_PENDING) {
+    sendNotify.call(this, (this.status === C.STATUS_ACTIVE ? 'active' : 'pending') +
+      ';expires='+ this.expires);
+  }
+};
+
+
+/**
+ * Dialog callbacks (NOTIFY responses)
+ */
+
+Notifier.prototype.receiveResponse = function(response) {
+  // RFC 6665 4.2.2: a failure response to a NOTIFY removes the subscription.
+  if (response.status_code >= 300 && this.status !== C.STATUS_TERMINATED) {
+    terminated.call(this, 'remote', response, Utils.sipErrorCause(response.status_code));
+  }
+};
+
+Notifier.prototype.onRequestTimeout = function() {
+  debugerror('onRequestTimeout()');
+
+  terminated.call(this, 'system', null, JsSIP_C.causes.REQUEST_TIMEOUT);
+};
+
+Notifier.prototype.onTransportError = function() {
+  debugerror('onTransportError()');
+
+  terminated.call(this, 'system', null, JsSIP_C.causes.CONNECTION_ERROR);
+};
+
+Notifier.prototype.onDialogError = function(response) {
+  debugerror('onDialogError()');
+
+  terminated.call(this, 'remote', response, JsSIP_C.causes.DIALOG_ERROR);
+};
+
+
+/**
+ * Private API.
+ */
+
+function sendNotify(subscription_state) {
+  var extraHeaders = [
+    'Event: '+ this.event + (this.event_id ? ';id=' + this.event_id : ''),
+    'Subscription-State: '+ subscription_state,
+    'Contact: '+ this.contact
+  ];
+
+  if (this.body) {
+    extraHeaders.push('Content-Type: '+ this.content_type);
+  }
+
+  this.dialog.sendRequest(this, JsSIP_C.NOTIFY, {
+    extraHeaders: extraHeaders,
+    body: this.body
+  });
+}
+
+function setExpiresTimer() {
+  var timeout,
+    self = this;
+
+  clearTimeout(this.timers.expiresTimer);
+
+  this.expires_at = new Date(Date.now() + this.expires * 1000);
+
+  // A fetch (Expires: 0) gives the application the time the subscriber waits
+  // for the NOTIFY (Timer N) to gather the state and call notify().
+  timeout = this.expires ? this.expires * 1000 : Timers.TIMER_N;
+
+  this.timers.expiresTimer = setTimeout(function() {
+    self.timers.expiresTimer = null;
+    if (self.status === C.STATUS_TERMINATED) { return; }
+
+    debug('subscription expired');
+    sendNotify.call(self, 'terminated;reason=timeout');
+    terminated.call(self, 'system', null, JsSIP_C.causes.EXPIRES, 'timeout');
+  }, timeout);
+}
+
+function remainingExpires() {
+  return Math.max(Math.round((this.expires_at - Date.now()) / 1000), 0);
+}
+
+function terminated(originator, message, cause, reason) {
+  debug('subscription terminated');
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  this.close();
+  this.emit('terminated', {
+    originator: originator,
+    message: message || null,
+    cause: cause,
+    reason: reason || null
+  });
+}
@@ -0,0 +1,280 @@
+module.exports = Options;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var events = require('events');
+var debug = require('debug')('JsSIP:Options');
+var JsSIP_C = require('./Constants');
+var SIPMessage = require('./SIPMessage');
+var Utils = require('./Utils');
+var RequestSender = require('./RequestSender');
+var Transactions = require('./Transactions');
+var Exceptions = require('./Exceptions');
+
+
+/**
+ * Out of dialog OPTIONS (RFC 3261 section 11), sent to discover the
+ * capabilities of a peer or received from it.
+ */
+function Options(ua) {
+  this.ua = ua;
+
+  // JsSIP.Account of the request (null for the UA main account).
+  this.account = null;
+
+  // Capabilities advertised in the 2xx response (outgoing OPTIONS).
+  this.capabilities = null;
+
+  // Custom options empty object for high level use
+  this.data = {};
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Options, events.EventEmitter);
+
+
+Options.prototype.send = function(target, options) {
+  var request_sender, event, eventHandlers, extraHeaders,
+    originalTarget = target;
+
+  if (target === undefined) {
+    throw new TypeError('Not enough arguments');
+  }
+
+  // Check target validity
+  target = this.ua.normalizeTarget(target);
+  if (!target) {
+    throw new TypeError('Invalid target: '+ originalTarget);
+  }
+
+  // Get call options
+  options = options || {};
+  extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [];
+  eventHandlers = options.eventHandlers || {};
+
+  // Check account validity
+  if (options.account) {
+    this.account = this.ua.getAccount(options.account);
+    if (!this.account) {
+      throw new TypeError('Invalid account: '+ options.account);
+    }
+  }
+
+  // Set event handlers
+  for (event in eventHandlers) {
+    this.on(event, eventHandlers[event]);
+  }
+
+  this.closed = false;
+  this.ua.applicants[this] = this;
+
+  // RFC 3261 11.1: ask for the SDP of the peer.
+  if (!extraHeaders.some(function(header) { return /^\s*Accept\s*:/i.test(header); })) {
+    extraHeaders.push('Accept: application/sdp');
+  }
+
+  this.request = new SIPMessage.OutgoingRequest(JsSIP_C.OPTIONS, target, this.ua, {
+    'account': this.account
+  }, extraHeaders);
+
+  request_sender = new RequestSender(this, this.ua);
+
+  this.newOptions('local', this.request);
+
+  request_sender.send();
+};
+
+Options.prototype.receiveResponse = function(response) {
+  var cause;
+
+  if(this.closed) {
+    return;
+  }
+  switch(true) {
+    case /^1[0-9]{2}$/.test(response.status_code):
+      // Ignore provisional responses.
+      break;
+
+    case /^2[0-9]{2}$/.test(response.status_code):
+      delete this.ua.applicants[this];
+      this.capabilities = parseCapabilities(response);
+      debug('capabilities received: %o', this.capabilities);
+      this.emit('succeeded', {
+        originator: 'remote',
+        response: response,
+        capabilities: this.capabilities
+      });
+      break;
+
+    default:
+      delete this.ua.applicants[this];
+      cause = Utils.sipErrorCause(response.status_code);
+      this.emit('failed', {
+        originator: 'remote',
+        response: response,
+        cause: cause
+      });
+      break;
+  }
+};
+
+
+Options.prototype.onRequestTimeout = function() {
+  if(this.closed) {
+    return;
+  }
+  delete this.ua.applicants[this];
+  this.emit('failed', {
+    originator: 'system',
+    cause: JsSIP_C.causes.REQUEST_TIMEOUT
+  });
+};
+
+Options.prototype.onTransportError = function() {
+  if(this.closed) {
+    return;
+  }
+  delete this.ua.applicants[this];
+  this.emit('failed', {
+    originator: 'system',
+    cause: JsSIP_C.causes.CONNECTION_ERROR
+  });
+};
+
+Options.prototype.close = function() {
+  this.closed = true;
+  delete this.ua.applicants[this];
+};
+
+Options.prototype.init_incoming = function(request) {
+  var transaction;
+
+  this.request = request;
+  this.account = request.account || null;
+
+  this.newOptions('remote', request);
+
+  // Not answered by the application.
+  transaction = this.ua.transactions.nist[request.via_branch];
+
+  if (transaction && (transaction.state === Transactions.C.STATUS_TRYING || transaction.state === Transactions.C.STATUS_PROCEEDING)) {
+    request.reply(200);
+  }
+};
+
+/**
+ * Accept the incoming OPTIONS (the body, if any, must be a SDP).
+ * Only valid for incoming OPTIONS
+ */
+Options.prototype.accept = function(options) {
+  options = options || {};
+
+  var
+    extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [],
+    body = options.body;
+
+  if (this.direction !== 'incoming') {
+    throw new Exceptions.NotSupportedError('"accept" not supported for outgoing Options');
+  }
+
+  this.request.reply(200, null, extraHeaders, body);
+};
+
+/**
+ * Reject the incoming OPTIONS
+ * Only valid for incoming OPTIONS
+ */
+Options.prototype.reject = function(options) {
+  options = options || {};
+
+  var
+    status_code = options.status_code || 480,
+    reason_phrase = options.reason_phrase,
+    extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [],
+    body = options.body;
+
+  if (this.direction !== 'incoming') {
+    throw new Exceptions.NotSupportedError('"reject" not supported for outgoing Options');
+  }
+
+  if (status_code < 300 || status_code >= 700) {
+    throw new TypeError('Invalid status_code: '+ status_code);
+  }
+
+  this.request.reply(status_code, reason_phrase, extraHeaders, body);
+};
+
+/**
+ * Internal Callbacks
+ */
+
+Options.prototype.newOptions = function(originator, request) {
+  if (originator === 'remote') {
+    this.direction = 'incoming';
+    this.local_identity = request.to;
+    this.remote_identity = request.from;
+  } else if (originator === 'local'){
+    this.direction = 'outgoing';
+    this.local_identity = request.from;
+    this.remote_identity = request.to;
+  }
+
+  this.ua.newOptions({
+    originator: originator,
+    options: this,
+    request: request
+  });
+};
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Capabilities advertised in an OPTIONS response:
+ * - methods {Array}: Allow
+ * - accept {Array}: Accept
+ * - extensions {Array}: Supported
+ * - media {Array|null}: type, protocol and codecs of each SDP media.
+ */
+function parseCapabilities(response) {
+  var sdp,
+    contentType = response.getHeader('content-type');
+
+  function list(name, upper) {
+    return response.getHeaders(name).join(',').split(',').map(function(value) {
+      value = value.split(';')[0].trim();
+      return upper ? value.toUpperCase() : value.toLowerCase();
+    }).filter(function(value) {
+      return !!value;
+    });
+  }
+
+  if (response.body && contentType && /^application\/sdp/i.test(contentType)) {
+    try {
+      sdp = response.parseSDP();
+    } catch(e) {
+      debug('invalid SDP in OPTIONS response: %s', e);
+    }
+  }
+
+  return {
+    methods: list('allow', true),
+    accept: list('accept'),
+    extensions: list('supported'),
+    media: sdp && sdp.media ? sdp.media.map(function(media) {
+      return {
+        type: media.type,
+        protocol: media.protocol,
+        codecs: (media.rtp || []).map(function(rtp) {
+          return rtp.codec;
+        })
+      };
+    }) : null
+  };
+}
@@ -102,6 +102,13 @@ function parseHeader(message, data, headerStart, headerEnd) {
         }
       }
       break;
+    case 'service-route':
+    case 'path':
+    case 'p-associated-uri':
+      // May appear several times. Parsed by the Registrator.
+      message.addHeader(headerName, headerValue);
+      parsed = 0;
+      break;
     case 'call-id':
     case 'i':
       message.setHeader('call-id', headerValue);
@@ -150,12 +157,10 @@ function parseHeader(message, data, headerStart, headerEnd) {
       parsed = message.parseHeader('max-forwards');
       break;
     case 'www-authenticate':
-      message.setHeader('www-authenticate', headerValue);
-      parsed = message.parseHeader('www-authenticate');
-      break;
     case 'proxy-authenticate':
-      message.setHeader('proxy-authenticate', headerValue);
-      parsed = message.parseHeader('proxy-authenticate');
+      // May appear several times, one per challenge.
+      message.addHeader(headerName, headerValue);
+      parsed = message.parseHeader(headerName, message.getHeaders(headerName).length - 1);
       break;
     case 'session-expires':
     case 'x':
@@ -0,0 +1,458 @@
+module.exports = Presence;
+
+
+var C = {
+  // Content types
+  PIDF:        'application/pidf+xml',
+  WATCHERINFO: 'application/watcherinfo+xml',
+
+  // XML namespaces
+  NS_PIDF:        'urn:ietf:params:xml:ns:pidf',
+  NS_DATA_MODEL:  'urn:ietf:params:xml:ns:pidf:data-model',
+  NS_RPID:        'urn:ietf:params:xml:ns:pidf:rpid',
+
+  // RPID activities (RFC 4480 3.2)
+  ACTIVITIES: [
+    'appointment', 'away', 'breakfast', 'busy', 'dinner', 'holiday',
+    'in-transit', 'looking-for-work', 'meal', 'meeting', 'on-the-phone',
+    'performance', 'permanent-absence', 'playing', 'presentation', 'shopping',
+    'sleeping', 'spectator', 'steering', 'travel', 'tv', 'unknown', 'vacation',
+    'working', 'worship'
+  ]
+};
+
+/**
+ * Expose C object.
+ */
+Presence.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var events = require('events');
+var debug = require('debug')('JsSIP:Presence');
+var Utils = require('./Utils');
+
+
+/**
+ * Presence helpers (RFC 3856, RFC 3863, RFC 4480, RFC 3857) on top of
+ * SUBSCRIBE/NOTIFY and PUBLISH.
+ */
+function Presence(ua) {
+  this.ua = ua;
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Presence, events.EventEmitter);
+
+
+/**
+ * Subscribe to the presence of the given buddy.
+ * Every NOTIFY carrying a PIDF document fires a 'presence' event both in the
+ * returned Subscriber and in this object.
+ */
+Presence.prototype.subscribe = function(buddy, options) {
+  debug('subscribe()');
+
+  var subscriber,
+    self = this;
+
+  options = Utils.cloneObject(options);
+  options.accept = options.accept || C.PIDF;
+
+  subscriber = this.ua.subscribe(buddy, 'presence', options);
+
+  subscriber.on('notify', function(e) {
+    var presence, data;
+
+    if (!e.body || !isContentType(e.content_type, C.PIDF)) {
+      return;
+    }
+
+    presence = Presence.parse(e.body);
+    if (!presence) {
+      debug('invalid PIDF document received, ignoring it');
+      return;
+    }
+
+    data = {
+      originator: 'remote',
+      buddy: subscriber.remote_identity.uri.toAor(),
+      subscriber: subscriber,
+      request: e.request,
+      state: e.state,
+      presence: presence
+    };
+
+    subscriber.emit('presence', data);
+    self.emit('presence', data);
+  });
+
+  return subscriber;
+};
+
+/**
+ * Publish our own presence. See Presence.build() for the status fields.
+ */
+Presence.prototype.publish = function(status, options) {
+  debug('publish()');
+
+  var body,
+    account = options && options.account && this.ua.getAccount(options.account),
+    uri = (account || this.ua).configuration.uri;
+
+  status = Utils.cloneObject(status);
+  status.entity = status.entity || uri.toAor();
+  body = Presence.build(status);
+
+  options = Utils.cloneObject(options);
+  options.contentType = C.PIDF;
+
+  return this.ua.publish(uri, 'presence', body, options);
+};
+
+/**
+ * Subscribe to the watcher information of our own presence.
+ * Every NOTIFY carrying a watcherinfo document fires a 'watcherinfo' event both
+ * in the returned Subscriber and in this object.
+ */
+Presence.prototype.watch = function(options) {
+  debug('watch()');
+
+  var subscriber, account,
+    self = this;
+
+  options = Utils.cloneObject(options);
+  options.accept = options.accept || C.WATCHERINFO;
+
+  account = options.account && this.ua.getAccount(options.account);
+
+  subscriber = this.ua.subscribe((account || this.ua).configuration.uri, 'presence.winfo', options);
+
+  subscriber.on('notify', function(e) {
+    var watcherinfo, data;
+
+    if (!e.body || !isContentType(e.content_type, C.WATCHERINFO)) {
+      return;
+    }
+
+    watcherinfo = Presence.parseWatcherInfo(e.body);
+    if (!watcherinfo) {
+      debug('invalid watcherinfo document received, ignoring it');
+      return;
+    }
+
+    data = {
+      originator: 'remote',
+      subscriber: subscriber,
+      request: e.request,
+      state: e.state,
+      watcherinfo: watcherinfo
+    };
+
+    subscriber.emit('watcherinfo', data);
+    self.emit('watcherinfo', data);
+  });
+
+  return subscriber;
+};
+
+
+/**
+ * Build a PIDF document.
+ *
+ * -param {Object} status
+ *   - entity {String}: presentity URI.
+ *   - basic {String}: 'open' (default) or 'closed'.
+ *   - note {String}
+ *   - activities {Array}: RPID activities (ie: 'away', 'busy', 'on-the-phone').
+ *   - contact {String}
+ *
+ * -throws {TypeError}
+ */
+Presence.build = function(status) {
+  var basic, activities, xml;
+
+  status = status || {};
+
+  if (!status.entity) {
+    throw new TypeError('Missing entity');
+  }
+
+  basic = status.basic || 'open';
+  if (basic !== 'open' && basic !== 'closed') {
+    throw new TypeError('Invalid basic status: '+ basic);
+  }
+
+  activities = status.activities || [];
+  if (!Array.isArray(activities)) {
+    activities = [activities];
+  }
+  activities.forEach(function(activity) {
+    if (C.ACTIVITIES.indexOf(activity) === -1) {
+      throw new TypeError('Invalid activity: '+ activity);
+    }
+  });
+
+  xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<presence xmlns="'+ C.NS_PIDF +'" xmlns:dm="'+ C.NS_DATA_MODEL +'"' +
+      ' xmlns:rpid="'+ C.NS_RPID +'" entity="'+ escapeXml(status.entity.toString()) +'">',
+    '  <tuple id="t'+ Utils.createRandomToken(8) +'">',
+    '    <status><basic>'+ basic +'</basic></status>'
+  ];
+
+  if (status.contact) {
+    xml.push('    <contact>'+ escapeXml(status.contact.toString()) +'</contact>');
+  }
+
+  xml.push('  </tuple>');
+
+  if (activities.length) {
+    xml.push('  <dm:person id="p'+ Utils.createRandomToken(8) +'">');
+    xml.push('    <rpid:activities>');
+    activities.forEach(function(activity) {
+      xml.push('      <rpid:'+ activity +'/>');
+    });
+    xml.push('    </rpid:activities>');
+    xml.push('  </dm:person>');
+  }
+
+  if (status.note) {
+    xml.push('  <note>'+ escapeXml(status.note) +'</note>');
+  }
+
+  xml.push('</presence>');
+
+  return xml.join('\r\n');
+};
+
+/**
+ * Parse a PIDF document (with the RPID extensions).
+ * Returns null if the given body is not a valid PIDF document.
+ */
+Presence.parse = function(body) {
+  var root, presence;
+
+  root = parseXml(body);
+  if (!root || root.name !== 'presence') {
+    return null;
+  }
+
+  presence = {
+    entity: root.attributes.entity || null,
+    basic: null,
+    tuples: [],
+    notes: [],
+    activities: []
+  };
+
+  children(root, 'tuple').forEach(function(tuple) {
+    var status = children(tuple, 'status')[0],
+      basic = status && children(status, 'basic')[0],
+      contact = children(tuple, 'contact')[0];
+
+    presence.tuples.push({
+      id: tuple.attributes.id || null,
+      basic: basic ? basic.text.trim().toLowerCase() : null,
+      contact: contact ? contact.text.trim() : null,
+      notes: texts(children(tuple, 'note'))
+    });
+  });
+
+  presence.notes = texts(children(root, 'note'));
+
+  children(root, 'person').forEach(function(person) {
+    presence.notes = presence.notes.concat(texts(children(person, 'note')));
+
+    children(person, 'activities').forEach(function(activities) {
+      activities.children.forEach(function(activity) {
+        // <rpid:other> carries a free text activity.
+        if (activity.name === 'other') {
+          if (activity.text.trim()) {
+            presence.activities.push(activity.text.trim());
+          }
+        } else {
+          presence.activities.push(activity.name);
+        }
+      });
+    });
+  });
+
+  // The presentity is available if any of its tuples is open.
+  if (presence.tuples.length) {
+    presence.basic = presence.tuples.some(function(tuple) {
+      return tuple.basic === 'open';
+    }) ? 'open' : 'closed';
+  }
+
+  return presence;
+};
+
+/**
+ * Parse a watcherinfo document (RFC 3858).
+ * Returns null if the given body is not a valid watcherinfo document.
+ */
+Presence.parseWatcherInfo = function(body) {
+  var root, watcherinfo;
+
+  root = parseXml(body);
+  if (!root || root.name !== 'watcherinfo') {
+    return null;
+  }
+
+  watcherinfo = {
+    version: root.attributes.version !== undefined ? parseInt(root.attributes.version, 10) : null,
+    state: root.attributes.state || null,
+    lists: []
+  };
+
+  children(root, 'watcher-list').forEach(function(list) {
+    watcherinfo.lists.push({
+      resource: list.attributes.resource || null,
+      package: list.attributes.package || null,
+      watchers: children(list, 'watcher').map(function(watcher) {
+        return {
+          id: watcher.attributes.id || null,
+          status: watcher.attributes.status || null,
+          event: watcher.attributes.event || null,
+          display_name: watcher.attributes['display-name'] || null,
+          uri: watcher.text.trim()
+        };
+      })
+    });
+  });
+
+  return watcherinfo;
+};
+
+
+/**
+ * Private API.
+ */
+
+function isContentType(content_type, expected) {
+  return !!content_type && content_type.split(';')[0].trim().toLowerCase() === expected;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, function(m, code) { return String.fromCharCode(parseInt(code, 16)); })
+    .replace(/&#([0-9]+);/g, function(m, code) { return String.fromCharCode(parseInt(code, 10)); })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// Drop the namespace prefix of an element or attribute name.
+function localName(name) {
+  return name.substr(name.indexOf(':') + 1);
+}
+
+function children(element, name) {
+  return element.children.filter(function(child) {
+    return child.name === name;
+  });
+}
+
+function texts(elements) {
+  return elements.map(function(element) {
+    return element.text.trim();
+  });
+}
+
+/**
+ * Minimal XML parser good enough for PIDF and watcherinfo documents.
+ * Element and attribute names lose their namespace prefix.
+ * Returns the root element or null if the document is not well formed.
+ */
+function parseXml(xml) {
+  var match, element, child, attributes, attribute, name,
+    token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g,
+    attribute_regex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+    stack = [],
+    root = null;
+
+  if (!Utils.isString(xml)) {
+    return null;
+  }
+
+  while ((match = token.exec(xml))) {
+    element = stack[stack.length - 1];
+
+    // CDATA section.
+    if (match[1] !== undefined) {
+      if (element) { element.text += match[1]; }
+    }
+
+    // Closing tag.
+    else if (match[2] !== undefined) {
+      if (!element || element.name !== localName(match[2])) {
+        return null;
+      }
+      stack.pop();
+    }
+
+    // Opening tag.
+    else if (match[3] !== undefined) {
+      attributes = {};
+      attribute_regex.lastIndex = 0;
+      while ((attribute = attribute_regex.exec(match[4]))) {
+        name = attribute[1];
+        if (name === 'xmlns' || name.indexOf('xmlns:') === 0) {
+          continue;
+        }
+        attributes[localName(name)] = unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+
+      name = localName(match[3]);
+      child = { name: name, attributes: attributes, children: [], text: '' };
+
+      if (element) {
+        element.children.push(child);
+      } else if (!root) {
+        root = child;
+      } else {
+        return null;
+      }
+
+      if (!match[5]) {
+        stack.push(child);
+      }
+    }
+
+    // Text.
+    else if (match[6] !== undefined) {
+      if (element) {
+        element.text += unescapeXml(match[6]);
+      } else if (match[6].trim()) {
+        return null;
+      }
+    }
+
+    // Stray '<'.
+    else if (match[7] !== undefined) {
+      return null;
+    }
+  }
+
+  if (stack.length) {
+    return null;
+  }
+
+  return root;
+}
@@ -0,0 +1,499 @@
+module.exports = Publisher;
+
+
+var C = {
+  // Publisher states
+  STATUS_NULL:       0,
+  STATUS_PUBLISHING: 1,
+  STATUS_PUBLISHED:  2,
+  STATUS_REMOVING:   3,
+  STATUS_TERMINATED: 4,
+
+  // Default publication duration
+  expires: 3600
+};
+
+/**
+ * Expose C object.
+ */
+Publisher.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var events = require('events');
+var debug = require('debug')('JsSIP:Publisher');
+var debugerror = require('debug')('JsSIP:ERROR:Publisher');
+debugerror.log = console.warn.bind(console);
+var JsSIP_C = require('./Constants');
+var Exceptions = require('./Exceptions');
+var Utils = require('./Utils');
+var Grammar = require('./Grammar');
+var SIPMessage = require('./SIPMessage');
+var RequestSender = require('./RequestSender');
+
+
+/**
+ * Event state publication (RFC 3903).
+ */
+function Publisher(ua) {
+  this.ua = ua;
+  this.status = C.STATUS_NULL;
+  this.request = null;
+
+  // JsSIP.Account of the publication (null for the UA main account).
+  this.account = null;
+  this.id = null;
+
+  // Event package and target of the publication.
+  this.event = null;
+  this.target = null;
+
+  // Requested publication duration (seconds).
+  this.expires = C.expires;
+
+  // Entity-tag of the current publication as returned by the ESC.
+  this.etag = null;
+
+  // Full event state, republished on 412 Conditional Request Failed.
+  this.body = null;
+  this.content_type = null;
+
+  // Whether a PUBLISH transaction is in progress and the action to run once it finishes.
+  this.sending = false;
+  this.pending = null;
+
+  this.timers = {
+    refresh: null
+  };
+
+  // Custom publisher empty object for high level use
+  this.data = {};
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Publisher, events.EventEmitter);
+
+
+/**
+ * User API
+ */
+
+Publisher.prototype.publish = function(target, eventName, body, options) {
+  debug('publish()');
+
+  var event, eventHandlers,
+    originalTarget = target;
+
+  if (target === undefined || eventName === undefined || body === undefined) {
+    throw new TypeError('Not enough arguments');
+  }
+
+  // Check target validity
+  target = this.ua.normalizeTarget(target);
+  if (!target) {
+    throw new TypeError('Invalid target: '+ originalTarget);
+  }
+
+  // Check event package validity
+  eventName = Utils.isString(eventName) ? eventName.trim().toLowerCase() : null;
+  if (!eventName || Grammar.parse(eventName, 'Event') === -1) {
+    throw new TypeError('Invalid event: '+ eventName);
+  }
+
+  // The initial PUBLISH must carry the event state.
+  if (!body) {
+    throw new TypeError('Invalid body: '+ body);
+  }
+
+  // Check Publisher Status
+  if (this.status !== C.STATUS_NULL) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  // Get publish options
+  options = options || {};
+  eventHandlers = options.eventHandlers || {};
+
+  if (options.expires !== undefined) {
+    if (!Utils.isDecimal(options.expires) || Number(options.expires) <= 0) {
+      throw new TypeError('Invalid expires: '+ options.expires);
+    }
+    this.expires = Number(options.expires);
+  }
+
+  // Check account validity
+  if (options.account) {
+    this.account = this.ua.getAccount(options.account);
+    if (!this.account) {
+      throw new TypeError('Invalid account: '+ options.account);
+    }
+  }
+
+  this.target = target;
+  this.event = eventName;
+  this.body = body;
+  this.content_type = options.contentType || 'text/plain';
+  this.extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [];
+  this.data = options.data || this.data;
+
+  // Set event handlers
+  for (event in eventHandlers) {
+    this.on(event, eventHandlers[event]);
+  }
+
+  // Call-ID, From tag and CSeq values are kept for the whole publication.
+  this.call_id = Utils.createRandomToken(22);
+  this.from_tag = Utils.newTag();
+  this.cseq = 0;
+  this.id = this.call_id;
+
+  // Save the publisher into the ua publishers collection.
+  this.ua.publishers[this.id] = this;
+
+  this.status = C.STATUS_PUBLISHING;
+
+  sendPublish.call(this, true);
+};
+
+/**
+ * Replace the published event state.
+ */
+Publisher.prototype.modify = function(body, contentType) {
+  debug('modify()');
+
+  if (this.status === C.STATUS_NULL ||
+      this.status === C.STATUS_REMOVING ||
+      this.status === C.STATUS_TERMINATED) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (!body) {
+    throw new TypeError('Invalid body: '+ body);
+  }
+
+  this.body = body;
+  this.content_type = contentType || this.content_type;
+
+  run.call(this, 'modify');
+};
+
+/**
+ * Extend the publication without changing the event state.
+ */
+Publisher.prototype.refresh = function() {
+  debug('refresh()');
+
+  if (this.status === C.STATUS_NULL ||
+      this.status === C.STATUS_REMOVING ||
+      this.status === C.STATUS_TERMINATED) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  run.call(this, 'refresh');
+};
+
+/**
+ * Remove the published event state (Expires: 0).
+ */
+Publisher.prototype.remove = function() {
+  debug('remove()');
+
+  if (this.status === C.STATUS_NULL || this.status === C.STATUS_TERMINATED) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (this.status === C.STATUS_REMOVING) {
+    debug('remove() | removal already in progress');
+    return;
+  }
+
+  this.status = C.STATUS_REMOVING;
+
+  clearTimeout(this.timers.refresh);
+
+  run.call(this, 'remove');
+};
+
+/**
+ * Called by the UA when it is stopped.
+ */
+Publisher.prototype.terminate = function() {
+  debug('terminate()');
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  if (this.etag && this.status !== C.STATUS_REMOVING) {
+    this.remove();
+  } else {
+    terminated.call(this, 'local', null, JsSIP_C.causes.BYE);
+  }
+};
+
+Publisher.prototype.close = function() {
+  debug('close()');
+
+  var idx;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  for (idx in this.timers) {
+    clearTimeout(this.timers[idx]);
+  }
+
+  this.status = C.STATUS_TERMINATED;
+
+  delete this.ua.publishers[this.id];
+};
+
+Publisher.prototype.isTerminated = function() {
+  return this.status === C.STATUS_TERMINATED;
+};
+
+
+/**
+ * RequestSender callbacks
+ */
+
+Publisher.prototype.receiveResponse = function(response) {
+  var expires, min_expires;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  // Discard responses to older PUBLISH requests.
+  if (response.cseq !== this.request.cseq) {
+    return;
+  }
+
+  if (/^1[0-9]{2}$/.test(response.status_code)) {
+    // Ignore provisional responses.
+    return;
+  }
+
+  this.sending = false;
+
+  switch(true) {
+    case /^2[0-9]{2}$/.test(response.status_code):
+      if (this.status === C.STATUS_REMOVING) {
+        // Response to the removal.
+        if (this.pending !== 'remove') {
+          terminated.call(this, 'local', response, JsSIP_C.causes.BYE);
+          return;
+        }
+
+        // Response to a previous PUBLISH, the removal needs its entity-tag.
+        if (response.hasHeader('sip-etag')) {
+          this.etag = response.getHeader('sip-etag');
+        }
+        break;
+      }
+
+      if (response.hasHeader('sip-etag')) {
+        this.etag = response.getHeader('sip-etag');
+      } else {
+        debug('no SIP-ETag header in 2xx response to PUBLISH');
+      }
+
+      if (response.hasHeader('expires')) {
+        expires = response.parseHeader('expires');
+      }
+      if (expires === undefined) {
+        expires = this.expires;
+      }
+
+      this.status = C.STATUS_PUBLISHED;
+
+      scheduleRefresh.call(this, expires);
+
+      this.emit('published', {
+        originator: 'remote',
+        response: response,
+        etag: this.etag,
+        expires: expires
+      });
+      break;
+
+    // Conditional Request Failed RFC 3903 4.1: publish the full state again.
+    case /^412$/.test(response.status_code):
+      this.etag = null;
+
+      if (this.status === C.STATUS_REMOVING) {
+        terminated.call(this, 'remote', response, JsSIP_C.causes.BYE);
+        return;
+      }
+
+      debug('412 response received for PUBLISH, publishing the full state again');
+      this.pending = null;
+      sendPublish.call(this, true);
+      return;
+
+    // Interval too brief RFC 3903 4.1
+    case /^423$/.test(response.status_code):
+      if (response.hasHeader('min-expires')) {
+        min_expires = response.parseHeader('min-expires');
+      }
+
+      if (min_expires && this.status !== C.STATUS_REMOVING) {
+        this.expires = min_expires;
+        sendPublish.call(this, !this.etag);
+        return;
+      }
+
+      debug('423 response received for PUBLISH without Min-Expires');
+      terminated.call(this, 'remote', response, JsSIP_C.causes.SIP_FAILURE_CODE);
+      return;
+
+    default:
+      terminated.call(this, 'remote', response, Utils.sipErrorCause(response.status_code));
+      return;
+  }
+
+  // Run the action requested while the previous PUBLISH was in progress.
+  if (this.pending) {
+    run.call(this, this.pending);
+  }
+};
+
+Publisher.prototype.onRequestTimeout = function() {
+  debugerror('onRequestTimeout()');
+
+  terminated.call(this, 'system', null, JsSIP_C.causes.REQUEST_TIMEOUT);
+};
+
+Publisher.prototype.onTransportError = function() {
+  debugerror('onTransportError()');
+
+  terminated.call(this, 'system', null, JsSIP_C.causes.CONNECTION_ERROR);
+};
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Send the requested action now or, if a PUBLISH is in progress, once it finishes.
+ * RFC 3903 4.1: a new PUBLISH must not be sent before the previous one completes.
+ */
+function run(action) {
+  // A removal supersedes any other pending action.
+  if (this.pending !== 'remove') {
+    // A modification includes a refresh.
+    if (!(this.pending === 'modify' && action === 'refresh')) {
+      this.pending = action;
+    }
+  }
+
+  if (this.sending) {
+    return;
+  }
+
+  action = this.pending;
+  this.pending = null;
+
+  switch(action) {
+    case 'modify':
+      sendPublish.call(this, true);
+      break;
+    case 'refresh':
+      sendPublish.call(this, false);
+      break;
+    case 'remove':
+      // Nothing to remove if the initial PUBLISH did not succeed.
+      if (!this.etag) {
+        terminated.call(this, 'local', null, JsSIP_C.causes.BYE);
+        break;
+      }
+      sendPublish.call(this, false, 0);
+      break;
+  }
+}
+
+/**
+ * Send a PUBLISH with (initial, modify) or without (refresh, remove) the event state.
+ */
+function sendPublish(withBody, expires) {
+  var extraHeaders;
+
+  if (expires === undefined) {
+    expires = this.expires;
+  }
+
+  extraHeaders = this.extraHeaders.slice();
+  extraHeaders.push('Event: '+ this.event);
+  extraHeaders.push('Expires: '+ expires);
+
+  if (this.etag) {
+    extraHeaders.push('SIP-If-Match: '+ this.etag);
+  }
+
+  if (withBody) {
+    extraHeaders.push('Content-Type: '+ this.content_type);
+  }
+
+  // Authentication may have increased the CSeq of the previous request.
+  this.cseq = (this.request ? this.request.cseq : this.cseq) + 1;
+
+  this.request = new SIPMessage.OutgoingRequest(JsSIP_C.PUBLISH, this.target, this.ua, {
+      'call_id': this.call_id,
+      'from_tag': this.from_tag,
+      'cseq': this.cseq,
+      'account': this.account
+    }, extraHeaders, withBody ? this.body : undefined);
+
+  this.sending = true;
+
+  new RequestSender(this, this.ua).send();
+}
+
+/**
+ * Refresh the publication before the given expires value (in seconds) elapses.
+ */
+function scheduleRefresh(expires) {
+  var timeout,
+    self = this;
+
+  clearTimeout(this.timers.refresh);
+
+  if (!expires) {
+    return;
+  }
+
+  // Leave some room for the refresh transaction to complete.
+  if (expires > 64) {
+    timeout = (expires - 32) * 1000;
+  } else {
+    timeout = expires * 500;
+  }
+
+  this.timers.refresh = setTimeout(function() {
+    self.timers.refresh = null;
+    if (self.status === C.STATUS_PUBLISHED) {
+      run.call(self, 'refresh');
+    }
+  }, timeout);
+}
+
+function terminated(originator, message, cause) {
+  debug('publication terminated');
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  this.close();
+  this.emit('terminated', {
+    originator: originator,
+    message: message || null,
+    cause: cause
+  });
+}
@@ -12,7 +12,10 @@ var C = {
   STATUS_WAITING_FOR_ACK:    6,
   STATUS_CANCELED:           7,
   STATUS_TERMINATED:         8,
-  STATUS_CONFIRMED:          9
+  STATUS_CONFIRMED:          9,
+
+  // Methods that can be sent with sendRequest().
+  IN_DIALOG_METHODS: ['INFO', 'MESSAGE', 'OPTIONS']
 };
 
 /**
@@ -35,12 +38,14 @@ var JsSIP_C = require('./Constants');
 var Exceptions = require('./Exceptions');
 var Transactions = require('./Transactions');
 var Utils = require('./Utils');
+var Grammar = require('./Grammar');
 var Timers = require('./Timers');
 var SIPMessage = require('./SIPMessage');
 var Dialog = require('./Dialog');
 var RequestSender = require('./RequestSender');
 var RTCSession_Request = require('./RTCSession/Request');
 var RTCSession_DTMF = require('./RTCSession/DTMF');
+var RTCSession_Info = require('./RTCSession/Info');
 var RTCSession_ReferNotifier = require('./RTCSession/ReferNotifier');
 var RTCSession_ReferSubscriber = require('./RTCSession/ReferSubscriber');
 
@@ -58,6 +63,9 @@ function RTCSession(ua) {
   this.status = C.STATUS_NULL;
   this.dialog = null;
   this.earlyDialogs = {};
+
+  // JsSIP.Account of the session (null for the UA main account).
+  this.account = null;
   this.connection = null;  // The rtcninja.RTCPeerConnection instance (public attribute).
 
   // RTCSession confirmation flag
@@ -66,6 +74,21 @@ function RTCSession(ua) {
   // is late SDP being negotiated
   this.late_sdp = false;
 
+  // SDP answer sent (UAS) or received (UAC) in a provisional response.
+  this.earlyMedia = null;
+
+  // UAC: branches answering the INVITE (forking), indexed by To tag. Each one
+  // with id, status ('early', 'confirmed' or 'terminated'), its last response,
+  // its last early media SDP and the cause of its termination.
+  this.forks = {};
+
+  // UAC: fork whose early media is rendered (the first one with SDP unless
+  // another one is chosen with selectFork()).
+  this.earlyMediaFork = null;
+
+  // UAC: fork whose early media SDP is the current remote description.
+  this.renderedFork = null;
+
   // Default rtcOfferConstraints and rtcAnswerConstrainsts (passed in connect() or answer()).
   this.rtcOfferConstraints = null;
   this.rtcAnswerConstraints = null;
@@ -82,7 +105,9 @@ function RTCSession(ua) {
     ackTimer: null,
     expiresTimer: null,
     invite2xxTimer: null,
-    userNoAnswerTimer: null
+    userNoAnswerTimer: null,
+    rel1xxTimer: null,
+    prackTimer: null
   };
 
   // Session info
@@ -109,6 +134,24 @@ function RTCSession(ua) {
     timer: null  // A setTimeout.
   };
 
+  // Reliable provisional responses (RFC 3262)
+  this.rel100 = {
+    supported: false,  // UAS: the INVITE supports 100rel.
+    required: false,   // UAS: the INVITE requires 100rel.
+    rseq: null,        // UAS: RSeq of the last reliable provisional response sent.
+    pending: null,     // UAS: reliable provisional response waiting for its PRACK.
+    onAcknowledged: null,  // UAS: 2xx response waiting for the PRACK of a provisional one with SDP.
+    queue: [],         // UAS: reliable provisional responses waiting to be sent.
+    remoteRSeqs: {},   // UAC: RSeq of the last reliable provisional response received per early dialog.
+    remoteAnswers: {}  // UAC: SDP answer received in a reliable provisional response per early dialog.
+  };
+
+  // Info Packages (RFC 6086)
+  this.infoPackages = {
+    local: [],   // Info Packages we are willing to receive (our Recv-Info).
+    remote: []   // Info Packages the peer is willing to receive (its Recv-Info).
+  };
+
   // Map of ReferSubscriber instances indexed by the REFER's CSeq number
   this.referSubscribers = {};
 
@@ -241,6 +284,8 @@ RTCSession.prototype.connect = function(target, options, initCallback) {
     throw new TypeError('Not enough arguments');
   }
 
+  this.infoPackages.local = checkInfoPackages(options.infoPackages);
+
   // Check WebRTC support.
   if (! rtcninja.hasWebRTC()) {
     throw new Exceptions.NotSupportedError('WebRTC not supported');
@@ -252,6 +297,14 @@ RTCSession.prototype.connect = function(target, options, initCallback) {
     throw new TypeError('Invalid target: '+ originalTarget);
   }
 
+  // Check account validity
+  if (options.account) {
+    this.account = this.ua.getAccount(options.account);
+    if (!this.account) {
+      throw new TypeError('Invalid account: '+ options.account);
+    }
+  }
+
   // Check Session Status
   if (this.status !== C.STATUS_NULL) {
     throw new Exceptions.InvalidStateError(this.status);
@@ -271,9 +324,9 @@ RTCSession.prototype.connect = function(target, options, initCallback) {
   // OutgoingSession specific parameters
   this.isCanceled = false;
 
-  requestParams = {from_tag: this.from_tag};
+  requestParams = {from_tag: this.from_tag, account: this.account};
 
-  this.contact = this.ua.contact.toString({
+  this.contact = (this.account || this.ua).contact.toString({
     anonymous: this.anonymous,
     outbound: true
   });
@@ -282,7 +335,7 @@ RTCSession.prototype.connect = function(target, options, initCallback) {
     requestParams.from_display_name = 'Anonymous';
     requestParams.from_uri = 'sip:anonymous@anonymous.invalid';
 
-    extraHeaders.push('P-Preferred-Identity: '+ this.ua.configuration.uri.toString());
+    extraHeaders.push('P-Preferred-Identity: '+ (this.account || this.ua).configuration.uri.toString());
     extraHeaders.push('Privacy: id');
   }
 
@@ -291,6 +344,9 @@ RTCSession.prototype.connect = function(target, options, initCallback) {
   if (this.sessionTimers.enabled) {
     extraHeaders.push('Session-Expires: ' + this.sessionTimers.defaultExpires);
   }
+  if (this.infoPackages.local.length) {
+    extraHeaders.push('Recv-Info: ' + this.infoPackages.local.join(', '));
+  }
 
   this.request = new SIPMessage.OutgoingRequest(JsSIP_C.INVITE, target, this.ua, requestParams, extraHeaders);
 
@@ -336,7 +392,8 @@ RTCSession.prototype.init_incoming = function(request, initCallback) {
   this.from_tag = request.from_tag;
   this.id = request.call_id + this.from_tag;
   this.request = request;
-  this.contact = this.ua.contact.toString();
+  this.account = request.account || null;
+  this.contact = (this.account || this.ua).contact.toString();
 
   // Save the session into the ua sessions collection.
   this.ua.sessions[this.id] = this;
@@ -364,6 +421,13 @@ RTCSession.prototype.init_incoming = function(request, initCallback) {
     this.late_sdp = true;
   }
 
+  // Info Packages the peer is willing to receive.
+  updateRemoteInfoPackages.call(this, request);
+
+  // Reliable provisional responses (RFC 3262).
+  this.rel100.required = hasOptionTag(request, 'require', '100rel');
+  this.rel100.supported = this.rel100.required || hasOptionTag(request, 'supported', '100rel');
+
   this.status = C.STATUS_WAITING_FOR_ANSWER;
 
   // Set userNoAnswerTimer
@@ -406,7 +470,7 @@ RTCSession.prototype.init_incoming = function(request, initCallback) {
   }
 
   // Reply 180.
-  request.reply(180, null, ['Contact: ' + self.contact]);
+  sendProvisional.call(this, 180);
 
   // Fire 'progress' event.
   // TODO: Document that 'response' field in 'progress' event is null for
@@ -415,29 +479,78 @@ RTCSession.prototype.init_incoming = function(request, initCallback) {
 };
 
 
+/**
+ * Send a provisional response to the incoming call.
+ * It is sent reliably (RFC 3262) if the INVITE requires 100rel.
+ *
+ * If a mediaStream or mediaConstraints option is given, an SDP answer to the
+ * offer in the INVITE is generated and sent in the provisional response (early
+ * media). answer() then reuses the same negotiation.
+ */
+RTCSession.prototype.progress = function(options) {
+  debug('progress()');
+
+  options = options || {};
+
+  var
+    self = this,
+    withMedia = options.mediaStream !== undefined || options.mediaConstraints !== undefined,
+    status_code = options.status_code || (withMedia ? 183 : 180),
+    reason_phrase = options.reason_phrase,
+    extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [];
+
+  // Check Session Direction and Status
+  if (this.direction !== 'incoming') {
+    throw new Exceptions.NotSupportedError('"progress" not supported for outgoing RTCSession');
+  } else if (this.status !== C.STATUS_WAITING_FOR_ANSWER) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (status_code <= 100 || status_code >= 200) {
+    throw new TypeError('Invalid status_code: '+ status_code);
+  }
+
+  if (!withMedia) {
+    sendProvisional.call(this, status_code, reason_phrase, extraHeaders);
+    progress.call(this, 'local', null);
+    return;
+  }
+
+  // Early media requires an SDP offer in the INVITE and can be negotiated just once.
+  if (this.late_sdp) {
+    throw new Exceptions.NotSupportedError('early media not supported for an INVITE without SDP');
+  } else if (this.earlyMedia || this.connection) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  setupIncomingMedia.call(this, options, function(desc) {
+    if (self.status !== C.STATUS_WAITING_FOR_ANSWER) { return; }
+
+    self.earlyMedia = desc;
+
+    sendProvisional.call(self, status_code, reason_phrase, extraHeaders, desc);
+    progress.call(self, 'local', null);
+    earlyMedia.call(self, 'local', null);
+  });
+};
+
+
 /**
  * Answer the call.
+ * If early media was sent with progress() the same negotiation is reused
+ * and the media options are ignored.
  */
 RTCSession.prototype.answer = function(options) {
   debug('answer()');
 
   options = options || {};
 
-  var idx, length, sdp, tracks,
-    peerHasAudioLine = false,
-    peerHasVideoLine = false,
-    peerOffersFullAudio = false,
-    peerOffersFullVideo = false,
+  var
     self = this,
     request = this.request,
-    extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [],
-    mediaConstraints = options.mediaConstraints || {},
-    mediaStream = options.mediaStream || null,
-    pcConfig = options.pcConfig || {iceServers:[]},
-    rtcConstraints = options.rtcConstraints || null,
-    rtcAnswerConstraints = options.rtcAnswerConstraints || null;
+    extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [];
 
-  this.rtcAnswerConstraints = rtcAnswerConstraints;
+  this.rtcAnswerConstraints = options.rtcAnswerConstraints || null;
   this.rtcOfferConstraints = options.rtcOfferConstraints || null;
 
   // Session Timers.
@@ -454,11 +567,16 @@ RTCSession.prototype.answer = function(options) {
 
   this.data = options.data || this.data;
 
+  this.infoPackages.local = checkInfoPackages(options.infoPackages);
+
   // Check Session Direction and Status
   if (this.direction !== 'incoming') {
     throw new Exceptions.NotSupportedError('"answer" not supported for outgoing RTCSession');
   } else if (this.status !== C.STATUS_WAITING_FOR_ANSWER) {
     throw new Exceptions.InvalidStateError(this.status);
+  } else if (this.connection && !this.earlyMedia) {
+    // Early media still being negotiated.
+    throw new Exceptions.InvalidStateError(this.status);
   }
 
   this.status = C.STATUS_ANSWERED;
@@ -473,151 +591,40 @@ RTCSession.prototype.answer = function(options) {
 
   extraHeaders.unshift('Contact: ' + self.contact);
 
-  // Determine incoming media from incoming SDP offer (if any).
-  sdp = request.parseSDP();
-
-  // Make sure sdp.media is an array, not the case if there is only one media
-  if (! Array.isArray(sdp.media)) {
-    sdp.media = [sdp.media];
-  }
-
-  // Go through all medias in SDP to find offered capabilities to answer with
-  idx = sdp.media.length;
-  while(idx--) {
-    var m = sdp.media[idx];
-    if (m.type === 'audio') {
-      peerHasAudioLine = true;
-      if (!m.direction || m.direction === 'sendrecv') {
-        peerOffersFullAudio = true;
-      }
-    }
-    if (m.type === 'video') {
-      peerHasVideoLine = true;
-      if (!m.direction || m.direction === 'sendrecv') {
-        peerOffersFullVideo = true;
-      }
-    }
-  }
-
-  // Remove audio from mediaStream if suggested by mediaConstraints
-  if (mediaStream && mediaConstraints.audio === false) {
-    tracks = mediaStream.getAudioTracks();
-    length = tracks.length;
-    for (idx=0; idx<length; idx++) {
-      mediaStream.removeTrack(tracks[idx]);
-    }
-  }
-
-  // Remove video from mediaStream if suggested by mediaConstraints
-  if (mediaStream && mediaConstraints.video === false) {
-    tracks = mediaStream.getVideoTracks();
-    length = tracks.length;
-    for (idx=0; idx<length; idx++) {
-      mediaStream.removeTrack(tracks[idx]);
-    }
+  // RFC 6086 4.2.1: answer with our Info Packages if the INVITE had Recv-Info.
+  if (this.infoPackages.local.length || request.hasHeader('recv-info')) {
+    extraHeaders.push('Recv-Info: ' + this.infoPackages.local.join(', '));
   }
 
-  // Set audio constraints based on incoming stream if not supplied
-  if (!mediaStream && mediaConstraints.audio === undefined) {
-    mediaConstraints.audio = peerOffersFullAudio;
-  }
-
-  // Set video constraints based on incoming stream if not supplied
-  if (!mediaStream && mediaConstraints.video === undefined) {
-    mediaConstraints.video = peerOffersFullVideo;
-  }
-
-  // Don't ask for audio if the incoming offer has no audio section
-  if (!mediaStream && !peerHasAudioLine) {
-    mediaConstraints.audio = false;
-  }
-
-  // Don't ask for video if the incoming offer has no video section
-  if (!mediaStream && !peerHasVideoLine) {
-    mediaConstraints.video = false;
-  }
-
-  // Create a new rtcninja.RTCPeerConnection instance.
-  // TODO: This may throw an error, should react.
-  createRTCConnection.call(this, pcConfig, rtcConstraints);
-
-  // If a local MediaStream is given use it.
-  if (mediaStream) {
-    userMediaSucceeded(mediaStream);
-  // If at least audio or video is requested prompt getUserMedia.
-  } else if (mediaConstraints.audio || mediaConstraints.video) {
-    self.localMediaStreamLocallyGenerated = true;
-    rtcninja.getUserMedia(
-      mediaConstraints,
-      userMediaSucceeded,
-      userMediaFailed
-    );
-  // Otherwise don't prompt getUserMedia.
+  // Early media already negotiated, answer with the same SDP.
+  if (this.earlyMedia) {
+    rtcSucceeded(this.earlyMedia);
   } else {
-    userMediaSucceeded(null);
-  }
-
-  // User media succeeded
-  function userMediaSucceeded(stream) {
-    if (self.status === C.STATUS_TERMINATED) { return; }
-
-    self.localMediaStream = stream;
-    if (stream) {
-      self.connection.addStream(stream);
-    }
-
-    // If it's an incoming INVITE without SDP notify the app with the
-    // RTCPeerConnection so it can do stuff on it before generating the offer.
-    if (! self.request.body) {
-      self.emit('peerconnection', {
-        peerconnection: self.connection
-      });
-    }
-
-    if (! self.late_sdp) {
-      var e = {originator:'remote', type:'offer', sdp:request.body};
-      self.emit('sdp', e);
-
-      self.connection.setRemoteDescription(
-        new rtcninja.RTCSessionDescription({type:'offer', sdp:e.sdp}),
-        // success
-        remoteDescriptionSucceededOrNotNeeded,
-        // failure
-        function() {
-          request.reply(488);
-          failed.call(self, 'system', null, JsSIP_C.causes.WEBRTC_ERROR);
-        }
-      );
-    }
-    else {
-      remoteDescriptionSucceededOrNotNeeded();
-    }
+    setupIncomingMedia.call(this, options, rtcSucceeded);
   }
 
-  // User media failed
-  function userMediaFailed() {
+  function rtcSucceeded(desc) {
     if (self.status === C.STATUS_TERMINATED) { return; }
 
-    request.reply(480);
-    failed.call(self, 'local', null, JsSIP_C.causes.USER_DENIED_MEDIA_ACCESS);
-  }
-
-  function remoteDescriptionSucceededOrNotNeeded() {
-    connecting.call(self, request);
-    if (! self.late_sdp) {
-      createLocalDescription.call(self, 'answer', rtcSucceeded, rtcFailed, rtcAnswerConstraints);
-    } else {
-      createLocalDescription.call(self, 'offer', rtcSucceeded, rtcFailed, self.rtcOfferConstraints);
+    // RFC3262 3: do not send the 2xx until the reliable provisional response
+    // carrying the SDP is acknowledged.
+    if (self.rel100.pending && self.rel100.pending.body) {
+      debug('waiting for PRACK before sending the 2xx response');
+      self.rel100.onAcknowledged = function() {
+        rtcSucceeded(desc);
+      };
+      return;
     }
-  }
-
-  function rtcSucceeded(desc) {
-    if (self.status === C.STATUS_TERMINATED) { return; }
 
     // run for reply success callback
     function replySucceeded() {
       self.status = C.STATUS_WAITING_FOR_ACK;
 
+      // No more provisional responses after the final one.
+      clearTimeout(self.timers.rel1xxTimer);
+      clearTimeout(self.timers.prackTimer);
+      self.rel100.queue = [];
+
       setInvite2xxTimer.call(self, request, desc);
       setACKTimer.call(self);
       accepted.call(self, 'local');
@@ -636,13 +643,6 @@ RTCSession.prototype.answer = function(options) {
       replyFailed
     );
   }
-
-  function rtcFailed() {
-    if (self.status === C.STATUS_TERMINATED) { return; }
-
-    request.reply(500);
-    failed.call(self, 'system', null, JsSIP_C.causes.WEBRTC_ERROR);
-  }
 };
 
 
@@ -740,7 +740,7 @@ RTCSession.prototype.terminate = function(options) {
         // Send the BYE as soon as the ACK is received...
         this.receiveRequest = function(request) {
           if(request.method === JsSIP_C.ACK) {
-            sendRequest.call(this, JsSIP_C.BYE, {
+            sendDialogRequest.call(this, JsSIP_C.BYE, {
               extraHeaders: extraHeaders,
               body: body
             });
@@ -751,7 +751,7 @@ RTCSession.prototype.terminate = function(options) {
         // .., or when the INVITE transaction times out
         this.request.server_transaction.on('stateChanged', function(){
           if (this.state === Transactions.C.STATUS_TERMINATED) {
-            sendRequest.call(self, JsSIP_C.BYE, {
+            sendDialogRequest.call(self, JsSIP_C.BYE, {
               extraHeaders: extraHeaders,
               body: body
             });
@@ -768,7 +768,7 @@ RTCSession.prototype.terminate = function(options) {
         this.ua.dialogs[dialog.id.toString()] = dialog;
 
       } else {
-        sendRequest.call(this, JsSIP_C.BYE, {
+        sendDialogRequest.call(this, JsSIP_C.BYE, {
           extraHeaders: extraHeaders,
           body: body
         });
@@ -930,6 +930,71 @@ RTCSession.prototype.sendDTMF = function(tones, options) {
 };
 
 
+/**
+ * Render the early media of the given fork (UAC) instead of the current one.
+ * If the fork has not sent SDP yet it is rendered once it does.
+ */
+RTCSession.prototype.selectFork = function(id) {
+  debug('selectFork() | id: %s', id);
+
+  var fork = this.forks[id];
+
+  if (!fork) {
+    throw new TypeError('Invalid fork: '+ id);
+  }
+
+  // Check Session Status
+  if (this.status !== C.STATUS_1XX_RECEIVED || fork.status !== 'early') {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  this.earlyMediaFork = fork.id;
+
+  if (fork.sdp) {
+    renderEarlyMedia.call(this, fork);
+  }
+};
+
+
+/**
+ * Send an INFO with the given content, within an Info Package if
+ * options.infoPackage is given (it must be one of the peer Recv-Info ones).
+ */
+RTCSession.prototype.sendInfo = function(contentType, body, options) {
+  debug('sendInfo()');
+
+  var info = new RTCSession_Info(this);
+
+  info.send(contentType, body, options);
+
+  return info;
+};
+
+
+/**
+ * Send a generic in dialog request (INFO, MESSAGE or OPTIONS).
+ */
+RTCSession.prototype.sendRequest = function(method, options) {
+  debug('sendRequest() | method: %s', method);
+
+  var request;
+
+  if (C.IN_DIALOG_METHODS.indexOf(method) === -1) {
+    throw new TypeError('Invalid method: '+ method);
+  }
+
+  // Check Session Status
+  if (this.status !== C.STATUS_CONFIRMED && this.status !== C.STATUS_WAITING_FOR_ACK) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  request = new RTCSession_Request(this, method);
+  request.send(options);
+
+  return request;
+};
+
+
 /**
  * Mute
  */
@@ -1209,7 +1274,7 @@ RTCSession.prototype.refer = function(target, options) {
 RTCSession.prototype.receiveRequest = function(request) {
   debug('receiveRequest()');
 
-  var contentType,
+  var contentType, infoPackage,
       self = this;
 
   if(request.method === JsSIP_C.CANCEL) {
@@ -1308,9 +1373,25 @@ RTCSession.prototype.receiveRequest = function(request) {
       case JsSIP_C.INFO:
         if(this.status === C.STATUS_CONFIRMED || this.status === C.STATUS_WAITING_FOR_ACK || this.status === C.STATUS_INVITE_RECEIVED) {
           contentType = request.getHeader('content-type');
-          if (contentType && (contentType.match(/^application\/dtmf-relay/i))) {
+          infoPackage = request.getHeader('info-package');
+
+          if (infoPackage) {
+            // RFC 6086 4.2.2: reject the Info Packages we did not ask for.
+            infoPackage = infoPackage.split(';')[0].trim();
+
+            if (this.infoPackages.local.indexOf(infoPackage.toLowerCase()) !== -1) {
+              new RTCSession_Info(this).init_incoming(request, infoPackage);
+            } else {
+              request.reply(469, null, ['Recv-Info: ' + this.infoPackages.local.join(', ')]);
+            }
+          }
+          else if (contentType && (contentType.match(/^application\/dtmf-relay/i))) {
             new RTCSession_DTMF(this).init_incoming(request);
           }
+          // Legacy INFO usage, just if the application listens to it.
+          else if (this.listeners('newInfo').length > 0) {
+            new RTCSession_Info(this).init_incoming(request);
+          }
           else {
             request.reply(415);
           }
@@ -1343,6 +1424,17 @@ RTCSession.prototype.receiveRequest = function(request) {
           request.reply(403, 'Wrong Status');
         }
         break;
+      case JsSIP_C.PRACK:
+        if(this.direction === 'incoming' &&
+            (this.status === C.STATUS_WAITING_FOR_ANSWER ||
+            this.status === C.STATUS_ANSWERED ||
+            this.status === C.STATUS_WAITING_FOR_ACK)) {
+          receivePrack.call(this, request);
+        }
+        else {
+          request.reply(403, 'Wrong Status');
+        }
+        break;
       default:
         request.reply(501);
     }
@@ -1401,6 +1493,14 @@ RTCSession.prototype.newDTMF = function(data) {
 };
 
 
+// Called from Info handler.
+RTCSession.prototype.newInfo = function(data) {
+  debug('newInfo()');
+
+  this.emit('newInfo', data);
+};
+
+
 RTCSession.prototype.resetLocalMedia = function() {
   debug('resetLocalMedia()');
 
@@ -1441,10 +1541,247 @@ function setInvite2xxTimer(request, body) {
         timeout = Timers.T2;
       }
     }
-    self.timers.invite2xxTimer = setTimeout(
-      invite2xxRetransmission, timeout
-    );
-  }, timeout);
+    self.timers.invite2xxTimer = setTimeout(
+      invite2xxRetransmission, timeout
+    );
+  }, timeout);
+}
+
+
+/**
+ * RFC3262 3
+ * Send a provisional response, reliably if the INVITE requires 100rel (or
+ * supports it and the response carries a body). Just a reliable provisional response can be waiting for its PRACK, so
+ * the next ones are queued until then.
+ */
+function sendProvisional(status_code, reason_phrase, extraHeaders, body) {
+  var
+    self = this,
+    request = this.request,
+    timeout = Timers.T1,
+    rel1xx;
+
+  extraHeaders = extraHeaders && extraHeaders.slice() || [];
+  extraHeaders.unshift('Contact: ' + this.contact);
+
+  if (!this.rel100.required && !(this.rel100.supported && body)) {
+    request.reply(status_code, reason_phrase, extraHeaders, body);
+    return;
+  }
+
+  if (this.rel100.pending) {
+    debug('reliable provisional response waiting for PRACK, queueing %d', status_code);
+    this.rel100.queue.push([status_code, reason_phrase, extraHeaders.slice(1), body]);
+    return;
+  }
+
+  if (this.rel100.rseq === null) {
+    this.rel100.rseq = Math.floor(Math.random() * 10000);
+  }
+
+  rel1xx = {
+    rseq: this.rel100.rseq += 1,
+    status_code: status_code,
+    body: body || null
+  };
+
+  extraHeaders.push('Require: 100rel');
+  extraHeaders.push('RSeq: ' + rel1xx.rseq);
+
+  this.rel100.pending = rel1xx;
+
+  request.reply(status_code, reason_phrase, extraHeaders, body);
+
+  // Retransmit it doubling the interval until the PRACK arrives.
+  this.timers.rel1xxTimer = setTimeout(function rel1xxRetransmission() {
+    if (self.rel100.pending !== rel1xx || !isEarly.call(self)) {
+      return;
+    }
+
+    request.reply(status_code, reason_phrase, extraHeaders, body);
+
+    timeout = timeout * 2;
+    self.timers.rel1xxTimer = setTimeout(rel1xxRetransmission, timeout);
+  }, timeout);
+
+  // Give up if no PRACK arrives in 64*T1.
+  this.timers.prackTimer = setTimeout(function() {
+    if (self.rel100.pending !== rel1xx || !isEarly.call(self)) {
+      return;
+    }
+
+    debug('no PRACK received, rejecting the session');
+    clearTimeout(self.timers.rel1xxTimer);
+    request.reply(504);
+    failed.call(self, 'system', null, JsSIP_C.causes.NO_PRACK);
+  }, Timers.TIMER_H);
+}
+
+/**
+ * RFC3262 3
+ * PRACK reception for a reliable provisional response.
+ */
+function receivePrack(request) {
+  debug('receivePrack()');
+
+  var next, onAcknowledged,
+    rack = request.parseHeader('rack'),
+    rel1xx = this.rel100.pending;
+
+  if (!rel1xx || !rack ||
+      rack.rseq !== rel1xx.rseq ||
+      rack.cseq !== this.request.cseq ||
+      rack.method !== JsSIP_C.INVITE) {
+    debug('PRACK not matching any unacknowledged reliable provisional response');
+    request.reply(481);
+    return;
+  }
+
+  clearTimeout(this.timers.rel1xxTimer);
+  clearTimeout(this.timers.prackTimer);
+  this.rel100.pending = null;
+
+  request.reply(200);
+
+  // Send the 2xx response waiting for this PRACK.
+  if (this.rel100.onAcknowledged) {
+    onAcknowledged = this.rel100.onAcknowledged;
+    this.rel100.onAcknowledged = null;
+    onAcknowledged();
+    return;
+  }
+
+  // Send the next queued reliable provisional response.
+  if (isEarly.call(this) && this.rel100.queue.length) {
+    next = this.rel100.queue.shift();
+    sendProvisional.apply(this, next);
+  }
+}
+
+/**
+ * RFC3262 4
+ * Reception of a reliable provisional response. Send a PRACK for it.
+ * Returns false if the response is a retransmission or arrived out of order
+ * and so it must be ignored.
+ */
+function receiveReliableProvisional(response) {
+  var dialog, last_rseq,
+    id = response.call_id + response.from_tag + response.to_tag,
+    rseq = response.parseHeader('rseq');
+
+  if (rseq === undefined) {
+    debug('reliable provisional response without a valid RSeq, handled as unreliable');
+    return true;
+  }
+
+  dialog = this.earlyDialogs[id];
+  if (!dialog) {
+    debug('no early dialog for the reliable provisional response, cannot send PRACK');
+    return true;
+  }
+
+  last_rseq = this.rel100.remoteRSeqs[id];
+  if (last_rseq !== undefined && rseq !== last_rseq + 1) {
+    debug('reliable provisional response retransmitted or out of order, ignoring it');
+    return false;
+  }
+
+  this.rel100.remoteRSeqs[id] = rseq;
+
+  // RFC 3262 5: the SDP of a PRACKed reliable provisional response is the
+  // answer, so the 2xx may not carry it.
+  if (response.body) {
+    this.rel100.remoteAnswers[id] = response.body;
+  }
+
+  dialog.sendRequest({
+      onRequestTimeout: function() {
+        debugerror('PRACK request timeout');
+      },
+      onTransportError: function() {
+        debugerror('PRACK transport error');
+      },
+      onDialogError: function() {
+        debugerror('PRACK dialog error');
+      },
+      receiveResponse: function(response) {
+        if (response.status_code >= 300) {
+          debugerror('PRACK rejected with status code %d', response.status_code);
+        }
+      }
+    }, JsSIP_C.PRACK, {
+      extraHeaders: ['RAck: ' + rseq + ' ' + response.cseq + ' ' + JsSIP_C.INVITE]
+    });
+
+  return true;
+}
+
+/**
+ * Whether the incoming call has not been answered yet.
+ */
+function isEarly() {
+  return this.status === C.STATUS_WAITING_FOR_ANSWER || this.status === C.STATUS_ANSWERED;
+}
+
+/**
+ * Whether the given option tag is present in the given header (ie: Require, Supported).
+ */
+function hasOptionTag(message, header, option_tag) {
+  return message.getHeaders(header).some(function(value) {
+    return value.split(',').some(function(tag) {
+      return tag.trim().toLowerCase() === option_tag;
+    });
+  });
+}
+
+/**
+ * Check the Info Packages given in connect() or answer() (lowercased).
+ */
+function checkInfoPackages(infoPackages) {
+  if (infoPackages === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(infoPackages) || !infoPackages.every(function(infoPackage) {
+    return Utils.isString(infoPackage) && Grammar.parse(infoPackage, 'token') !== -1;
+  })) {
+    throw new TypeError('Invalid infoPackages: '+ infoPackages);
+  }
+
+  return infoPackages.map(function(infoPackage) {
+    return infoPackage.toLowerCase();
+  });
+}
+
+/**
+ * Store the Info Packages the peer is willing to receive (RFC 6086), if the
+ * message has a Recv-Info header.
+ */
+function updateRemoteInfoPackages(message) {
+  if (!message.hasHeader('recv-info')) {
+    return;
+  }
+
+  this.infoPackages.remote = [];
+
+  message.getHeaders('recv-info').join(',').split(',').forEach(function(infoPackage) {
+    infoPackage = infoPackage.split(';')[0].trim().toLowerCase();
+
+    if (infoPackage) {
+      this.infoPackages.remote.push(infoPackage);
+    }
+  }, this);
+}
+
+
+/**
+ * Add our Info Packages to the 2xx of a re-INVITE or UPDATE that had Recv-Info
+ * (RFC 6086 5.2.2).
+ */
+function addRecvInfo(request, extraHeaders) {
+  if (request.hasHeader('recv-info')) {
+    extraHeaders.push('Recv-Info: ' + this.infoPackages.local.join(', '));
+  }
 }
 
 
@@ -1460,7 +1797,7 @@ function setACKTimer() {
     if(self.status === C.STATUS_WAITING_FOR_ACK) {
       debug('no ACK received, terminating the session');
       clearTimeout(self.timers.invite2xxTimer);
-      sendRequest.call(self, JsSIP_C.BYE);
+      sendDialogRequest.call(self, JsSIP_C.BYE);
       ended.call(self, 'remote', null, JsSIP_C.causes.NO_ACK);
     }
   }, Timers.TIMER_H);
@@ -1494,6 +1831,177 @@ function createRTCConnection(pcConfig, rtcConstraints) {
   };
 }
 
+/**
+ * Get the local media and generate the local description for the incoming
+ * INVITE (an answer or, if it has no SDP, an offer). Used by answer() and by
+ * progress() for early media.
+ */
+function setupIncomingMedia(options, onSuccess) {
+  var idx, length, sdp, tracks,
+    peerHasAudioLine = false,
+    peerHasVideoLine = false,
+    peerOffersFullAudio = false,
+    peerOffersFullVideo = false,
+    self = this,
+    request = this.request,
+    mediaConstraints = options.mediaConstraints || {},
+    mediaStream = options.mediaStream || null,
+    pcConfig = options.pcConfig || {iceServers:[]},
+    rtcConstraints = options.rtcConstraints || null,
+    rtcAnswerConstraints = options.rtcAnswerConstraints || null;
+
+  // Determine incoming media from incoming SDP offer (if any).
+  sdp = request.parseSDP();
+
+  // Make sure sdp.media is an array, not the case if there is only one media
+  if (! Array.isArray(sdp.media)) {
+    sdp.media = [sdp.media];
+  }
+
+  // Go through all medias in SDP to find offered capabilities to answer with
+  idx = sdp.media.length;
+  while(idx--) {
+    var m = sdp.media[idx];
+    if (m.type === 'audio') {
+      peerHasAudioLine = true;
+      if (!m.direction || m.direction === 'sendrecv') {
+        peerOffersFullAudio = true;
+      }
+    }
+    if (m.type === 'video') {
+      peerHasVideoLine = true;
+      if (!m.direction || m.direction === 'sendrecv') {
+        peerOffersFullVideo = true;
+      }
+    }
+  }
+
+  // Remove audio from mediaStream if suggested by mediaConstraints
+  if (mediaStream && mediaConstraints.audio === false) {
+    tracks = mediaStream.getAudioTracks();
+    length = tracks.length;
+    for (idx=0; idx<length; idx++) {
+      mediaStream.removeTrack(tracks[idx]);
+    }
+  }
+
+  // Remove video from mediaStream if suggested by mediaConstraints
+  if (mediaStream && mediaConstraints.video === false) {
+    tracks = mediaStream.getVideoTracks();
+    length = tracks.length;
+    for (idx=0; idx<length; idx++) {
+      mediaStream.removeTrack(tracks[idx]);
+    }
+  }
+
+  // Set audio constraints based on incoming stream if not supplied
+  if (!mediaStream && mediaConstraints.audio === undefined) {
+    mediaConstraints.audio = peerOffersFullAudio;
+  }
+
+  // Set video constraints based on incoming stream if not supplied
+  if (!mediaStream && mediaConstraints.video === undefined) {
+    mediaConstraints.video = peerOffersFullVideo;
+  }
+
+  // Don't ask for audio if the incoming offer has no audio section
+  if (!mediaStream && !peerHasAudioLine) {
+    mediaConstraints.audio = false;
+  }
+
+  // Don't ask for video if the incoming offer has no video section
+  if (!mediaStream && !peerHasVideoLine) {
+    mediaConstraints.video = false;
+  }
+
+  // Create a new rtcninja.RTCPeerConnection instance.
+  // TODO: This may throw an error, should react.
+  createRTCConnection.call(this, pcConfig, rtcConstraints);
+
+  // If a local MediaStream is given use it.
+  if (mediaStream) {
+    userMediaSucceeded(mediaStream);
+  // If at least audio or video is requested prompt getUserMedia.
+  } else if (mediaConstraints.audio || mediaConstraints.video) {
+    self.localMediaStreamLocallyGenerated = true;
+    rtcninja.getUserMedia(
+      mediaConstraints,
+      userMediaSucceeded,
+      userMediaFailed
+    );
+  // Otherwise don't prompt getUserMedia.
+  } else {
+    userMediaSucceeded(null);
+  }
+
+  // User media succeeded
+  function userMediaSucceeded(stream) {
+    if (self.status === C.STATUS_TERMINATED) { return; }
+
+    self.localMediaStream = stream;
+    if (stream) {
+      self.connection.addStream(stream);
+    }
+
+    // If it's an incoming INVITE without SDP notify the app with the
+    // RTCPeerConnection so it can do stuff on it before generating the offer.
+    if (! self.request.body) {
+      self.emit('peerconnection', {
+        peerconnection: self.connection
+      });
+    }
+
+    if (! self.late_sdp) {
+      var e = {originator:'remote', type:'offer', sdp:request.body};
+      self.emit('sdp', e);
+
+      self.connection.setRemoteDescription(
+        new rtcninja.RTCSessionDescription({type:'offer', sdp:e.sdp}),
+        // success
+        remoteDescriptionSucceededOrNotNeeded,
+        // failure
+        function() {
+          request.reply(488);
+          failed.call(self, 'system', null, JsSIP_C.causes.WEBRTC_ERROR);
+        }
+      );
+    }
+    else {
+      remoteDescriptionSucceededOrNotNeeded();
+    }
+  }
+
+  // User media failed
+  function userMediaFailed() {
+    if (self.status === C.STATUS_TERMINATED) { return; }
+
+    request.reply(480);
+    failed.call(self, 'local', null, JsSIP_C.causes.USER_DENIED_MEDIA_ACCESS);
+  }
+
+  function remoteDescriptionSucceededOrNotNeeded() {
+    connecting.call(self, request);
+    if (! self.late_sdp) {
+      createLocalDescription.call(self, 'answer', rtcSucceeded, rtcFailed, rtcAnswerConstraints);
+    } else {
+      createLocalDescription.call(self, 'offer', rtcSucceeded, rtcFailed, self.rtcOfferConstraints);
+    }
+  }
+
+  function rtcSucceeded(desc) {
+    if (self.status === C.STATUS_TERMINATED) { return; }
+
+    onSuccess(desc);
+  }
+
+  function rtcFailed() {
+    if (self.status === C.STATUS_TERMINATED) { return; }
+
+    request.reply(500);
+    failed.call(self, 'system', null, JsSIP_C.causes.WEBRTC_ERROR);
+  }
+}
+
 function createLocalDescription(type, onSuccess, onFailure, constraints) {
   debug('createLocalDescription()');
 
@@ -1675,6 +2183,9 @@ function receiveReinvite(request) {
     return;
   }
 
+  // RFC 6086 5.2.2: the peer may update its Info Packages.
+  updateRemoteInfoPackages.call(this, request);
+
   if (request.body) {
     this.late_sdp = false;
     if (contentType !== 'application/sdp') {
@@ -1728,6 +2239,7 @@ function receiveReinvite(request) {
       function(sdp) {
         var extraHeaders = ['Contact: ' + self.contact];
         handleSessionTimersInIncomingRequest.call(self, request, extraHeaders);
+        addRecvInfo.call(self, request, extraHeaders);
 
         if (self.late_sdp) {
           sdp = mangleOffer.call(self, sdp);
@@ -1815,9 +2327,13 @@ function receiveUpdate(request) {
     return;
   }
 
+  // RFC 6086 5.2.2: the peer may update its Info Packages.
+  updateRemoteInfoPackages.call(this, request);
+
   if (! request.body) {
     var extraHeaders = [];
     handleSessionTimersInIncomingRequest.call(this, request, extraHeaders);
+    addRecvInfo.call(this, request, extraHeaders);
     request.reply(200, null, extraHeaders);
     return;
   }
@@ -1869,6 +2385,7 @@ function receiveUpdate(request) {
         function(sdp) {
           var extraHeaders = ['Contact: ' + self.contact];
           handleSessionTimersInIncomingRequest.call(self, request, extraHeaders);
+          addRecvInfo.call(self, request, extraHeaders);
           request.reply(200, null, extraHeaders, sdp);
 
           // If callback is given execute it.
@@ -2121,7 +2638,7 @@ function sendInitialRequest(mediaConstraints, rtcOfferConstraints, mediaStream)
 function receiveInviteResponse(response) {
   debug('receiveInviteResponse()');
 
-  var cause, dialog, e,
+  var answer, cause, dialog, e, fork, id,
     self = this;
 
   // Handle 2XX retransmissions and responses from forked requests
@@ -2134,12 +2651,14 @@ function receiveInviteResponse(response) {
     if (this.dialog.id.call_id === response.call_id &&
         this.dialog.id.local_tag === response.from_tag &&
         this.dialog.id.remote_tag === response.to_tag) {
-      sendRequest.call(this, JsSIP_C.ACK);
+      sendDialogRequest.call(this, JsSIP_C.ACK);
       return;
     }
 
     // If not, send an ACK  and terminate
     else  {
+      debug('2xx response from another fork, terminating it');
+
       dialog = new Dialog(this, response, 'UAC');
 
       if (dialog.error !== undefined) {
@@ -2161,7 +2680,15 @@ function receiveInviteResponse(response) {
           onTransportError: function(){},
           onDialogError: function(){},
           receiveResponse: function(){}
-        }, JsSIP_C.BYE);
+        }, JsSIP_C.BYE, {
+          extraHeaders: ['Reason: SIP ;cause=200 ;text="Call completed elsewhere"']
+        });
+
+      // The first 2xx wins.
+      fork = addFork.call(this, response);
+      if (fork.status !== 'terminated') {
+        forkEnded.call(this, fork, response, JsSIP_C.causes.ANSWERED_ELSEWHERE);
+      }
       return;
     }
 
@@ -2204,29 +2731,49 @@ function receiveInviteResponse(response) {
         }
       }
 
+      // Reliable provisional response (RFC 3262).
+      if (hasOptionTag(response, 'require', '100rel')) {
+        if (! receiveReliableProvisional.call(this, response)) {
+          break;
+        }
+      }
+
       this.status = C.STATUS_1XX_RECEIVED;
+      fork = addFork.call(this, response);
       progress.call(this, 'remote', response);
 
       if (!response.body) {
         break;
       }
 
-      e = {originator:'remote', type:'pranswer', sdp:response.body};
-      this.emit('sdp', e);
+      fork.sdp = response.body;
 
-      this.connection.setRemoteDescription(
-        new rtcninja.RTCSessionDescription({type:'pranswer', sdp:e.sdp}),
-        // success
-        null,
-        // failure
-        null
-      );
+      // Just the early media of one fork is rendered.
+      if (this.earlyMediaFork && this.earlyMediaFork !== fork.id) {
+        debug('early media from fork %s not rendered', fork.id);
+        break;
+      }
+
+      this.earlyMediaFork = fork.id;
+      renderEarlyMedia.call(this, fork);
       break;
 
     case /^2[0-9]{2}$/.test(response.status_code):
       this.status = C.STATUS_CONFIRMED;
 
-      if(!response.body) {
+      // The first 2xx wins, terminate the other forks.
+      fork = addFork.call(this, response);
+      fork.status = 'confirmed';
+
+      for (id in this.forks) {
+        if (this.forks[id].status === 'early') {
+          forkEnded.call(this, this.forks[id], response, JsSIP_C.causes.ANSWERED_ELSEWHERE);
+        }
+      }
+
+      answer = response.body || this.rel100.remoteAnswers[response.call_id + response.from_tag + response.to_tag];
+
+      if(!answer) {
         acceptAndTerminate.call(this, response, 400, JsSIP_C.causes.MISSING_SDP);
         failed.call(this, 'remote', response, JsSIP_C.causes.BAD_MEDIA_DESCRIPTION);
         break;
@@ -2237,7 +2784,9 @@ function receiveInviteResponse(response) {
         break;
       }
 
-      e = {originator:'remote', type:'answer', sdp:response.body};
+      updateRemoteInfoPackages.call(this, response);
+
+      e = {originator:'remote', type:'answer', sdp:answer};
       this.emit('sdp', e);
 
       this.connection.setRemoteDescription(
@@ -2248,7 +2797,7 @@ function receiveInviteResponse(response) {
           handleSessionTimersInIncomingResponse.call(self, response);
 
           accepted.call(self, 'remote', response);
-          sendRequest.call(self, JsSIP_C.ACK);
+          sendDialogRequest.call(self, JsSIP_C.ACK);
           confirmed.call(self, 'local', null);
         },
         // failure
@@ -2265,6 +2814,102 @@ function receiveInviteResponse(response) {
   }
 }
 
+/**
+ * Get the fork (UAC) the response comes from, a new one if its To tag is
+ * unknown.
+ */
+function addFork(response) {
+  var fork = this.forks[response.to_tag];
+
+  if (fork) {
+    fork.response = response;
+    return fork;
+  }
+
+  fork = {
+    id: response.to_tag,
+    status: 'early',
+    response: response,
+    sdp: null,
+    cause: null,
+    rendered: false
+  };
+
+  this.forks[fork.id] = fork;
+
+  debug('new fork %s', fork.id);
+
+  this.emit('fork', {
+    originator: 'remote',
+    fork: fork,
+    response: response
+  });
+
+  return fork;
+}
+
+/**
+ * Set the early media SDP of the fork as the remote description.
+ */
+function renderEarlyMedia(fork) {
+  var self = this,
+    response = fork.response,
+    e = {originator:'remote', type:'pranswer', sdp:fork.sdp};
+
+  this.emit('sdp', e);
+
+  this.connection.setRemoteDescription(
+    new rtcninja.RTCSessionDescription({type:'pranswer', sdp:e.sdp}),
+    // success
+    function() {
+      self.renderedFork = fork.id;
+
+      if (self.status !== C.STATUS_1XX_RECEIVED || self.earlyMediaFork !== fork.id) { return; }
+
+      self.earlyMedia = e.sdp;
+
+      // Fired once per fork.
+      if (fork.rendered) { return; }
+
+      fork.rendered = true;
+      earlyMedia.call(self, 'remote', response);
+    },
+    // failure
+    function(error) {
+      debugerror('renderEarlyMedia() | cannot render the early media of fork %s: %o', fork.id, error);
+
+      // The early media rendered so far (if any) goes on.
+      if (self.earlyMediaFork === fork.id) {
+        self.earlyMediaFork = self.renderedFork;
+      }
+    }
+  );
+}
+
+/**
+ * Terminate a fork (UAC) that will not establish the session.
+ */
+function forkEnded(fork, response, cause) {
+  var id = this.request.call_id + this.from_tag + fork.id;
+
+  debug('fork %s ended: %s', fork.id, cause);
+
+  fork.status = 'terminated';
+  fork.cause = cause;
+
+  if (this.earlyDialogs[id]) {
+    this.earlyDialogs[id].terminate();
+    delete this.earlyDialogs[id];
+  }
+
+  this.emit('forkEnded', {
+    originator: 'local',
+    fork: fork,
+    response: response,
+    cause: cause
+  });
+}
+
 /**
  * Send Re-INVITE
  */
@@ -2331,7 +2976,7 @@ function sendReinvite(options) {
       return;
     }
 
-    sendRequest.call(self, JsSIP_C.ACK);
+    sendDialogRequest.call(self, JsSIP_C.ACK);
 
     // If it is a 2XX retransmission exit now.
     if (succeeded) { return; }
@@ -2339,6 +2984,9 @@ function sendReinvite(options) {
     // Handle Session Timers.
     handleSessionTimersInIncomingResponse.call(self, response);
 
+    // RFC 6086 5.2.2: the peer may update its Info Packages.
+    updateRemoteInfoPackages.call(self, response);
+
     // Must have SDP answer.
     if(! response.body) {
       onFailed();
@@ -2471,6 +3119,9 @@ function sendUpdate(options) {
     // Handle Session Timers.
     handleSessionTimersInIncomingResponse.call(self, response);
 
+    // RFC 6086 5.2.2: the peer may update its Info Packages.
+    updateRemoteInfoPackages.call(self, response);
+
     // Must have SDP answer.
     if (sdpOffer) {
       if(! response.body) {
@@ -2519,8 +3170,8 @@ function acceptAndTerminate(response, status_code, reason_phrase) {
 
   // An error on dialog creation will fire 'failed' event
   if (this.dialog || createDialog.call(this, response, 'UAC')) {
-    sendRequest.call(this, JsSIP_C.ACK);
-    sendRequest.call(this, JsSIP_C.BYE, {
+    sendDialogRequest.call(this, JsSIP_C.ACK);
+    sendDialogRequest.call(this, JsSIP_C.BYE, {
       extraHeaders: extraHeaders
     });
   }
@@ -2532,8 +3183,8 @@ function acceptAndTerminate(response, status_code, reason_phrase) {
 /**
  * Send a generic in-dialog Request
  */
-function sendRequest(method, options) {
-  debug('sendRequest()');
+function sendDialogRequest(method, options) {
+  debug('sendDialogRequest()');
 
   var request = new RTCSession_Request(this, method);
   request.send(options);
@@ -2767,6 +3418,15 @@ function progress(originator, response) {
   });
 }
 
+function earlyMedia(originator, response) {
+  debug('session early media');
+
+  this.emit('earlyMedia', {
+    originator: originator,
+    response: response || null
+  });
+}
+
 function accepted(originator, message) {
   debug('session accepted');
 
@@ -0,0 +1,127 @@
+module.exports = Info;
+
+
+/**
+ * Dependencies.
+ */
+var debug = require('debug')('JsSIP:RTCSession:Info');
+var debugerror = require('debug')('JsSIP:ERROR:RTCSession:Info');
+debugerror.log = console.warn.bind(console);
+var JsSIP_C = require('../Constants');
+var Exceptions = require('../Exceptions');
+var Utils = require('../Utils');
+var RTCSession = require('../RTCSession');
+
+
+/**
+ * In dialog INFO with application content (RFC 6086), optionally belonging
+ * to an Info Package.
+ */
+function Info(session) {
+  this.owner = session;
+  this.direction = null;
+  this.content_type = null;
+  this.body = null;
+  this.info_package = null;
+  this.request = null;
+}
+
+
+Info.prototype.send = function(contentType, body, options) {
+  var extraHeaders;
+
+  if (contentType === undefined) {
+    throw new TypeError('Not enough arguments');
+  }
+
+  this.direction = 'outgoing';
+
+  // Check RTCSession Status
+  if (this.owner.status !== RTCSession.C.STATUS_CONFIRMED &&
+    this.owner.status !== RTCSession.C.STATUS_WAITING_FOR_ACK) {
+    throw new Exceptions.InvalidStateError(this.owner.status);
+  }
+
+  // Get Info options
+  options = options || {};
+  extraHeaders = options.extraHeaders ? options.extraHeaders.slice() : [];
+  this.eventHandlers = options.eventHandlers || {};
+
+  if (!Utils.isString(contentType) || !contentType) {
+    throw new TypeError('Invalid content type: '+ contentType);
+  }
+
+  // The peer must be willing to receive the Info Package.
+  if (options.infoPackage) {
+    if (this.owner.infoPackages.remote.indexOf(String(options.infoPackage).toLowerCase()) === -1) {
+      throw new Exceptions.NotSupportedError('Info Package not supported by the peer: '+ options.infoPackage);
+    }
+
+    this.info_package = String(options.infoPackage);
+    extraHeaders.push('Info-Package: ' + this.info_package);
+  }
+
+  this.content_type = contentType;
+  this.body = body || null;
+
+  extraHeaders.push('Content-Type: ' + contentType);
+
+  this.request = this.owner.dialog.sendRequest(this, JsSIP_C.INFO, {
+    extraHeaders: extraHeaders,
+    body: this.body
+  });
+
+  this.owner.newInfo({
+    originator: 'local',
+    info: this,
+    request: this.request
+  });
+};
+
+Info.prototype.receiveResponse = function(response) {
+  switch(true) {
+    case /^1[0-9]{2}$/.test(response.status_code):
+      // Ignore provisional responses.
+      break;
+
+    case /^2[0-9]{2}$/.test(response.status_code):
+      debug('onSuccessResponse');
+      if (this.eventHandlers.onSuccessResponse) { this.eventHandlers.onSuccessResponse(response); }
+      break;
+
+    default:
+      if (this.eventHandlers.onErrorResponse) { this.eventHandlers.onErrorResponse(response); }
+      break;
+  }
+};
+
+Info.prototype.onRequestTimeout = function() {
+  debugerror('onRequestTimeout');
+  if (this.eventHandlers.onRequestTimeout) { this.eventHandlers.onRequestTimeout(); }
+};
+
+Info.prototype.onTransportError = function() {
+  debugerror('onTransportError');
+  if (this.eventHandlers.onTransportError) { this.eventHandlers.onTransportError(); }
+};
+
+Info.prototype.onDialogError = function() {
+  debugerror('onDialogError');
+  if (this.eventHandlers.onDialogError) { this.eventHandlers.onDialogError(); }
+};
+
+Info.prototype.init_incoming = function(request, info_package) {
+  this.direction = 'incoming';
+  this.request = request;
+  this.content_type = request.getHeader('content-type') || null;
+  this.body = request.body || null;
+  this.info_package = info_package || null;
+
+  request.reply(200);
+
+  this.owner.newInfo({
+    originator: 'remote',
+    info: this,
+    request: request
+  });
+};
@@ -9,31 +9,61 @@ var Utils = require('./Utils');
 var JsSIP_C = require('./Constants');
 var SIPMessage = require('./SIPMessage');
 var RequestSender = require('./RequestSender');
+var Transport = require('./Transport');
+var URI = require('./URI');
 
 
-function Registrator(ua, transport) {
+/**
+ * -param {JsSIP.UA} ua
+ * -param {JsSIP.Transport} transport
+ * -param {JsSIP.Account} account: register this account instead of the UA one.
+ */
+function Registrator(ua, transport, account) {
   var reg_id=1; //Force reg_id to 1.
 
   this.ua = ua;
   this.transport = transport;
 
-  this.registrar = ua.configuration.registrar_server;
-  this.expires = ua.configuration.register_expires;
+  // The account (or the UA itself) owning the registration.
+  this.account = account || null;
+  this.owner = account || ua;
+
+  this.registrar = this.owner.configuration.registrar_server;
+  this.expires = this.owner.configuration.register_expires;
 
   // Call-ID and CSeq values RFC3261 10.2
   this.call_id = Utils.createRandomToken(22);
   this.cseq = 0;
 
   // this.to_uri
-  this.to_uri = ua.configuration.uri;
+  this.to_uri = this.owner.configuration.uri;
 
   this.registrationTimer = null;
 
+  // Retry after a failed registration and the consecutive failures so far.
+  this.retryTimer = null;
+  this.retryAttempts = 0;
+
   // Set status
   this.registered = false;
 
+  // Authorization scheme ('Digest' or 'Bearer') of the last REGISTER, if any.
+  this.auth_scheme = null;
+
+  // Contact bindings of the AOR as listed in the last 2xx response to REGISTER.
+  this.bindings = [];
+
+  // Service-Route (RFC 3608), Path (RFC 3327) and P-Associated-URI (RFC 3455)
+  // of the current registration.
+  this.service_route = [];
+  this.path = [];
+  this.associated_uris = [];
+
+  // Keep-alive interval (seconds) the registrar asks for (RFC 5626 4.4.1).
+  this.flow_timer = null;
+
   // Contact header
-  this.contact = this.ua.contact.toString();
+  this.contact = this.owner.contact.toString();
 
   // sip.ice media feature tag (RFC 5768)
   this.contact += ';+sip.ice';
@@ -78,8 +108,9 @@ Registrator.prototype = {
   },
 
   register: function() {
-    var request_sender, cause, extraHeaders,
-      self = this;
+    var request_sender, cause, extraHeaders;
+
+    clearRetryTimer.call(this);
 
     extraHeaders = this.extraHeaders.slice();
     extraHeaders.push('Contact: ' + this.contact + ';expires=' + this.expires + this.extraContactParams);
@@ -88,7 +119,8 @@ Registrator.prototype = {
     this.request = new SIPMessage.OutgoingRequest(JsSIP_C.REGISTER, this.registrar, this.ua, {
         'to_uri': this.to_uri,
         'call_id': this.call_id,
-        'cseq': (this.cseq += 1)
+        'cseq': (this.cseq += 1),
+        'account': this.account
       }, extraHeaders);
 
     request_sender = new RequestSender(this, this.ua);
@@ -97,11 +129,14 @@ Registrator.prototype = {
       var contact, expires,
         contacts = response.getHeaders('contact').length;
 
-      // Discard responses to older REGISTER/un-REGISTER requests.
-      if(response.cseq !== this.cseq) {
+      // Discard responses to older REGISTER/un-REGISTER requests (the CSeq is
+      // shared with the bindings requests, so check the one of this REGISTER).
+      if(response.cseq !== this.request.cseq) {
         return;
       }
 
+      this.auth_scheme = request_sender.auth_scheme;
+
       // Clear registration timer
       if (this.registrationTimer !== null) {
         clearTimeout(this.registrationTimer);
@@ -125,7 +160,7 @@ Registrator.prototype = {
 
           while(contacts--) {
             contact = response.parseHeader('contact', contacts);
-            if(contact.uri.user === this.ua.contact.uri.user) {
+            if(contact.uri.user === this.owner.contact.uri.user) {
               expires = contact.getParam('expires');
               break;
             } else {
@@ -142,25 +177,44 @@ Registrator.prototype = {
             expires = this.expires;
           }
 
+          this.bindings = parseBindings.call(this, response);
+
+          // Preloaded route set for the requests sent during this registration.
+          this.service_route = splitHeaders(response.getHeaders('service-route'));
+          this.path = splitHeaders(response.getHeaders('path'));
+          this.associated_uris = splitHeaders(response.getHeaders('p-associated-uri')).map(function(value) {
+            var uri = value.match(/<([^>]*)>/);
+
+            return uri ? uri[1] : value;
+          });
+
+          this.retryAttempts = 0;
+
           // Re-Register before the expiration interval has elapsed.
-          // For that, decrease the expires value. ie: 3 seconds
-          this.registrationTimer = setTimeout(function() {
-            self.registrationTimer = null;
-            self.register();
-          }, (expires * 1000) - 3000);
+          scheduleRefresh.call(this, expires);
+
+          // Keep-alives just if the registrar supports outbound (RFC 5626 4.4.1).
+          if (response.hasHeader('flow-timer')) {
+            setFlowTimer.call(this, parseInt(response.getHeader('flow-timer'), 10) || null);
+          } else if (requiresOutbound(response)) {
+            setFlowTimer.call(this, Transport.C.keep_alive_interval);
+          } else {
+            setFlowTimer.call(this, null);
+          }
 
           //Save gruu values
           if (contact.hasParam('temp-gruu')) {
-            this.ua.contact.temp_gruu = contact.getParam('temp-gruu').replace(/"/g,'');
+            this.owner.contact.temp_gruu = contact.getParam('temp-gruu').replace(/"/g,'');
           }
           if (contact.hasParam('pub-gruu')) {
-            this.ua.contact.pub_gruu = contact.getParam('pub-gruu').replace(/"/g,'');
+            this.owner.contact.pub_gruu = contact.getParam('pub-gruu').replace(/"/g,'');
           }
 
           if (! this.registered) {
             this.registered = true;
-            this.ua.registered({
-              response: response
+            this.owner.registered({
+              response: response,
+              auth_scheme: this.auth_scheme
             });
           }
           break;
@@ -183,10 +237,12 @@ Registrator.prototype = {
     };
 
     this.onRequestTimeout = function() {
+      this.auth_scheme = request_sender.auth_scheme;
       this.registrationFailure(null, JsSIP_C.causes.REQUEST_TIMEOUT);
     };
 
     this.onTransportError = function() {
+      this.auth_scheme = request_sender.auth_scheme;
       this.registrationFailure(null, JsSIP_C.causes.CONNECTION_ERROR);
     };
 
@@ -196,6 +252,9 @@ Registrator.prototype = {
   unregister: function(options) {
     var extraHeaders;
 
+    // Stop retrying a failed registration.
+    clearRetryTimer.call(this);
+
     if(!this.registered) {
       debug('already unregistered');
       return;
@@ -204,6 +263,7 @@ Registrator.prototype = {
     options = options || {};
 
     this.registered = false;
+    clearRouteSet.call(this);
 
     // Clear the registration timer.
     if (this.registrationTimer !== null) {
@@ -220,7 +280,8 @@ Registrator.prototype = {
       this.request = new SIPMessage.OutgoingRequest(JsSIP_C.REGISTER, this.registrar, this.ua, {
           'to_uri': this.to_uri,
           'call_id': this.call_id,
-          'cseq': (this.cseq += 1)
+          'cseq': (this.cseq += 1),
+          'account': this.account
         }, extraHeaders);
     } else {
       extraHeaders.push('Contact: '+ this.contact + ';expires=0' + this.extraContactParams);
@@ -229,7 +290,8 @@ Registrator.prototype = {
       this.request = new SIPMessage.OutgoingRequest(JsSIP_C.REGISTER, this.registrar, this.ua, {
           'to_uri': this.to_uri,
           'call_id': this.call_id,
-          'cseq': (this.cseq += 1)
+          'cseq': (this.cseq += 1),
+          'account': this.account
         }, extraHeaders);
     }
 
@@ -243,6 +305,7 @@ Registrator.prototype = {
           // Ignore provisional responses.
           break;
         case /^2[0-9]{2}$/.test(response.status_code):
+          this.bindings = parseBindings.call(this, response);
           this.unregistered(response);
           break;
         default:
@@ -262,15 +325,92 @@ Registrator.prototype = {
     request_sender.send();
   },
 
+  /**
+   * Contact bindings of the AOR as listed in the last 2xx response to REGISTER
+   * (including ours and those of any other device).
+   */
+  getBindings: function() {
+    return this.bindings.slice();
+  },
+
+  /**
+   * Send a REGISTER without Contact to refresh the list of bindings (RFC 3261 10.2.3).
+   *
+   * -param {Object} [options]
+   *   - eventHandlers: succeeded({response, bindings}), failed({response, cause})
+   */
+  queryBindings: function(options) {
+    sendBindingsRequest.call(this, null, options);
+  },
+
+  /**
+   * Remove the given binding (ie: a stale one left by another device).
+   *
+   * -param {Object|JsSIP.URI|String} binding: a binding from getBindings() or its URI.
+   * -param {Object} [options]: as in queryBindings().
+   *
+   * -throws {TypeError}
+   */
+  removeBinding: function(binding, options) {
+    var uri = binding && binding.uri || binding;
+
+    if (!(uri instanceof URI)) {
+      uri = URI.parse(uri);
+    }
+
+    if (!uri) {
+      throw new TypeError('Invalid binding: '+ binding);
+    }
+
+    sendBindingsRequest.call(this, '<' + uri.toString() + '>;expires=0', options);
+  },
+
+  /**
+   * Remove every binding of the AOR, ours included (RFC 3261 10.2.2).
+   *
+   * -param {Object} [options]: as in queryBindings().
+   */
+  removeAllBindings: function(options) {
+    sendBindingsRequest.call(this, '*', options);
+  },
+
+  /**
+   * Service-Route of the current registration (RFC 3608). Out of dialog
+   * requests are preloaded with it.
+   */
+  getServiceRoute: function() {
+    return this.service_route.slice();
+  },
+
+  /**
+   * Path of the current registration (RFC 3327).
+   */
+  getPath: function() {
+    return this.path.slice();
+  },
+
+  /**
+   * URIs associated to the registered AOR (RFC 3455), the default public
+   * identity first.
+   */
+  getAssociatedURIs: function() {
+    return this.associated_uris.slice();
+  },
+
   registrationFailure: function(response, cause) {
-    this.ua.registrationFailed({
+    this.owner.registrationFailed({
       response: response || null,
-      cause: cause
+      cause: cause,
+      auth_scheme: this.auth_scheme
     });
 
+    scheduleRetry.call(this, response, cause);
+
     if (this.registered) {
       this.registered = false;
-      this.ua.unregistered({
+      clearRouteSet.call(this);
+      setFlowTimer.call(this, null);
+      this.owner.unregistered({
         response: response || null,
         cause: cause
       });
@@ -279,7 +419,9 @@ Registrator.prototype = {
 
   unregistered: function(response, cause) {
     this.registered = false;
-    this.ua.unregistered({
+    clearRouteSet.call(this);
+    setFlowTimer.call(this, null);
+    this.owner.unregistered({
       response: response || null,
       cause: cause || null
     });
@@ -291,16 +433,273 @@ Registrator.prototype = {
       this.registrationTimer = null;
     }
 
+    // The registration is sent again once the transport is recovered.
+    clearRetryTimer.call(this);
+    this.retryAttempts = 0;
+
     if(this.registered) {
       this.registered = false;
-      this.ua.unregistered({});
+      clearRouteSet.call(this);
+      setFlowTimer.call(this, null);
+      this.owner.unregistered({});
     }
   },
 
   close: function() {
+    clearRetryTimer.call(this);
+
     if (this.registered) {
       this.unregister();
     }
   }
 };
 
+
+/**
+ * Private API.
+ */
+
+/**
+ * Send a REGISTER adding no binding: a query if no Contact is given, or a removal.
+ */
+function sendBindingsRequest(contact, options) {
+  var applicant, extraHeaders,
+    self = this,
+    eventHandlers;
+
+  options = options || {};
+  eventHandlers = options.eventHandlers || {};
+  extraHeaders = this.extraHeaders.slice();
+
+  if (contact) {
+    extraHeaders.push('Contact: '+ contact);
+    extraHeaders.push('Expires: 0');
+  }
+
+  // Same Call-ID and CSeq space as the registration itself (RFC 3261 10.2).
+  applicant = {
+    request: new SIPMessage.OutgoingRequest(JsSIP_C.REGISTER, this.registrar, this.ua, {
+        'to_uri': this.to_uri,
+        'call_id': this.call_id,
+        'cseq': (this.cseq += 1),
+        'account': this.account
+      }, extraHeaders),
+
+    receiveResponse: function(response) {
+      switch(true) {
+        case /^1[0-9]{2}$/.test(response.status_code):
+          // Ignore provisional responses.
+          break;
+        case /^2[0-9]{2}$/.test(response.status_code):
+          self.bindings = parseBindings.call(self, response);
+
+          // Our own binding may have been removed.
+          if (self.registered && !self.bindings.some(function(binding) { return binding.own; })) {
+            if (self.registrationTimer !== null) {
+              clearTimeout(self.registrationTimer);
+              self.registrationTimer = null;
+            }
+            self.unregistered(response);
+          }
+
+          if (eventHandlers.succeeded) {
+            eventHandlers.succeeded({
+              response: response,
+              bindings: self.getBindings()
+            });
+          }
+          break;
+        default:
+          failed(response, Utils.sipErrorCause(response.status_code));
+      }
+    },
+
+    onRequestTimeout: function() {
+      failed(null, JsSIP_C.causes.REQUEST_TIMEOUT);
+    },
+
+    onTransportError: function() {
+      failed(null, JsSIP_C.causes.CONNECTION_ERROR);
+    }
+  };
+
+  // The CSeq is increased by the RequestSender on authentication.
+  Object.defineProperty(applicant, 'cseq', {
+    get: function() { return self.cseq; },
+    set: function(cseq) { self.cseq = cseq; }
+  });
+
+  function failed(response, cause) {
+    if (eventHandlers.failed) {
+      eventHandlers.failed({
+        response: response || null,
+        cause: cause
+      });
+    }
+  }
+
+  new RequestSender(applicant, this.ua).send();
+}
+
+/**
+ * Contact bindings listed in a 2xx response to REGISTER.
+ */
+function parseBindings(response) {
+  var idx, contact, instance_id, reg_id, expires,
+    bindings = [],
+    length = response.getHeaders('contact').length;
+
+  for (idx = 0; idx < length; idx++) {
+    contact = response.parseHeader('contact', idx);
+
+    if (!contact) {
+      continue;
+    }
+
+    expires = contact.hasParam('expires') ? contact.getParam('expires') : response.getHeader('expires');
+    instance_id = contact.getParam('+sip.instance');
+    reg_id = contact.getParam('reg-id');
+
+    bindings.push({
+      uri: contact.uri,
+      expires: expires !== undefined ? parseInt(expires, 10) : null,
+      q: contact.hasParam('q') ? parseFloat(contact.getParam('q')) : null,
+      instance_id: instance_id ? String(instance_id).replace(/^"<?|>?"$/g, '') : null,
+      reg_id: reg_id ? parseInt(reg_id, 10) : null,
+      own: contact.uri.user === this.owner.contact.uri.user
+    });
+  }
+
+  return bindings;
+}
+
+/**
+ * Re-Register when the configured fraction of the granted expires has elapsed
+ * or, by default, 3 seconds before the registration expires.
+ */
+function scheduleRefresh(expires) {
+  var timeout,
+    self = this,
+    fraction = this.ua.configuration.register_refresh_fraction;
+
+  if (fraction) {
+    timeout = expires * 1000 * fraction;
+  } else {
+    timeout = (expires * 1000) - 3000;
+  }
+
+  this.registrationTimer = setTimeout(function() {
+    self.registrationTimer = null;
+
+    self.owner.registrationExpiring({
+      expires: Math.max(0, Math.round(expires - timeout / 1000))
+    });
+
+    // The application may have unregistered meanwhile.
+    if (self.registered) {
+      self.register();
+    }
+  }, timeout);
+}
+
+/**
+ * Retry a failed registration (RFC 5626 4.5). The Retry-After of a 500 or 503
+ * response is honoured. Otherwise the wait time doubles on every consecutive
+ * failure, up to the maximum, and is randomized between its 50% and 100%.
+ * Authentication and authorization failures are not retried, nor are
+ * transport errors (the registration is sent again once recovered).
+ */
+function scheduleRetry(response, cause) {
+  var delay, retry_after,
+    self = this,
+    min_interval = this.ua.configuration.register_retry_min_interval,
+    max_interval = this.ua.configuration.register_retry_max_interval;
+
+  if (cause === JsSIP_C.causes.CONNECTION_ERROR ||
+      (response && [401, 403, 404, 407].indexOf(response.status_code) !== -1)) {
+    return;
+  }
+
+  clearRetryTimer.call(this);
+
+  this.retryAttempts += 1;
+
+  if (response && (response.status_code === 500 || response.status_code === 503) &&
+      response.hasHeader('retry-after')) {
+    retry_after = parseInt(response.getHeader('retry-after'), 10);
+  }
+
+  if (retry_after >= 0) {
+    delay = retry_after;
+  } else {
+    delay = Math.min(max_interval, min_interval * Math.pow(2, this.retryAttempts - 1));
+    delay = delay * (0.5 + Math.random() * 0.5);
+  }
+
+  debug('registration retry ' + this.retryAttempts + ' in ' + delay + ' seconds');
+
+  this.retryTimer = setTimeout(function() {
+    self.retryTimer = null;
+    self.register();
+  }, delay * 1000);
+
+  this.owner.registrationRetry({
+    response: response || null,
+    cause: cause,
+    attempts: this.retryAttempts,
+    delay: delay
+  });
+}
+
+function clearRetryTimer() {
+  if (this.retryTimer !== null) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+}
+
+function clearRouteSet() {
+  this.service_route = [];
+  this.path = [];
+  this.associated_uris = [];
+}
+
+/**
+ * Set the keep-alive interval of this registration. The UA keeps the smallest
+ * one among all its registrations.
+ */
+function setFlowTimer(flow_timer) {
+  if (this.flow_timer === flow_timer) {
+    return;
+  }
+
+  this.flow_timer = flow_timer;
+  this.ua.updateFlowTimer();
+}
+
+/**
+ * Whether the registrar supports outbound (RFC 5626 6).
+ */
+function requiresOutbound(response) {
+  return response.getHeaders('require').join(',').split(',').some(function(option_tag) {
+    return option_tag.trim().toLowerCase() === 'outbound';
+  });
+}
+
+/**
+ * Split the comma separated values of the given headers.
+ */
+function splitHeaders(headers) {
+  var values = [];
+
+  headers.forEach(function(header) {
+    (header.match(/(?:[^,"<]|<[^>]*>|"[^"]*")+/g) || []).forEach(function(value) {
+      value = value.trim();
+      if (value) {
+        values.push(value);
+      }
+    });
+  });
+
+  return values;
+}
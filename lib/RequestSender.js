@@ -5,20 +5,41 @@ module.exports = RequestSender;
  * Dependencies.
  */
 var debug = require('debug')('JsSIP:RequestSender');
+var debugerror = require('debug')('JsSIP:ERROR:RequestSender');
+debugerror.log = console.warn.bind(console);
 var JsSIP_C = require('./Constants');
+var Utils = require('./Utils');
 var UA = require('./UA');
+var Parser = require('./Parser');
 var DigestAuthentication = require('./DigestAuthentication');
 var Transactions = require('./Transactions');
 
 
-function RequestSender(applicant, ua) {
+/**
+ * The request is sent over the given transport (or flow), else over the flow of
+ * its dialog while open (see the Transport sticky policy), else over the UA
+ * transport.
+ */
+function RequestSender(applicant, ua, transport) {
+  var dialog = applicant.request.dialog;
+
   this.ua = ua;
   this.applicant = applicant;
   this.method = applicant.request.method;
   this.request = applicant.request;
+
+  if (!transport && dialog && dialog.transport && dialog.transport.isConnected()) {
+    transport = dialog.transport;
+  }
+  this.transport = transport || ua.transport;
   this.auth = null;
   this.challenged = false;
   this.staled = false;
+  // Authorization scheme ('Digest' or 'Bearer') of the last sent request.
+  this.auth_scheme = null;
+  // Access token sent in the last request and whether it was refreshed.
+  this.access_token = null;
+  this.access_token_refreshed = false;
 
   // If ua is in closing process or even closed just allow sending Bye and ACK
   if (ua.status === UA.C.STATUS_USER_CLOSED && (this.method !== JsSIP_C.BYE || this.method !== JsSIP_C.ACK)) {
@@ -32,15 +53,35 @@ function RequestSender(applicant, ua) {
 */
 RequestSender.prototype = {
   send: function() {
+    var self = this,
+      replied = false;
+
+    // Out of dialog requests are authorized with the cached challenges, if any.
+    if (!this.clientTransaction && !this.request.dialog &&
+        this.method !== JsSIP_C.ACK && this.method !== JsSIP_C.CANCEL) {
+      authorize.call(this);
+    }
+
+    // Dropped or locally answered by a middleware.
+    if (!this.ua.runMiddleware('outgoingRequest', this.request, function() {
+      replied = true;
+      localReply.apply(self, arguments);
+    })) {
+      if (!replied) {
+        this.onTransportError();
+      }
+      return;
+    }
+
     switch(this.method) {
       case 'INVITE':
-        this.clientTransaction = new Transactions.InviteClientTransaction(this, this.request, this.ua.transport);
+        this.clientTransaction = new Transactions.InviteClientTransaction(this, this.request, this.transport);
         break;
       case 'ACK':
-        this.clientTransaction = new Transactions.AckClientTransaction(this, this.request, this.ua.transport);
+        this.clientTransaction = new Transactions.AckClientTransaction(this, this.request, this.transport);
         break;
       default:
-        this.clientTransaction = new Transactions.NonInviteClientTransaction(this, this.request, this.ua.transport);
+        this.clientTransaction = new Transactions.NonInviteClientTransaction(this, this.request, this.transport);
     }
 
     this.clientTransaction.send();
@@ -67,78 +108,403 @@ RequestSender.prototype = {
   * Authenticate request if needed or pass the response back to the applicant.
   */
   receiveResponse: function(response) {
-    var
-      cseq, challenge, authorization_header_name,
-      status_code = response.status_code;
-
-    /*
-    * Authentication
-    * Authenticate once. _challenged_ flag used to avoid infinite authentications.
-    */
-    if ((status_code === 401 || status_code === 407) &&
-        (this.ua.configuration.password !== null || this.ua.configuration.ha1 !== null)) {
-
-      // Get and parse the appropriate WWW-Authenticate or Proxy-Authenticate header.
-      if (response.status_code === 401) {
-        challenge = response.parseHeader('www-authenticate');
-        authorization_header_name = 'authorization';
-      } else {
-        challenge = response.parseHeader('proxy-authenticate');
-        authorization_header_name = 'proxy-authorization';
-      }
+    var authenticate_header_name, authorization_header_name,
+      status_code = response.status_code,
+      // Settings of the account sending the request, or the UA ones.
+      owner = this.request.account || this.ua;
 
-      // Verify it seems a valid challenge.
-      if (!challenge) {
-        debug(response.status_code + ' with wrong or missing challenge, cannot authenticate');
-        this.applicant.receiveResponse(response);
-        return;
-      }
+    if (status_code !== 401 && status_code !== 407) {
+      this.applicant.receiveResponse(response);
+      return;
+    }
 
-      if (!this.challenged || (!this.staled && challenge.stale === true)) {
-        if (!this.auth) {
-          this.auth = new DigestAuthentication({
-            username : this.ua.configuration.authorization_user,
-            password : this.ua.configuration.password,
-            realm    : this.ua.configuration.realm,
-            ha1      : this.ua.configuration.ha1
-          });
-        }
-
-        // Verify that the challenge is really valid.
-        if (!this.auth.authenticate(this.request, challenge)) {
-          this.applicant.receiveResponse(response);
-          return;
-        }
-        this.challenged = true;
-
-        // Update ha1 and realm in the UA.
-        this.ua.set('realm', this.auth.get('realm'));
-        this.ua.set('ha1', this.auth.get('ha1'));
-
-        if (challenge.stale) {
-          this.staled = true;
-        }
-
-        if (response.method === JsSIP_C.REGISTER) {
-          cseq = this.applicant.cseq += 1;
-        } else if (this.request.dialog) {
-          cseq = this.request.dialog.local_seqnum += 1;
-        } else {
-          cseq = this.request.cseq + 1;
-        }
-
-        this.request = this.applicant.request = this.request.clone();
-
-        this.request.cseq = cseq;
-        this.request.setHeader('cseq', cseq +' '+ this.method);
-
-        this.request.setHeader(authorization_header_name, this.auth.toString());
-        this.send();
-      } else {
-        this.applicant.receiveResponse(response);
-      }
+    if (status_code === 401) {
+      authenticate_header_name = 'www-authenticate';
+      authorization_header_name = 'authorization';
     } else {
-      this.applicant.receiveResponse(response);
+      authenticate_header_name = 'proxy-authenticate';
+      authorization_header_name = 'proxy-authorization';
+    }
+
+    // Bearer authorization is preferred if there is an access token.
+    if (owner.configuration.access_token) {
+      bearerAuthenticate.call(this, response, authenticate_header_name, authorization_header_name);
+    } else {
+      digestAuthenticate.call(this, response, authenticate_header_name, authorization_header_name);
     }
   }
 };
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Authenticate the request with the strongest Digest challenge of the response.
+ * Authenticate once. _challenged_ flag used to avoid infinite authentications.
+ */
+function digestAuthenticate(response, authenticate_header_name, authorization_header_name) {
+  var challenge, credentials,
+    self = this,
+    owner = this.request.account || this.ua,
+    provider = owner.configuration.credentials;
+
+  if (!provider && owner.configuration.password === null && owner.configuration.ha1 === null) {
+    this.applicant.receiveResponse(response);
+    return;
+  }
+
+  challenge = selectChallenge(response, authenticate_header_name);
+
+  // Verify it seems a valid challenge.
+  if (!challenge) {
+    debug(response.status_code + ' with wrong or missing challenge, cannot authenticate');
+    this.applicant.receiveResponse(response);
+    return;
+  }
+
+  if (this.challenged && (this.staled || challenge.stale !== true)) {
+    // The credentials were rejected, so do not use the challenge anymore.
+    forgetChallenge.call(this, authorization_header_name, challenge.realm);
+    this.applicant.receiveResponse(response);
+    return;
+  }
+
+  if (!provider) {
+    authenticate.call(this, response, challenge, authorization_header_name, {
+      username : owner.configuration.authorization_user,
+      password : owner.configuration.password,
+      realm    : owner.configuration.realm,
+      ha1      : owner.configuration.ha1
+    });
+    return;
+  }
+
+  // Ask the credentials provider, that may return them or a Promise resolving with them.
+  try {
+    credentials = provider.call(this.ua, challenge.realm, this.method, this.request.ruri, challenge);
+  } catch(e) {
+    debugerror('credentials provider error: ' + e);
+    this.applicant.receiveResponse(response);
+    return;
+  }
+
+  if (credentials && typeof credentials.then === 'function') {
+    credentials.then(
+      function(credentials) {
+        authenticate.call(self, response, challenge, authorization_header_name,
+          providedCredentials.call(self, credentials, challenge));
+      },
+      function(error) {
+        debugerror('credentials provider error: ' + error);
+        self.applicant.receiveResponse(response);
+      }
+    );
+  } else {
+    authenticate.call(this, response, challenge, authorization_header_name,
+      providedCredentials.call(this, credentials, challenge));
+  }
+}
+
+/**
+ * Authorize the request with the access token if there is a Bearer challenge
+ * (RFC 8898). If the token expired the access token function is asked for a new
+ * one, just once. Otherwise fall back to Digest.
+ */
+function bearerAuthenticate(response, authenticate_header_name, authorization_header_name) {
+  var idx, parsed, challenge, token, expired,
+    self = this,
+    owner = this.request.account || this.ua,
+    access_token = owner.configuration.access_token;
+
+  // Get the first Bearer challenge.
+  for (idx = response.getHeaders(authenticate_header_name).length - 1; idx >= 0; idx--) {
+    parsed = response.parseHeader(authenticate_header_name, idx);
+
+    if (parsed && parsed.scheme.toLowerCase() === 'bearer') {
+      challenge = parsed;
+    }
+  }
+
+  if (!challenge) {
+    digestAuthenticate.call(this, response, authenticate_header_name, authorization_header_name);
+    return;
+  }
+
+  challenge.params = challenge.params || {};
+
+  // The access token was rejected.
+  if (this.access_token) {
+    expired = challenge.params.error === 'invalid_token';
+
+    if (owner.cache.access_token === this.access_token) {
+      owner.cache.access_token = null;
+    }
+
+    if (!expired || this.access_token_refreshed || typeof access_token !== 'function') {
+      debug('access token rejected, cannot use Bearer');
+      digestAuthenticate.call(this, response, authenticate_header_name, authorization_header_name);
+      return;
+    }
+
+    this.access_token_refreshed = true;
+  }
+
+  function onToken(token) {
+    if (!token || !Utils.isString(token)) {
+      debug('no access token, cannot use Bearer');
+      digestAuthenticate.call(self, response, authenticate_header_name, authorization_header_name);
+      return;
+    }
+
+    if (typeof access_token === 'function') {
+      owner.cache.access_token = token;
+    }
+
+    self.access_token = token;
+    self.auth_scheme = 'Bearer';
+    resend.call(self, response, authorization_header_name, 'Bearer ' + token);
+  }
+
+  if (typeof access_token !== 'function') {
+    onToken(access_token);
+    return;
+  }
+
+  if (owner.cache.access_token) {
+    onToken(owner.cache.access_token);
+    return;
+  }
+
+  // Ask the access token function, that may return it or a Promise resolving with it.
+  try {
+    token = access_token.call(this.ua, challenge, !!expired);
+  } catch(e) {
+    debugerror('access token function error: ' + e);
+    onToken(null);
+    return;
+  }
+
+  if (token && typeof token.then === 'function') {
+    token.then(onToken, function(error) {
+      debugerror('access token function error: ' + error);
+      onToken(null);
+    });
+  } else {
+    onToken(token);
+  }
+}
+
+/**
+ * Answer the request with a response made up by a middleware, as if it was
+ * received.
+ */
+function localReply(status_code, reason_phrase, extraHeaders, body) {
+  var idx, response,
+    to = this.request.getHeader('to');
+
+  reason_phrase = reason_phrase || JsSIP_C.REASON_PHRASE[status_code] || '';
+  extraHeaders = extraHeaders || [];
+
+  if (status_code > 100 && !this.request.to.hasParam('tag')) {
+    to += ';tag=' + Utils.newTag();
+  }
+
+  response = 'SIP/2.0 ' + status_code + ' ' + reason_phrase + '\r\n';
+  response += 'To: ' + to + '\r\n';
+  response += 'From: ' + this.request.getHeader('from') + '\r\n';
+  response += 'Call-ID: ' + this.request.call_id + '\r\n';
+  response += 'CSeq: ' + this.request.cseq + ' ' + this.method + '\r\n';
+
+  for (idx = 0; idx < extraHeaders.length; idx++) {
+    response += extraHeaders[idx].trim() + '\r\n';
+  }
+
+  body = body || '';
+  response += 'Content-Length: ' + Utils.str_utf8_length(body) + '\r\n\r\n';
+  response += body;
+
+  response = Parser.parseMessage(response, this.ua);
+
+  if (!response) {
+    throw new TypeError('Invalid reply: ' + status_code + ' ' + reason_phrase);
+  }
+
+  this.receiveResponse(response);
+}
+
+/**
+ * Get the strongest supported Digest challenge (RFC 8760) in the given header.
+ * The first listed one wins among those of the same strength.
+ */
+function selectChallenge(response, header_name) {
+  var idx, challenge, algorithm,
+    selected = null,
+    strength = 0;
+
+  // Go backwards since parseHeader() removes the headers it cannot parse.
+  for (idx = response.getHeaders(header_name).length - 1; idx >= 0; idx--) {
+    challenge = response.parseHeader(header_name, idx);
+
+    if (!challenge || challenge.scheme !== 'Digest') {
+      continue;
+    }
+
+    algorithm = DigestAuthentication.C.ALGORITHMS[challenge.algorithm || 'MD5'];
+
+    if (algorithm && algorithm.strength >= strength) {
+      selected = challenge;
+      strength = algorithm.strength;
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Send the request again with the credentials for the given challenge.
+ */
+function authenticate(response, challenge, authorization_header_name, credentials) {
+  var cache,
+    owner = this.request.account || this.ua;
+
+  if (!credentials) {
+    debug('no credentials for realm "' + challenge.realm + '", cannot authenticate');
+    this.applicant.receiveResponse(response);
+    return;
+  }
+
+  this.auth = new DigestAuthentication(credentials);
+
+  // Verify that the challenge is really valid.
+  if (!this.auth.authenticate(this.request, challenge)) {
+    this.applicant.receiveResponse(response);
+    return;
+  }
+  this.challenged = true;
+
+  // Update ha1 and realm in the UA (or account) unless given by the credentials provider.
+  // There is no ha1 to store for algorithms other than MD5.
+  if (!owner.configuration.credentials && this.auth.get('ha1')) {
+    owner.set('realm', this.auth.get('realm'));
+    owner.set('ha1', this.auth.get('ha1'));
+  }
+
+  if (challenge.stale) {
+    this.staled = true;
+  }
+
+  // Cache the challenge (per transport, header and realm) to authorize the next requests.
+  cache = challengesCache.call(this);
+  cache[authorization_header_name] = cache[authorization_header_name] || {};
+  cache[authorization_header_name][challenge.realm] = {
+    challenge : challenge,
+    auth      : this.auth
+  };
+
+  this.auth_scheme = 'Digest';
+  resend.call(this, response, authorization_header_name, this.auth.toString());
+}
+
+/**
+ * Send a new request with the given authorization.
+ */
+function resend(response, authorization_header_name, authorization) {
+  var cseq;
+
+  if (response.method === JsSIP_C.REGISTER) {
+    cseq = this.applicant.cseq += 1;
+  } else if (this.request.dialog) {
+    cseq = this.request.dialog.local_seqnum += 1;
+    if (this.method === JsSIP_C.INVITE) {
+      this.request.dialog.local_invite_seqnum = cseq;
+    }
+  } else {
+    cseq = this.request.cseq + 1;
+  }
+
+  this.request = this.applicant.request = this.request.clone();
+
+  this.request.cseq = cseq;
+  this.request.setHeader('cseq', cseq +' '+ this.method);
+
+  this.request.setHeader(authorization_header_name, authorization);
+  this.send();
+}
+
+/**
+ * Add the Authorization and Proxy-Authorization headers for the cached challenges,
+ * reusing their nonces with an incrementing nonce-count. If the nonce is stale or
+ * no longer valid a new challenge is received and the request is authorized again.
+ */
+function authorize() {
+  var header_name, realm, challenges, values,
+    cache = challengesCache.call(this);
+
+  for (header_name in cache) {
+    // Do not override the headers given by the application.
+    if (this.request.hasHeader(header_name)) {
+      continue;
+    }
+
+    challenges = cache[header_name];
+    values = [];
+
+    for (realm in challenges) {
+      if (challenges[realm].auth.authenticate(this.request, challenges[realm].challenge)) {
+        values.push(challenges[realm].auth.toString());
+      }
+    }
+
+    if (values.length > 0) {
+      debug('authorizing ' + this.method + ' with cached challenges');
+      this.request.setHeader(header_name, values);
+      this.auth_scheme = 'Digest';
+    }
+  }
+}
+
+/**
+ * Challenges cached by the UA (or account) for the URL of the transport (or flow)
+ * the request is sent over, so credentials given to a proxy are not sent to
+ * another one.
+ */
+function challengesCache() {
+  var credentials = (this.request.account || this.ua).cache.credentials,
+    url = this.transport.socket ? this.transport.url : '';
+
+  credentials[url] = credentials[url] || {};
+
+  return credentials[url];
+}
+
+/**
+ * Remove the cached challenge of the given header and realm.
+ */
+function forgetChallenge(header_name, realm) {
+  var cache = challengesCache.call(this);
+
+  if (cache[header_name]) {
+    delete cache[header_name][realm];
+  }
+}
+
+/**
+ * Credentials returned by the credentials provider, completed with the
+ * authorization user and the realm of the challenge.
+ */
+function providedCredentials(credentials, challenge) {
+  var owner = this.request.account || this.ua;
+
+  if (!credentials || (!credentials.password && !credentials.ha1)) {
+    return null;
+  }
+
+  return {
+    username : credentials.username || owner.configuration.authorization_user,
+    password : credentials.password || null,
+    realm    : credentials.realm || challenge.realm,
+    ha1      : credentials.ha1 || null
+  };
+}
@@ -23,6 +23,9 @@ var Grammar = require('./Grammar');
  * -param {Object} params parameters that will have priority over ua.configuration parameters:
  * <br>
  *  - cseq, call_id, from_tag, from_uri, from_display_name, to_uri, to_tag, route_set
+ *  - account: JsSIP.Account sending the request (its settings have priority over ua.configuration ones)
+ * <br>
+ * Out of dialog requests (but REGISTER) are preloaded with the Service-Route of the registration.
  * -param {Object} [headers] extra headers
  * -param {String} [body]
  */
@@ -31,7 +34,9 @@ function OutgoingRequest(method, ruri, ua, params, extraHeaders, body) {
     to,
     from,
     call_id,
-    cseq;
+    cseq,
+    configuration,
+    service_route;
 
   params = params || {};
 
@@ -41,6 +46,7 @@ function OutgoingRequest(method, ruri, ua, params, extraHeaders, body) {
   }
 
   this.ua = ua;
+  this.account = params.account || null;
   this.headers = {};
   this.method = method;
   this.ruri = ruri;
@@ -50,8 +56,15 @@ function OutgoingRequest(method, ruri, ua, params, extraHeaders, body) {
   // Fill the Common SIP Request Headers
 
   // Route
+  if (!params.route_set && method !== JsSIP_C.REGISTER) {
+    // Service-Route learnt on registration (RFC 3608).
+    service_route = (this.account || ua).registrator().getServiceRoute();
+  }
+
   if (params.route_set) {
     this.setHeader('route', params.route_set);
+  } else if (service_route && service_route.length) {
+    this.setHeader('route', service_route);
   } else if (ua.configuration.use_preloaded_route) {
     this.setHeader('route', '<' + ua.transport.sip_uri + ';lr>');
   }
@@ -71,14 +84,16 @@ function OutgoingRequest(method, ruri, ua, params, extraHeaders, body) {
   this.setHeader('to', to);
 
   // From
+  configuration = this.account ? this.account.configuration : ua.configuration;
+
   if (params.from_display_name || params.from_display_name === 0) {
     from = '"' + params.from_display_name + '" ';
-  } else if (ua.configuration.display_name) {
-    from = '"' + ua.configuration.display_name + '" ';
+  } else if (configuration.display_name) {
+    from = '"' + configuration.display_name + '" ';
   } else {
     from = '';
   }
-  from += '<' + (params.from_uri || ua.configuration.uri) + '>;tag=';
+  from += '<' + (params.from_uri || configuration.uri) + '>;tag=';
   from += params.from_tag || Utils.newTag();
   this.from = new NameAddrHeader.parse(from);
   this.setHeader('from', from);
@@ -236,10 +251,10 @@ OutgoingRequest.prototype = {
         if (this.ua.configuration.session_timers) {
           supported.push('timer');
         }
-        if (this.ua.contact.pub_gruu || this.ua.contact.temp_gruu) {
+        if ((this.account || this.ua).contact.pub_gruu || (this.account || this.ua).contact.temp_gruu) {
           supported.push('gruu');
         }
-        supported.push('ice','replaces');
+        supported.push('ice','replaces','100rel');
         break;
       case JsSIP_C.UPDATE:
         if (this.ua.configuration.session_timers) {
@@ -270,6 +285,8 @@ OutgoingRequest.prototype = {
   clone: function() {
     var request = new OutgoingRequest(this.method, this.ruri, this.ua);
 
+    request.account = this.account;
+
     Object.keys(this.headers).forEach(function(name) {
       request.headers[name] = this.headers[name].slice();
     }, this);
@@ -527,10 +544,10 @@ IncomingRequest.prototype.reply = function(code, reason, extraHeaders, body, onS
       if (this.ua.configuration.session_timers) {
         supported.push('timer');
       }
-      if (this.ua.contact.pub_gruu || this.ua.contact.temp_gruu) {
+      if ((this.account || this.ua).contact.pub_gruu || (this.account || this.ua).contact.temp_gruu) {
         supported.push('gruu');
       }
-      supported.push('ice','replaces');
+      supported.push('ice','replaces','100rel');
       break;
     case JsSIP_C.UPDATE:
       if (this.ua.configuration.session_timers) {
@@ -565,6 +582,12 @@ IncomingRequest.prototype.reply = function(code, reason, extraHeaders, body, onS
     response += 'Content-Length: ' + 0 + '\r\n\r\n';
   }
 
+  // Dropped by a middleware.
+  response = this.ua.filterResponse(response);
+  if (!response) {
+    return;
+  }
+
   this.server_transaction.receiveResponse(code, response, onSuccess, onFailure);
 };
 
@@ -572,9 +595,11 @@ IncomingRequest.prototype.reply = function(code, reason, extraHeaders, body, onS
 * Stateless reply.
 * -param {Number} code status code
 * -param {String} reason reason phrase
+* -param {Array} [extraHeaders] extra headers (including Content-Type if there is a body)
+* -param {String} [body]
 */
-IncomingRequest.prototype.reply_sl = function(code, reason) {
-  var to, response,
+IncomingRequest.prototype.reply_sl = function(code, reason, extraHeaders, body) {
+  var to, response, idx,
     v = 0,
     vias = this.getHeaders('via'),
     length = vias.length;
@@ -609,7 +634,24 @@ IncomingRequest.prototype.reply_sl = function(code, reason) {
   response += 'From: ' + this.getHeader('From') + '\r\n';
   response += 'Call-ID: ' + this.call_id + '\r\n';
   response += 'CSeq: ' + this.cseq + ' ' + this.method + '\r\n';
-  response += 'Content-Length: ' + 0 + '\r\n\r\n';
+
+  extraHeaders = extraHeaders || [];
+  for (idx = 0; idx < extraHeaders.length; idx++) {
+    response += extraHeaders[idx].trim() +'\r\n';
+  }
+
+  if(body) {
+    response += 'Content-Length: ' + Utils.str_utf8_length(body) + '\r\n\r\n';
+    response += body;
+  } else {
+    response += 'Content-Length: ' + 0 + '\r\n\r\n';
+  }
+
+  // Dropped by a middleware.
+  response = this.ua.filterResponse(response);
+  if (!response) {
+    return;
+  }
 
   this.transport.send(response);
 };
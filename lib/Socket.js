@@ -12,6 +12,10 @@ module.exports = Socket;
  *  method disconnect();
  *  method send(data);
  *
+ *  // Optional. Whether the given message is sent over a reliable transport
+ *  // (true if not implemented).
+ *  method isReliable(data);
+ *
  *  attribute EventHandler onconnect
  *  attribute EventHandler ondisconnect
  *  attribute EventHandler ondata
@@ -1,406 +1,578 @@
-// JsSIP.Subscriber = function(ua) {
-//   this.logger = ua.getLogger('jssip.subscriber')
-// };
-
-// JsSIP.Subscriber.prototype = {
-//   initSubscriber: function(){
-//     this.N = null;
-//     this.subscriptions = {};
-//   },
-
-//   timer_N: function(){
-//     this.close();
-//   },
-
-//   close: function() {
-//     var subscription;
-
-//     if (this.state !== 'terminated') {
-//       this.logger.log('terminating Subscriber');
-
-//       this.state = 'terminated';
-//       window.clearTimeout(this.N);
-
-//       for (subscription in this.subscriptions) {
-//         this.subscriptions[subscription].unsubscribe();
-//       }
-
-//       //Delete subscriber from ua.sessions
-//       delete this.ua.sessions[this.id];
-
-//       this.onTerminate();
-//     }
-//   },
-
-//   onSubscriptionTerminate: function(subscription) {
-
-//     delete this.subscriptions[subscription.id];
-
-//     if (Object.keys(this.subscriptions).length === 0) {
-//       this.close();
-//     }
-//   },
-
-//   subscribe: function() {
-//     var subscriber, from_tag, expires;
-
-//     if (['notify_wait', 'pending', 'active', 'terminated'].indexOf(this.state) !== -1) {
-//       this.logger.error('subscription is already on');
-//       return;
-//     }
-
-//     subscriber = this;
-//     from_tag = JsSIP.Utils.newTag();
-
-//     new function() {
-//       this.request = subscriber.createSubscribeRequest(null,{from_tag:from_tag});
-//       var request_sender = new JsSIP.RequestSender(this, subscriber.ua);
-
-//       this.receiveResponse = function(response) {
-//         switch(true) {
-//           case /^1[0-9]{2}$/.test(response.status_code): // Ignore provisional responses.
-//             break;
-//           case /^2[0-9]{2}$/.test(response.status_code):
-//             expires = response.s('Expires');
-
-//             if (expires && expires <= subscriber.expires) {
-//               window.clearTimeout(subscriber.N);
-//               subscriber.N = window.setTimeout(
-//                 function() {subscriber.timer_N();},
-//                 (expires * 1000)
-//               );
-//               // Save route set and to tag for backwards compatibility (3265)
-//               subscriber.route_set_2xx =  response.getHeaderAll('record-route').reverse();
-//               subscriber.to_tag_2xx = response.s('to').tag;
-//               subscriber.initial_local_seqnum = parseInt(response.s('cseq').value,10);
-//             }
-//             else {
-//               subscriber.close();
-
-//               if (!expires) {
-//                 this.logger.warn('Expires header missing in a 200-class response to SUBSCRIBE');
-//                 subscriber.onFailure(null, JsSIP.C.EXPIRES_HEADER_MISSING);
-//               } else {
-//                 this.logger.warn('Expires header in a 200-class response to SUBSCRIBE with a higher value than the indicated in the request');
-//                 subscriber.onFailure(null, JsSIP.C.INVALID_EXPIRES_HEADER);
-//               }
-//             }
-//             break;
-//           default:
-//             subscriber.close();
-//             subscriber.onFailure(response,null);
-//             break;
-//         }
-//       };
-
-//       this.onRequestTimeout = function() {
-//         subscriber.onFailure(null, JsSIP.C.causes.REQUEST_TIMEOUT);
-//       };
-
-//       this.onTransportError = function() {
-//         subscriber.onFailure(null, JsSIP.C.causes.CONNECTION_ERROR);
-//       };
-
-//       this.send = function() {
-//         subscriber.id = this.request.headers['Call-ID'] + from_tag;
-//         subscriber.ua.sessions[subscriber.id] = subscriber;
-//         subscriber.state = 'notify_wait';
-//         subscriber.N = window.setTimeout(
-//           function() {subscriber.timer_N();},
-//           (JsSIP.Timers.T1 * 64)
-//         );
-//         request_sender.send();
-//       };
-//       this.send();
-//     };
-
-//   },
-
-//   unsubscribe: function() {
-//     this.close();
-//   },
-
-//   /**
-//   * Every Session needs a 'terminate' method in order to be called by JsSIP.UA
-//   * when user fires JsSIP.UA.close()
-//   */
-//   terminate: function() {
-//     this.unsubscribe();
-//   },
-
-//   refresh: function() {
-//     var subscription;
-
-//     for (subscription in this.subscriptions) {
-//       this.subscriptions[subscription].subscribe();
-//     }
-//   },
-
-//   receiveRequest: function(request) {
-//     var subscription_state, expires;
-
-//     if (!this.matchEvent(request)) {
-//       return;
-//     }
-
-//     subscription_state = request.s('Subscription-State');
-//     expires = subscription_state.expires || this.expires;
-
-//     switch (subscription_state.state) {
-//       case 'pending':
-//       case 'active':
-//         //create the subscription.
-//         window.clearTimeout(this.N);
-//         new JsSIP.Subscription(this, request, subscription_state.state, expires);
-//         break;
-//       case 'terminated':
-//         if (subscription_state.reason) {
-//           this.logger.log('terminating subscription with reason '+ subscription_state.reason);
-//         }
-//         window.clearTimeout(this.N);
-//         this.close();
-//         break;
-//     }
-//   },
-
-//   matchEvent: function(request) {
-//     var event;
-
-//     // Check mandatory header Event
-//     if (!request.hasHeader('Event')) {
-//       this.logger.warn('missing Event header');
-//       return false;
-//     }
-//     // Check mandatory header Subscription-State
-//     if (!request.hasHeader('Subscription-State')) {
-//       this.logger.warn('missing Subscription-State header');
-//       return false;
-//     }
-
-//     // Check whether the event in NOTIFY matches the event in SUBSCRIBE
-//     event = request.s('event').event;
-
-//     if (this.event !== event) {
-//       this.logger.warn('event match failed');
-//       request.reply(481, 'Event Match Failed');
-//       return false;
-//     } else {
-//       return true;
-//     }
-//   }
-// };
-
-// JsSIP.Subscription = function (subscriber, request, state, expires) {
-
-//     this.id = null;
-//     this.subscriber = subscriber;
-//     this.ua = subscriber.ua;
-//     this.state = state;
-//     this.expires = expires;
-//     this.dialog = null;
-//     this.N = null;
-//     this.error_codes  = [404,405,410,416,480,481,482,483,484,485,489,501,604];
-
-//     //Create dialog and pass the request to receiveRequest method.
-//     if (this.createConfirmedDialog(request,'UAS')) {
-//       this.id = this.dialog.id.toString();
-//       this.subscriber.subscriptions[this.id] = this;
-
-//       /* Update the route_set
-//       * If the endpoint responded with a 2XX to the initial subscribe
-//       */
-//       if (request.from_tag === this.subscriber.to_tag_2xx) {
-//         this.dialog.route_set = this.subscriber.route_set_2xx;
-//       }
-
-//       this.dialog.local_seqnum = this.subscriber.initial_local_seqnum;
-
-//       this.receiveRequest(request, true);
-//     }
-// };
-
-// JsSIP.Subscription.prototype = {
-//   timer_N: function(){
-//     if (this.state === 'terminated') {
-//       this.close();
-//     } else if (this.state === 'pending') {
-//       this.state = 'terminated';
-//       this.close();
-//     } else {
-//       this.subscribe();
-//     }
-//   },
-
-//   close: function() {
-//     this.state = 'terminated';
-//     this.terminateDialog();
-//     window.clearTimeout(this.N);
-//     this.subscriber.onSubscriptionTerminate(this);
-//   },
-
-//   createConfirmedDialog: function(message, type) {
-//     var local_tag, remote_tag, id, dialog;
-
-//     // Create a confirmed dialog given a message and type ('UAC' or 'UAS')
-//     local_tag = (type === 'UAS') ? message.to_tag : message.from_tag;
-//     remote_tag = (type === 'UAS') ? message.from_tag : message.to_tag;
-//     id = message.call_id + local_tag + remote_tag;
-
-//     dialog = new JsSIP.Dialog(this, message, type);
-
-//     if(dialog) {
-//       this.dialog = dialog;
-//       return true;
-//     }
-//     // Dialog not created due to an error
-//     else {
-//       return false;
-//     }
-//   },
-
-//   terminateDialog: function() {
-//     if(this.dialog) {
-//       this.dialog.terminate();
-//       delete this.dialog;
-//     }
-//   },
-
-//   receiveRequest: function(request, initial) {
-//     var subscription_state,
-//       subscription = this;
-
-//     if (!initial && !this.subscriber.matchEvent(request)) {
-//       this.logger.warn('NOTIFY request does not match event');
-//       return;
-//     }
-
-//     request.reply(200, JsSIP.C.REASON_200, [
-//       'Contact: <'+ this.subscriber.contact +'>'
-//     ]);
-
-//     subscription_state = request.s('Subscription-State');
-
-//     switch (subscription_state.state) {
-//       case 'active':
-//         this.state = 'active';
-//         this.subscriber.receiveInfo(request);
-//         /* falls through */
-//       case 'pending':
-//         this.expires = subscription_state.expires || this.expires;
-//         window.clearTimeout(subscription.N);
-//         subscription.N = window.setTimeout(
-//           function() {subscription.timer_N();},
-//           (this.expires * 1000)
-//         );
-//         break;
-//       case 'terminated':
-//         if (subscription_state.reason) {
-//           this.logger.log('terminating subscription with reason '+ subscription_state.reason);
-//         }
-//         this.close();
-//         this.subscriber.receiveInfo(request);
-//         break;
-//     }
-//   },
-
-//   subscribe: function() {
-//     var expires,
-//       subscription = this;
-
-//     new function() {
-//       this.request = subscription.subscriber.createSubscribeRequest(subscription.dialog);
-
-//       var request_sender = new JsSIP.RequestSender(this, subscription.subscriber.ua);
-
-//       this.receiveResponse = function(response) {
-//         if (subscription.error_codes.indexOf(response.status_code) !== -1) {
-//           subscription.close();
-//           subscription.subscriber.onFailure(response, null);
-//         } else {
-//           switch(true) {
-//             case /^1[0-9]{2}$/.test(response.status_code): // Ignore provisional responses.
-//               break;
-//             case /^2[0-9]{2}$/.test(response.status_code):
-//               expires = response.s('Expires');
-
-//               if (expires && expires <= subscription.expires) {
-//                 window.clearTimeout(subscription.N);
-//                 subscription.N = window.setTimeout(
-//                   function() {subscription.timer_N();},
-//                   (expires * 1000)
-//                 );
-//               }else {
-//                 subscription.close();
-
-//                 if (!expires) {
-//                   this.logger.warn('Expires header missing in a 200-class response to SUBSCRIBE');
-//                   subscription.subscriber.onFailure(null, JsSIP.C.EXPIRES_HEADER_MISSING);
-//                 } else {
-//                   this.logger.warn('Expires header in a 200-class response to SUBSCRIBE with a higher value than the indicated in the request');
-//                   subscription.subscriber.onFailure(null, JsSIP.C.INVALID_EXPIRES_HEADER);
-//                 }
-//               }
-//               break;
-//             default:
-//               subscription.close();
-//               subscription.subscriber.onFailure(response,null);
-//               break;
-//           }
-//         }
-//       };
-
-//       this.send = function() {
-//         window.clearTimeout(subscription.N);
-//         subscription.N = window.setTimeout(
-//           function() {subscription.timer_N();},
-//           (JsSIP.Timers.T1 * 64)
-//         );
-//         request_sender.send();
-//       };
-
-//       this.onRequestTimeout = function() {
-//         subscription.subscriber.onFailure(null, JsSIP.C.causes.REQUEST_TIMEOUT);
-//       };
-
-//       this.onTransportError = function() {
-//         subscription.subscriber.onFailure(null, JsSIP.C.causes.CONNECTION_ERROR);
-//       };
-
-//       this.send();
-//     };
-//   },
-
-//   unsubscribe: function() {
-//     var subscription = this;
-
-//     this.state = 'terminated';
-
-//     new function() {
-//       this.request = subscription.subscriber.createSubscribeRequest(subscription.dialog);
-//       this.request.setHeader('Expires', 0);
-
-//       var request_sender = new JsSIP.RequestSender(this, subscription.subscriber.ua);
-
-//       //Don't care about response.
-//       this.receiveResponse = function(){};
-
-//       this.send = function() {
-//         window.clearTimeout(subscription.N);
-//         subscription.N = window.setTimeout(
-//           function() {subscription.timer_N();},
-//           (JsSIP.Timers.T1 * 64)
-//         );
-//         request_sender.send();
-//       };
-
-//       this.onRequestTimeout = function() {
-//         subscription.subscriber.onFailure(null, JsSIP.C.causes.REQUEST_TIMEOUT);
-//       };
-//       this.onTransportError = function() {
-//         subscription.subscriber.onFailure(null, JsSIP.C.causes.CONNECTION_ERROR);
-//       };
-
-//       this.send();
-//     };
-//   }
-// };
+module.exports = Subscriber;
+
+
+var C = {
+  // Subscriber states
+  STATUS_NULL:        0,
+  STATUS_NOTIFY_WAIT: 1,
+  STATUS_PENDING:     2,
+  STATUS_ACTIVE:      3,
+  STATUS_TERMINATED:  4,
+
+  // Default subscription duration (RFC 6665 4.1.2.1)
+  expires: 900
+};
+
+/**
+ * Expose C object.
+ */
+Subscriber.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var events = require('events');
+var debug = require('debug')('JsSIP:Subscriber');
+var debugerror = require('debug')('JsSIP:ERROR:Subscriber');
+debugerror.log = console.warn.bind(console);
+var JsSIP_C = require('./Constants');
+var Exceptions = require('./Exceptions');
+var Utils = require('./Utils');
+var Timers = require('./Timers');
+var Grammar = require('./Grammar');
+var SIPMessage = require('./SIPMessage');
+var Dialog = require('./Dialog');
+var RequestSender = require('./RequestSender');
+
+
+/**
+ * SUBSCRIBE/NOTIFY subscriber (RFC 6665).
+ */
+function Subscriber(ua) {
+  this.ua = ua;
+  this.status = C.STATUS_NULL;
+  this.dialog = null;
+
+  // JsSIP.Account of the subscription (null for the UA main account).
+  this.account = null;
+  this.request = null;
+  this.id = null;
+
+  // Event package, its id param (if any) and the requested duration.
+  this.event = null;
+  this.event_id = null;
+  this.expires = C.expires;
+
+  // Subscription-State of the last received NOTIFY.
+  this.state = null;
+
+  // Whether a 2xx response to the SUBSCRIBE has been received.
+  this.is_accepted = false;
+
+  // Whether an un-SUBSCRIBE has been sent.
+  this.unsubscribing = false;
+
+  this.timers = {
+    N: null,
+    refresh: null
+  };
+
+  // Custom subscriber empty object for high level use
+  this.data = {};
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Subscriber, events.EventEmitter);
+
+
+/**
+ * User API
+ */
+
+Subscriber.prototype.subscribe = function(target, eventName, options) {
+  debug('subscribe()');
+
+  var event, extraHeaders, eventHandlers, requestParams,
+    originalTarget = target;
+
+  if (target === undefined || eventName === undefined) {
+    throw new TypeError('Not enough arguments');
+  }
+
+  // Check target validity
+  target = this.ua.normalizeTarget(target);
+  if (!target) {
+    throw new TypeError('Invalid target: '+ originalTarget);
+  }
+
+  // Check event package validity
+  eventName = Utils.isString(eventName) ? eventName.trim().toLowerCase() : null;
+  if (!eventName || Grammar.parse(eventName, 'Event') === -1) {
+    throw new TypeError('Invalid event: '+ eventName);
+  }
+
+  // Check Subscriber Status
+  if (this.status !== C.STATUS_NULL) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  // Get subscribe options
+  options = options || {};
+  extraHeaders = options.extraHeaders && options.extraHeaders.slice() || [];
+  eventHandlers = options.eventHandlers || {};
+
+  if (options.expires !== undefined) {
+    if (!Utils.isDecimal(options.expires) || Number(options.expires) <= 0) {
+      throw new TypeError('Invalid expires: '+ options.expires);
+    }
+    this.expires = Number(options.expires);
+  }
+
+  // Check account validity
+  if (options.account) {
+    this.account = this.ua.getAccount(options.account);
+    if (!this.account) {
+      throw new TypeError('Invalid account: '+ options.account);
+    }
+  }
+
+  this.event = eventName;
+  this.event_id = options.id ? String(options.id) : null;
+  this.accept = options.accept || null;
+  this.data = options.data || this.data;
+
+  // Set event handlers
+  for (event in eventHandlers) {
+    this.on(event, eventHandlers[event]);
+  }
+
+  this.from_tag = Utils.newTag();
+  this.contact = (this.account || this.ua).contact.toString();
+
+  requestParams = {from_tag: this.from_tag, account: this.account};
+
+  extraHeaders.push('Contact: '+ this.contact);
+  extraHeaders.push('Event: '+ eventHeader.call(this));
+  if (this.accept) {
+    extraHeaders.push('Accept: '+ this.accept);
+  }
+  if (options.body) {
+    extraHeaders.push('Content-Type: '+ (options.contentType || 'text/plain'));
+  }
+
+  this.request = new SIPMessage.OutgoingRequest(JsSIP_C.SUBSCRIBE, target, this.ua, requestParams, extraHeaders, options.body);
+
+  this.id = this.request.call_id + this.from_tag;
+
+  // Save the subscriber into the ua subscribers collection.
+  this.ua.subscribers[this.id] = this;
+
+  this.local_identity = this.request.from;
+  this.remote_identity = this.request.to;
+  this.status = C.STATUS_NOTIFY_WAIT;
+
+  sendSubscribe.call(this);
+};
+
+/**
+ * Refresh the subscription before it expires.
+ */
+Subscriber.prototype.refresh = function() {
+  debug('refresh()');
+
+  if (this.status === C.STATUS_NULL || this.status === C.STATUS_TERMINATED) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (this.unsubscribing) {
+    debug('refresh() | un-SUBSCRIBE already sent, ignoring');
+    return;
+  }
+
+  sendSubscribe.call(this);
+};
+
+/**
+ * Terminate the subscription by sending a SUBSCRIBE with Expires: 0.
+ */
+Subscriber.prototype.unsubscribe = function() {
+  debug('unsubscribe()');
+
+  if (this.status === C.STATUS_NULL || this.status === C.STATUS_TERMINATED) {
+    throw new Exceptions.InvalidStateError(this.status);
+  }
+
+  if (this.unsubscribing) {
+    debug('unsubscribe() | un-SUBSCRIBE already sent');
+    return;
+  }
+
+  this.unsubscribing = true;
+
+  clearTimeout(this.timers.refresh);
+
+  sendSubscribe.call(this, 0);
+};
+
+/**
+ * Called by the UA when it is stopped.
+ */
+Subscriber.prototype.terminate = function() {
+  debug('terminate()');
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  if (this.status === C.STATUS_NULL || this.unsubscribing) {
+    terminated.call(this, 'local', null, JsSIP_C.causes.BYE);
+  } else {
+    this.unsubscribe();
+  }
+};
+
+Subscriber.prototype.close = function() {
+  debug('close()');
+
+  var idx;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  for (idx in this.timers) {
+    clearTimeout(this.timers[idx]);
+  }
+
+  if (this.dialog) {
+    this.dialog.terminate();
+    this.dialog = null;
+  }
+
+  this.status = C.STATUS_TERMINATED;
+
+  delete this.ua.subscribers[this.id];
+};
+
+Subscriber.prototype.isTerminated = function() {
+  return this.status === C.STATUS_TERMINATED;
+};
+
+
+/**
+ * RequestSender and Dialog callbacks
+ */
+
+Subscriber.prototype.receiveResponse = function(response) {
+  var expires, min_expires;
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  switch(true) {
+    case /^1[0-9]{2}$/.test(response.status_code):
+      // Ignore provisional responses.
+      break;
+
+    case /^2[0-9]{2}$/.test(response.status_code):
+      // The dialog may have already been created by a NOTIFY.
+      if (!this.dialog && response.to_tag && response.hasHeader('contact')) {
+        createDialog.call(this, response, 'UAC');
+      }
+
+      // Wait for the final NOTIFY after an un-SUBSCRIBE.
+      if (this.unsubscribing) {
+        break;
+      }
+
+      if (response.hasHeader('expires')) {
+        expires = response.parseHeader('expires');
+      }
+
+      // RFC 6665 4.1.2.1: the notifier may shorten but not lengthen the duration.
+      if (expires === undefined) {
+        debug('no Expires header in 2xx response to SUBSCRIBE, using the requested one');
+        expires = this.expires;
+      } else if (expires > this.expires) {
+        debug('Expires in 2xx response to SUBSCRIBE is higher than requested, using the requested one');
+        expires = this.expires;
+      }
+
+      if (!this.is_accepted) {
+        this.is_accepted = true;
+        this.emit('accepted', {
+          originator: 'remote',
+          response: response
+        });
+      }
+
+      scheduleRefresh.call(this, expires);
+      break;
+
+    // Interval too brief RFC 6665 4.1.2.1
+    case /^423$/.test(response.status_code):
+      if (response.hasHeader('min-expires')) {
+        min_expires = response.parseHeader('min-expires');
+      }
+
+      if (min_expires && !this.unsubscribing) {
+        this.expires = min_expires;
+        sendSubscribe.call(this);
+      } else {
+        debug('423 response received for SUBSCRIBE without Min-Expires');
+        terminated.call(this, 'remote', response, JsSIP_C.causes.SIP_FAILURE_CODE);
+      }
+      break;
+
+    default:
+      terminated.call(this, 'remote', response, Utils.sipErrorCause(response.status_code));
+  }
+};
+
+Subscriber.prototype.onRequestTimeout = function() {
+  debugerror('onRequestTimeout()');
+
+  terminated.call(this, 'system', null, JsSIP_C.causes.REQUEST_TIMEOUT);
+};
+
+Subscriber.prototype.onTransportError = function() {
+  debugerror('onTransportError()');
+
+  terminated.call(this, 'system', null, JsSIP_C.causes.CONNECTION_ERROR);
+};
+
+Subscriber.prototype.onDialogError = function(response) {
+  debugerror('onDialogError()');
+
+  terminated.call(this, 'remote', response, JsSIP_C.causes.DIALOG_ERROR);
+};
+
+/**
+ * NOTIFY reception. Called by the Dialog or, for the first NOTIFY, by the UA.
+ */
+Subscriber.prototype.receiveRequest = function(request) {
+  debug('receiveRequest()');
+
+  var event, subscription_state, state, expires;
+
+  if (request.method !== JsSIP_C.NOTIFY) {
+    request.reply(405);
+    return;
+  }
+
+  if (this.status === C.STATUS_TERMINATED) {
+    request.reply(481, 'Subscription does not exist');
+    return;
+  }
+
+  // A NOTIFY from another fork.
+  if (this.dialog && (this.dialog.id.remote_tag !== request.from_tag)) {
+    debug('NOTIFY from a different dialog, rejecting it');
+    request.reply(481, 'Subscription does not exist');
+    return;
+  }
+
+  // Check the Event header matches the subscribed one.
+  event = request.event;
+  if (!event || event.event !== this.event ||
+      (event.params && event.params.id || null) !== this.event_id) {
+    debug('NOTIFY with a not matching Event header');
+    request.reply(489);
+    return;
+  }
+
+  subscription_state = request.parseHeader('subscription-state');
+  if (!subscription_state) {
+    debug('NOTIFY without a valid Subscription-State header');
+    request.reply(400, 'Missing Subscription-State');
+    return;
+  }
+
+  // The first NOTIFY may arrive before the 2xx response to the SUBSCRIBE.
+  if (!this.dialog && !createDialog.call(this, request, 'UAS')) {
+    request.reply(400, 'Missing Contact header field');
+    return;
+  }
+
+  request.reply(200);
+
+  clearTimeout(this.timers.N);
+  this.timers.N = null;
+
+  state = subscription_state.state.toLowerCase();
+  expires = subscription_state.expires;
+
+  this.emit('notify', {
+    originator: 'remote',
+    request: request,
+    state: state,
+    body: request.body || null,
+    content_type: request.getHeader('content-type') || null
+  });
+
+  switch(state) {
+    case 'pending':
+    case 'active':
+      if (this.unsubscribing) {
+        break;
+      }
+      if (expires !== undefined) {
+        scheduleRefresh.call(this, Math.min(expires, this.expires));
+      }
+      if (this.state !== state) {
+        this.state = state;
+        this.status = (state === 'active') ? C.STATUS_ACTIVE : C.STATUS_PENDING;
+        this.emit(state, {
+          originator: 'remote',
+          request: request
+        });
+      }
+      break;
+
+    case 'terminated':
+      this.state = state;
+      terminated.call(this, 'remote', request,
+        this.unsubscribing ? JsSIP_C.causes.BYE : terminationCause(subscription_state.reason),
+        subscription_state.reason, subscription_state.retry_after);
+      break;
+
+    default:
+      debug('unknown Subscription-State "%s", ignoring it', state);
+  }
+};
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Send the initial SUBSCRIBE, a refresh or an un-SUBSCRIBE (expires = 0).
+ */
+function sendSubscribe(expires) {
+  var extraHeaders,
+    self = this;
+
+  if (expires === undefined) {
+    expires = this.expires;
+  }
+
+  // In-dialog SUBSCRIBE.
+  if (this.dialog) {
+    extraHeaders = [
+      'Contact: '+ this.contact,
+      'Event: '+ eventHeader.call(this),
+      'Expires: '+ expires
+    ];
+    if (this.accept) {
+      extraHeaders.push('Accept: '+ this.accept);
+    }
+
+    this.dialog.sendRequest(this, JsSIP_C.SUBSCRIBE, {
+      extraHeaders: extraHeaders
+    });
+  }
+
+  // Initial SUBSCRIBE or a new one sent before the dialog is created.
+  // The latter keeps the Call-ID and From tag and increases the CSeq.
+  else {
+    if (this.request_sender) {
+      this.request = this.request.clone();
+      this.request.cseq += 1;
+      this.request.setHeader('cseq', this.request.cseq + ' ' + JsSIP_C.SUBSCRIBE);
+    }
+    this.request.setHeader('expires', expires);
+
+    this.request_sender = new RequestSender(this, this.ua);
+    this.request_sender.send();
+  }
+
+  // RFC 6665 4.1.2.4: Timer N. Wait for the first NOTIFY (or for the final one
+  // after an un-SUBSCRIBE).
+  if (this.status === C.STATUS_NOTIFY_WAIT || expires === 0) {
+    clearTimeout(this.timers.N);
+    this.timers.N = setTimeout(function() {
+      self.timers.N = null;
+      debug('Timer N expired, no NOTIFY received');
+      if (expires === 0) {
+        terminated.call(self, 'local', null, JsSIP_C.causes.BYE);
+      } else {
+        terminated.call(self, 'system', null, JsSIP_C.causes.REQUEST_TIMEOUT);
+      }
+    }, Timers.TIMER_N);
+  }
+}
+
+/**
+ * Refresh the subscription before the given expires value (in seconds) elapses.
+ */
+function scheduleRefresh(expires) {
+  var timeout,
+    self = this;
+
+  clearTimeout(this.timers.refresh);
+
+  if (!expires) {
+    return;
+  }
+
+  // Leave some room for the refresh transaction to complete.
+  if (expires > 64) {
+    timeout = (expires - 32) * 1000;
+  } else {
+    timeout = expires * 500;
+  }
+
+  this.timers.refresh = setTimeout(function() {
+    self.timers.refresh = null;
+    if (self.status !== C.STATUS_TERMINATED && !self.unsubscribing) {
+      sendSubscribe.call(self);
+    }
+  }, timeout);
+}
+
+function createDialog(message, type) {
+  var dialog = new Dialog(this, message, type);
+
+  if (dialog.error) {
+    debug(dialog.error);
+    return false;
+  }
+
+  // Keep the CSeq sequence used by the SUBSCRIBE requests.
+  dialog.local_seqnum = this.request.cseq;
+
+  this.dialog = dialog;
+  return true;
+}
+
+function eventHeader() {
+  return this.event + (this.event_id ? ';id=' + this.event_id : '');
+}
+
+/**
+ * Map the reason of a terminated Subscription-State to a JsSIP cause.
+ */
+function terminationCause(reason) {
+  switch(reason) {
+    case 'rejected':
+      return JsSIP_C.causes.REJECTED;
+    case 'timeout':
+      return JsSIP_C.causes.EXPIRES;
+    case 'noresource':
+      return JsSIP_C.causes.NOT_FOUND;
+    default:
+      return JsSIP_C.causes.BYE;
+  }
+}
+
+function terminated(originator, message, cause, reason, retry_after) {
+  debug('subscription terminated');
+
+  if (this.status === C.STATUS_TERMINATED) {
+    return;
+  }
+
+  this.close();
+  this.emit('terminated', {
+    originator: originator,
+    message: message || null,
+    cause: cause,
+    reason: reason || null,
+    retry_after: retry_after || null
+  });
+}
@@ -0,0 +1,265 @@
+module.exports = TcpSocket;
+
+
+var C = {
+  // Default ports for SIP over TCP and TLS.
+  TCP_PORT: 5060,
+  TLS_PORT: 5061,
+
+  // Maximum size of the header section of a received message.
+  MAX_HEADERS_SIZE: 65535
+};
+
+/**
+ * Expose C object.
+ */
+TcpSocket.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var net = require('net');
+var tls = require('tls');
+var Grammar = require('./Grammar');
+var debug = require('debug')('JsSIP:TcpSocket');
+var debugerror = require('debug')('JsSIP:ERROR:TcpSocket');
+debugerror.log = console.warn.bind(console);
+
+
+/**
+ * JsSIP.Socket implementation for SIP over TCP (RFC 3261 18) in Node.js.
+ *
+ * -param {String} url: SIP URI of the server (ie: 'sip:proxy.example.com:5060').
+ * -param {Object} options
+ *   - tlsOptions {Object}: options given to tls.connect() (TlsSocket only).
+ *
+ * -throws {TypeError}
+ */
+function TcpSocket(url, options) {
+  debug('new() [url:"%s"]', url);
+
+  var parsed_url, host, port,
+    sip_uri = null,
+    via_transport = null,
+    transport = this.secure ? 'tls' : 'tcp';
+
+  options = options || {};
+
+  this.socket = null;
+  this.connected = false;
+  this.tlsOptions = options.tlsOptions || {};
+
+  // Received bytes not yet delivered as a complete SIP message.
+  this.buffer = null;
+
+  Object.defineProperties(this, {
+    via_transport: {
+      get: function() { return via_transport; },
+      set: function(transport) {
+        via_transport = transport.toUpperCase();
+      }
+    },
+    sip_uri:  { get: function() { return sip_uri; }},
+    url:      { get: function() { return url; }},
+    host:     { get: function() { return host; }},
+    port:     { get: function() { return port; }}
+  });
+
+  parsed_url = Grammar.parse(url, 'SIP_URI');
+
+  if (parsed_url === -1) {
+    debugerror('invalid SIP URI: ' + url);
+    throw new TypeError('Invalid argument: ' + url);
+  } else if (parsed_url.scheme === 'sips' && !this.secure) {
+    debugerror('invalid SIP URI scheme for TCP: ' + parsed_url.scheme);
+    throw new TypeError('Invalid argument: ' + url);
+  } else if (parsed_url.hasParam('transport') &&
+      parsed_url.getParam('transport').toLowerCase() !== transport) {
+    debugerror('invalid SIP URI transport param: ' + parsed_url.getParam('transport'));
+    throw new TypeError('Invalid argument: ' + url);
+  } else {
+    host = parsed_url.host;
+    port = parsed_url.port || (this.secure ? C.TLS_PORT : C.TCP_PORT);
+    sip_uri = 'sip:' + host + (parsed_url.port ? ':' + parsed_url.port : '') +
+      ';transport=' + transport;
+    this.via_transport = transport;
+  }
+}
+
+// Whether the connection is secured with TLS (see TlsSocket).
+TcpSocket.prototype.secure = false;
+
+TcpSocket.prototype.connect = function() {
+  debug('connect()');
+
+  var tlsOptions, name;
+
+  if (this.isConnected()) {
+    debug('socket ' + this.url + ' is already connected');
+    return;
+  } else if (this.isConnecting()) {
+    debug('socket ' + this.url + ' is connecting');
+    return;
+  }
+
+  if (this.socket) {
+    this.socket.destroy();
+  }
+
+  debug('connecting to ' + this.url);
+
+  this.connected = false;
+  this.buffer = null;
+
+  try {
+    if (this.secure) {
+      tlsOptions = { host: this.host, port: this.port, servername: this.host };
+      for (name in this.tlsOptions) {
+        tlsOptions[name] = this.tlsOptions[name];
+      }
+
+      this.socket = tls.connect(tlsOptions);
+      this.socket.on('secureConnect', onConnect.bind(this, this.socket));
+    } else {
+      this.socket = net.connect({ host: this.host, port: this.port });
+      this.socket.on('connect', onConnect.bind(this, this.socket));
+    }
+
+    this.socket.setNoDelay(true);
+    this.socket.on('data', onData.bind(this, this.socket));
+    this.socket.on('error', onError.bind(this, this.socket));
+    this.socket.on('close', onClose.bind(this, this.socket));
+  } catch(e) {
+    onError.call(this, null, e);
+  }
+};
+
+TcpSocket.prototype.disconnect = function() {
+  debug('disconnect()');
+
+  if (this.socket) {
+    this.socket.destroy();
+    this.socket = null;
+  }
+
+  this.connected = false;
+  this.buffer = null;
+};
+
+TcpSocket.prototype.send = function(message) {
+  debug('send()');
+
+  if (this.isConnected()) {
+    this.socket.write(message);
+    return true;
+  } else {
+    debugerror('unable to send message, socket is not connected');
+    return false;
+  }
+};
+
+TcpSocket.prototype.isConnected = function() {
+  return !!this.socket && this.connected;
+};
+
+TcpSocket.prototype.isConnecting = function() {
+  return !!this.socket && !this.connected;
+};
+
+
+/**
+ * Socket Event Handlers
+ */
+
+function onConnect(socket) {
+  if (socket !== this.socket) { return; }
+
+  debug('socket ' + this.url + ' connected');
+
+  this.connected = true;
+  this.onconnect();
+}
+
+function onClose(socket, had_error) {
+  if (socket !== this.socket) { return; }
+
+  debug('socket ' + this.url + ' closed');
+
+  this.socket = null;
+  this.buffer = null;
+  this.connected = false;
+  this.ondisconnect(had_error);
+}
+
+function onData(socket, data) {
+  if (socket !== this.socket) { return; }
+
+  this.buffer = this.buffer ? Buffer.concat([this.buffer, data]) : data;
+
+  readMessages.call(this);
+}
+
+function onError(socket, e) {
+  debugerror('socket ' + this.url + ' error: '+ e);
+
+  // The socket could not even be created.
+  if (!socket) {
+    this.socket = null;
+    this.ondisconnect(true);
+  }
+}
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Deliver every complete SIP message in the buffer (RFC 3261 18.3).
+ * Over a stream the Content-Length header tells where each message ends.
+ */
+function readMessages() {
+  var crlfs, headersEnd, headers, contentLength, messageEnd, message;
+
+  while (this.buffer && this.buffer.length) {
+    // Leading CRLFs are keep-alives (RFC 5626 3.5.1) and are passed up as such:
+    // a double CRLF ping or a CRLF pong.
+    crlfs = 0;
+    while (this.buffer[crlfs] === 0x0d && this.buffer[crlfs + 1] === 0x0a) {
+      crlfs += 2;
+    }
+
+    if (crlfs) {
+      this.buffer = this.buffer.slice(crlfs);
+      this.ondata(crlfs >= 4 ? '\r\n\r\n' : '\r\n');
+      continue;
+    }
+
+    headersEnd = this.buffer.indexOf('\r\n\r\n');
+
+    if (headersEnd === -1) {
+      if (this.buffer.length > C.MAX_HEADERS_SIZE) {
+        debugerror('too big header section received, closing the connection');
+        this.socket.destroy();
+      }
+      return;
+    }
+
+    headers = this.buffer.slice(0, headersEnd).toString('utf8');
+    contentLength = headers.match(/\r\n(?:content-length|l)[ \t]*:[ \t]*([0-9]+)/i);
+    contentLength = contentLength ? parseInt(contentLength[1], 10) : 0;
+
+    messageEnd = headersEnd + 4 + contentLength;
+
+    // Wait for the rest of the body.
+    if (this.buffer.length < messageEnd) {
+      return;
+    }
+
+    message = this.buffer.slice(0, messageEnd).toString('utf8');
+    this.buffer = this.buffer.slice(messageEnd);
+
+    this.ondata(message);
+  }
+}
@@ -16,6 +16,12 @@ var Timers = {
   TIMER_K: 0  * T4,
   TIMER_L: 64 * T1,
   TIMER_M: 64 * T1,
+  TIMER_N: 64 * T1,
+  // Timers D, I, J and K over unreliable transports (RFC 3261 17.1 and 17.2).
+  TIMER_D_UNRELIABLE: 64 * T1,
+  TIMER_I_UNRELIABLE: T4,
+  TIMER_J_UNRELIABLE: 64 * T1,
+  TIMER_K_UNRELIABLE: T4,
   PROVISIONAL_RESPONSE_INTERVAL: 60000  // See RFC 3261 Section 13.3.1.1
 };
 
@@ -0,0 +1,28 @@
+module.exports = TlsSocket;
+
+
+/**
+ * Dependencies.
+ */
+var util = require('util');
+var TcpSocket = require('./TcpSocket');
+
+
+/**
+ * JsSIP.Socket implementation for SIP over TLS (RFC 3261 26.2) in Node.js.
+ * Same as TcpSocket but the connection is secured with tls.connect().
+ *
+ * -param {String} url: SIP URI of the server (ie: 'sips:proxy.example.com').
+ * -param {Object} options
+ *   - tlsOptions {Object}: options given to tls.connect() (ie: ca, cert, key,
+ *     rejectUnauthorized).
+ *
+ * -throws {TypeError}
+ */
+function TlsSocket(url, options) {
+  TcpSocket.call(this, url, options);
+}
+
+util.inherits(TlsSocket, TcpSocket);
+
+TlsSocket.prototype.secure = true;
@@ -0,0 +1,230 @@
+module.exports = Tracer;
+
+
+var C = {
+  // Messages kept by default.
+  MAX_MESSAGES: 1000,
+
+  // HEPv3 (https://github.com/sipcapture/HEP)
+  HEP_CAPTURE_ID: 2001,
+  HEP_FAMILY_IPV4: 2,
+  HEP_PROTOCOL_TCP: 6,
+  HEP_PROTOCOL_UDP: 17,
+  HEP_PROTOCOL_TYPE_SIP: 1
+};
+
+/**
+ * Expose C object.
+ */
+Tracer.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var debug = require('debug')('JsSIP:Tracer');
+var Utils = require('./Utils');
+var URI = require('./URI');
+
+
+/**
+ * Collects the SIP messages sent and received by the UA (see the UA
+ * 'sipMessage' event) so the ladder of a call can be exported as JSON or as
+ * HEPv3 packets for Homer like tools.
+ *
+ * -param {JsSIP.UA} ua
+ * -param {Object} [options]
+ *   - max_messages {Number}: messages kept, the oldest ones are dropped first.
+ *   - capture_id {Number}: HEP capture agent id.
+ *   - capture_password {String}: HEP authentication key.
+ *   - local_address {String}: IPv4 address of this endpoint in HEP packets.
+ *   - local_port {Number}: port of this endpoint in HEP packets.
+ */
+function Tracer(ua, options) {
+  debug('new()');
+
+  options = options || {};
+
+  this.ua = ua;
+  this.max_messages = options.max_messages || C.MAX_MESSAGES;
+  this.capture_id = options.capture_id || C.HEP_CAPTURE_ID;
+  this.capture_password = options.capture_password || null;
+  this.local_address = options.local_address || '127.0.0.1';
+  this.local_port = options.local_port || 0;
+  this.messages = [];
+
+  this.onSIPMessage = onSIPMessage.bind(this);
+  this.ua.on('sipMessage', this.onSIPMessage);
+}
+
+
+/**
+ * Stop collecting messages.
+ */
+Tracer.prototype.stop = function() {
+  debug('stop()');
+
+  this.ua.removeListener('sipMessage', this.onSIPMessage);
+};
+
+/**
+ * Forget the collected messages.
+ */
+Tracer.prototype.clear = function() {
+  this.messages = [];
+};
+
+/**
+ * Collected messages, all of them or just those of the given Call-ID.
+ * Each one with:
+ * - timestamp {Date}
+ * - direction {String}: 'incoming' or 'outgoing'
+ * - call_id, method, status_code (responses) and cseq
+ * - transport {String}: Via transport
+ * - src, dst {Object}: address and port
+ * - raw {String}: the message as sent or received (redacted)
+ */
+Tracer.prototype.getMessages = function(call_id) {
+  return this.messages.filter(function(message) {
+    return !call_id || message.call_id === call_id;
+  });
+};
+
+/**
+ * JSON document with the ladder of the given Call-ID (or all the messages).
+ */
+Tracer.prototype.exportJSON = function(call_id) {
+  return JSON.stringify(this.getMessages(call_id).map(function(message) {
+    return {
+      timestamp: message.timestamp.toISOString(),
+      direction: message.direction,
+      call_id: message.call_id,
+      method: message.method,
+      status_code: message.status_code,
+      cseq: message.cseq,
+      transport: message.transport,
+      src: message.src.address + ':' + message.src.port,
+      dst: message.dst.address + ':' + message.dst.port,
+      raw: message.raw
+    };
+  }));
+};
+
+/**
+ * HEPv3 packets (an Uint8Array per message, to be sent over UDP to the HEP
+ * collector) with the ladder of the given Call-ID (or all the messages).
+ */
+Tracer.prototype.exportHEP = function(call_id) {
+  var self = this;
+
+  return this.getMessages(call_id).map(function(message) {
+    return hepPacket.call(self, message);
+  });
+};
+
+
+/**
+ * Private API.
+ */
+
+function onSIPMessage(data) {
+  var local, remote, uri, parsed = data.parsed;
+
+  uri = URI.parse(data.transport.sip_uri);
+
+  local = {
+    address: this.local_address,
+    port: this.local_port
+  };
+
+  remote = {
+    address: Utils.hostType(uri.host) === 'IPv4' ? uri.host : '0.0.0.0',
+    port: uri.port || defaultPort(data.transport.via_transport)
+  };
+
+  this.messages.push({
+    timestamp: data.timestamp,
+    direction: data.direction,
+    call_id: parsed ? parsed.call_id : null,
+    method: parsed ? parsed.method : null,
+    status_code: parsed && parsed.status_code || null,
+    cseq: parsed ? parsed.cseq : null,
+    transport: data.transport.via_transport,
+    src: data.direction === 'outgoing' ? local : remote,
+    dst: data.direction === 'outgoing' ? remote : local,
+    raw: data.raw
+  });
+
+  if (this.messages.length > this.max_messages) {
+    this.messages.shift();
+  }
+}
+
+function defaultPort(via_transport) {
+  switch (via_transport.toUpperCase()) {
+    case 'WSS':
+      return 443;
+    case 'WS':
+      return 80;
+    case 'TLS':
+      return 5061;
+    default:
+      return 5060;
+  }
+}
+
+function hepPacket(message) {
+  var bytes = [],
+    chunks = [],
+    milliseconds = message.timestamp.getTime();
+
+  function chunk(type, payload) {
+    var length = payload.length + 6;
+
+    chunks.push([0, 0, type >> 8, type & 0xff, length >> 8, length & 0xff].concat(payload));
+  }
+
+  function uint16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+  }
+
+  function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+  }
+
+  function ipv4(address) {
+    return address.split('.').map(Number);
+  }
+
+  function utf8(string) {
+    return unescape(encodeURIComponent(string)).split('').map(function(character) {
+      return character.charCodeAt(0);
+    });
+  }
+
+  chunk(0x0001, [C.HEP_FAMILY_IPV4]);
+  chunk(0x0002, [message.transport.toUpperCase() === 'UDP' ? C.HEP_PROTOCOL_UDP : C.HEP_PROTOCOL_TCP]);
+  chunk(0x0003, ipv4(message.src.address));
+  chunk(0x0004, ipv4(message.dst.address));
+  chunk(0x0007, uint16(message.src.port));
+  chunk(0x0008, uint16(message.dst.port));
+  chunk(0x0009, uint32(Math.floor(milliseconds / 1000)));
+  chunk(0x000a, uint32((milliseconds % 1000) * 1000));
+  chunk(0x000b, [C.HEP_PROTOCOL_TYPE_SIP]);
+  chunk(0x000c, uint32(this.capture_id));
+  if (this.capture_password) {
+    chunk(0x000e, utf8(this.capture_password));
+  }
+  if (message.call_id) {
+    chunk(0x0011, utf8(message.call_id));
+  }
+  chunk(0x000f, utf8(message.raw));
+
+  chunks.forEach(function(item) {
+    bytes = bytes.concat(item);
+  });
+
+  return new Uint8Array(['H', 'E', 'P', '3'].map(function(character) {
+    return character.charCodeAt(0);
+  }).concat(uint16(bytes.length + 6), bytes));
+}
@@ -58,6 +58,11 @@ function NonInviteClientTransaction(request_sender, request, transport) {
   via = 'SIP/2.0/' + transport.via_transport;
   via += ' ' + request_sender.ua.configuration.via_host + ';branch=' + this.id;
 
+  // RFC 3581: ask for the responses to be sent to the source port.
+  if (!transport.isReliable()) {
+    via += ';rport';
+  }
+
   this.request.setHeader('via', via);
 
   this.request_sender.ua.newTransaction(this);
@@ -75,9 +80,17 @@ NonInviteClientTransaction.prototype.stateChanged = function(state) {
 NonInviteClientTransaction.prototype.send = function() {
   var tr = this;
 
+  this.reliable = this.transport.isReliable(this.request);
+
   this.stateChanged(C.STATUS_TRYING);
   this.F = setTimeout(function() {tr.timer_F();}, Timers.TIMER_F);
 
+  // RFC 3261 17.1.2.2: retransmit the request over unreliable transports.
+  if (!this.reliable) {
+    this.E_interval = Timers.T1;
+    this.E = setTimeout(function() {tr.timer_E();}, this.E_interval);
+  }
+
   if(!this.transport.send(this.request)) {
     this.onTransportError();
   }
@@ -85,6 +98,7 @@ NonInviteClientTransaction.prototype.send = function() {
 
 NonInviteClientTransaction.prototype.onTransportError = function() {
   debugnict('transport error occurred, deleting transaction ' + this.id);
+  clearTimeout(this.E);
   clearTimeout(this.F);
   clearTimeout(this.K);
   this.stateChanged(C.STATUS_TERMINATED);
@@ -92,8 +106,33 @@ NonInviteClientTransaction.prototype.onTransportError = function() {
   this.request_sender.onTransportError();
 };
 
+// RFC 3261 17.1.2.2
+NonInviteClientTransaction.prototype.timer_E = function() {
+  var tr = this;
+
+  if (this.state !== C.STATUS_TRYING && this.state !== C.STATUS_PROCEEDING) {
+    return;
+  }
+
+  debugnict('Timer E expired for transaction ' + this.id);
+
+  if (this.state === C.STATUS_TRYING) {
+    this.E_interval = Math.min(2 * this.E_interval, Timers.T2);
+  } else {
+    this.E_interval = Timers.T2;
+  }
+
+  if(!this.transport.send(this.request)) {
+    this.onTransportError();
+    return;
+  }
+
+  this.E = setTimeout(function() {tr.timer_E();}, this.E_interval);
+};
+
 NonInviteClientTransaction.prototype.timer_F = function() {
   debugnict('Timer F expired for transaction ' + this.id);
+  clearTimeout(this.E);
   this.stateChanged(C.STATUS_TERMINATED);
   this.request_sender.ua.destroyTransaction(this);
   this.request_sender.onRequestTimeout();
@@ -122,6 +161,7 @@ NonInviteClientTransaction.prototype.receiveResponse = function(response) {
       case C.STATUS_TRYING:
       case C.STATUS_PROCEEDING:
         this.stateChanged(C.STATUS_COMPLETED);
+        clearTimeout(this.E);
         clearTimeout(this.F);
 
         if(status_code === 408) {
@@ -130,7 +170,8 @@ NonInviteClientTransaction.prototype.receiveResponse = function(response) {
           this.request_sender.receiveResponse(response);
         }
 
-        this.K = setTimeout(function() {tr.timer_K();}, Timers.TIMER_K);
+        this.K = setTimeout(function() {tr.timer_K();},
+          this.reliable ? Timers.TIMER_K : Timers.TIMER_K_UNRELIABLE);
         break;
       case C.STATUS_COMPLETED:
         break;
@@ -152,6 +193,11 @@ function InviteClientTransaction(request_sender, request, transport) {
   via = 'SIP/2.0/' + transport.via_transport;
   via += ' ' + request_sender.ua.configuration.via_host + ';branch=' + this.id;
 
+  // RFC 3581: ask for the responses to be sent to the source port.
+  if (!transport.isReliable()) {
+    via += ';rport';
+  }
+
   this.request.setHeader('via', via);
 
   this.request_sender.ua.newTransaction(this);
@@ -175,17 +221,27 @@ InviteClientTransaction.prototype.stateChanged = function(state) {
 
 InviteClientTransaction.prototype.send = function() {
   var tr = this;
+
+  this.reliable = this.transport.isReliable(this.request);
+
   this.stateChanged(C.STATUS_CALLING);
   this.B = setTimeout(function() {
     tr.timer_B();
   }, Timers.TIMER_B);
 
+  // RFC 3261 17.1.1.2: retransmit the request over unreliable transports.
+  if (!this.reliable) {
+    this.A_interval = Timers.T1;
+    this.A = setTimeout(function() {tr.timer_A();}, this.A_interval);
+  }
+
   if(!this.transport.send(this.request)) {
     this.onTransportError();
   }
 };
 
 InviteClientTransaction.prototype.onTransportError = function() {
+  clearTimeout(this.A);
   clearTimeout(this.B);
   clearTimeout(this.D);
   clearTimeout(this.M);
@@ -210,10 +266,30 @@ InviteClientTransaction.prototype.timer_M = function() {
   }
 };
 
+// RFC 3261 17.1.1.2
+InviteClientTransaction.prototype.timer_A = function() {
+  var tr = this;
+
+  if (this.state !== C.STATUS_CALLING) {
+    return;
+  }
+
+  debugict('Timer A expired for transaction ' + this.id);
+
+  if(!this.transport.send(this.request)) {
+    this.onTransportError();
+    return;
+  }
+
+  this.A_interval = 2 * this.A_interval;
+  this.A = setTimeout(function() {tr.timer_A();}, this.A_interval);
+};
+
 // RFC 3261 17.1.1
 InviteClientTransaction.prototype.timer_B = function() {
   debugict('Timer B expired for transaction ' + this.id);
   if(this.state === C.STATUS_CALLING) {
+    clearTimeout(this.A);
     this.stateChanged(C.STATUS_TERMINATED);
     this.request_sender.ua.destroyTransaction(this);
     this.request_sender.onRequestTimeout();
@@ -244,7 +320,8 @@ InviteClientTransaction.prototype.sendACK = function(response) {
   this.ack += ' ACK\r\n';
   this.ack += 'Content-Length: 0\r\n\r\n';
 
-  this.D = setTimeout(function() {tr.timer_D();}, Timers.TIMER_D);
+  this.D = setTimeout(function() {tr.timer_D();},
+    this.reliable ? Timers.TIMER_D : Timers.TIMER_D_UNRELIABLE);
 
   this.transport.send(this.ack);
 };
@@ -282,6 +359,8 @@ InviteClientTransaction.prototype.receiveResponse = function(response) {
   tr = this,
   status_code = response.status_code;
 
+  clearTimeout(this.A);
+
   if(status_code >= 100 && status_code <= 199) {
     switch(this.state) {
       case C.STATUS_CALLING:
@@ -314,8 +393,9 @@ InviteClientTransaction.prototype.receiveResponse = function(response) {
         this.sendACK(response);
         this.request_sender.receiveResponse(response);
         break;
+      // Retransmission of the final response.
       case C.STATUS_COMPLETED:
-        this.sendACK(response);
+        this.transport.send(this.ack);
         break;
     }
   }
@@ -333,6 +413,11 @@ function AckClientTransaction(request_sender, request, transport) {
   via = 'SIP/2.0/' + transport.via_transport;
   via += ' ' + request_sender.ua.configuration.via_host + ';branch=' + this.id;
 
+  // RFC 3581: ask for the responses to be sent to the source port.
+  if (!transport.isReliable()) {
+    via += ';rport';
+  }
+
   this.request.setHeader('via', via);
 
   events.EventEmitter.call(this);
@@ -357,6 +442,7 @@ function NonInviteServerTransaction(request, ua) {
   this.id = request.via_branch;
   this.request = request;
   this.transport = request.transport;
+  this.reliable = this.transport.isReliable();
   this.ua = ua;
   this.last_response = '';
   request.server_transaction = this;
@@ -429,7 +515,7 @@ NonInviteServerTransaction.prototype.receiveResponse = function(status_code, res
         this.last_response = response;
         this.J = setTimeout(function() {
           tr.timer_J();
-        }, Timers.TIMER_J);
+        }, this.reliable ? Timers.TIMER_J : Timers.TIMER_J_UNRELIABLE);
         if(!this.transport.send(response)) {
           this.onTransportError();
           if (onFailure) {
@@ -451,6 +537,7 @@ function InviteServerTransaction(request, ua) {
   this.id = request.via_branch;
   this.request = request;
   this.transport = request.transport;
+  this.reliable = this.transport.isReliable();
   this.ua = ua;
   this.last_response = '';
   request.server_transaction = this;
@@ -473,9 +560,30 @@ InviteServerTransaction.prototype.stateChanged = function(state) {
   this.emit('stateChanged');
 };
 
+// RFC 3261 17.2.1
+InviteServerTransaction.prototype.timer_G = function() {
+  var tr = this;
+
+  if (this.state !== C.STATUS_COMPLETED) {
+    return;
+  }
+
+  debugist('Timer G expired for transaction ' + this.id);
+
+  if(!this.transport.send(this.last_response)) {
+    this.onTransportError();
+    return;
+  }
+
+  this.G_interval = Math.min(2 * this.G_interval, Timers.T2);
+  this.G = setTimeout(function() {tr.timer_G();}, this.G_interval);
+};
+
 InviteServerTransaction.prototype.timer_H = function() {
   debugist('Timer H expired for transaction ' + this.id);
 
+  clearTimeout(this.G);
+
   if(this.state === C.STATUS_COMPLETED) {
     debugist('ACK not received, dialog will be terminated');
   }
@@ -509,6 +617,7 @@ InviteServerTransaction.prototype.onTransportError = function() {
       this.resendProvisionalTimer = null;
     }
 
+    clearTimeout(this.G);
     clearTimeout(this.L);
     clearTimeout(this.H);
     clearTimeout(this.I);
@@ -579,6 +688,8 @@ InviteServerTransaction.prototype.receiveResponse = function(status_code, respon
           this.resendProvisionalTimer = null;
         }
 
+        this.last_response = response;
+
         if(!this.transport.send(response)) {
           this.onTransportError();
           if (onFailure) {
@@ -589,6 +700,15 @@ InviteServerTransaction.prototype.receiveResponse = function(status_code, respon
           this.H = setTimeout(function() {
             tr.timer_H();
           }, Timers.TIMER_H);
+
+          // Retransmit the final response over unreliable transports until the ACK arrives.
+          if (!this.reliable) {
+            this.G_interval = Timers.T1;
+            this.G = setTimeout(function() {
+              tr.timer_G();
+            }, this.G_interval);
+          }
+
           if (onSuccess) {
             onSuccess();
           }
@@ -625,6 +745,7 @@ function checkTransaction(ua, request) {
       if(tr) {
         switch(tr.state) {
           case C.STATUS_PROCEEDING:
+          case C.STATUS_COMPLETED:
             tr.transport.send(tr.last_response);
             break;
 
@@ -645,7 +766,9 @@ function checkTransaction(ua, request) {
           return false;
         } else if(tr.state === C.STATUS_COMPLETED) {
           tr.state = C.STATUS_CONFIRMED;
-          tr.I = setTimeout(function() {tr.timer_I();}, Timers.TIMER_I);
+          clearTimeout(tr.G);
+          tr.I = setTimeout(function() {tr.timer_I();},
+            tr.reliable ? Timers.TIMER_I : Timers.TIMER_I_UNRELIABLE);
           return true;
         }
       }
@@ -4,6 +4,7 @@ module.exports = Transport;
  * Dependencies.
  */
 var Socket = require('./Socket');
+var Utils = require('./Utils');
 var debug = require('debug')('JsSIP:Transport');
 var debugerror = require('debug')('JsSIP:ERROR:Transport');
 
@@ -20,13 +21,41 @@ var C = {
   SOCKET_STATUS_READY:        0,
   SOCKET_STATUS_ERROR:        1,
 
+  // Transport state (public)
+  STATE_DISCONNECTED:         'disconnected', // not connected yet
+  STATE_CONNECTING:           'connecting',
+  STATE_CONNECTED:            'connected',
+  STATE_RECOVERING:           'recovering',   // lost, waiting to connect again
+  STATE_CLOSED:               'closed',       // disconnected on purpose
+
+  // Socket failover policies
+  POLICY_WEIGHTED:            'weighted',    // random among the highest weight ones
+  POLICY_PRIORITY:            'priority',    // highest weight first, then in the given order
+  POLICY_ROUND_ROBIN:         'round-robin', // the next one in the given order
+  POLICY_STICKY:              'sticky',      // as priority, moving back to the preferred one
+
+  // Failover options
+  failover_options: {
+    policy: 'weighted',
+    probe_interval: 60 // interval in seconds between probes of the preferred socket (sticky)
+  },
+
   // Recovery options
   recovery_options: {
     min_interval: 2, // minimum interval in seconds between recover attempts
     max_interval: 30 // maximum interval in seconds between recover attempts
-  }
+  },
+
+  // Keep-alive options (RFC 5626 4.4.1)
+  keep_alive_interval: 120, // interval in seconds between double CRLF pings if the registrar supports outbound
+  keep_alive_timeout: 10    // time in seconds to wait for the CRLF pong
 };
 
+/**
+ * Expose C object.
+ */
+Transport.C = C;
+
 /*
  * Manages one or multiple JsSIP.Socket instances.
  * Is reponsible for transport recovery logic among all socket instances.
@@ -34,10 +63,11 @@ var C = {
  * @socket JsSIP::Socket instance
  */
 
-function Transport(sockets, recovery_options) {
+function Transport(sockets, recovery_options, failover_options) {
   debug('new()');
 
   this.status = C.STATUS_DISCONNECTED;
+  this.state = C.STATE_DISCONNECTED;
 
   // current socket
   this.socket = null;
@@ -51,6 +81,48 @@ function Transport(sockets, recovery_options) {
 
   this.close_requested = false;
 
+  failover_options = failover_options || {};
+  this.policy = failover_options.policy || C.failover_options.policy;
+  this.probe_interval = failover_options.probe_interval || C.failover_options.probe_interval;
+  this.probe_timer = null;
+  this.probing = false;
+  this.probe_flow = null;
+
+  // Flows over the sockets left by the sticky policy, kept open while in use.
+  this.flows = [];
+  this.flows_timer = null;
+
+  // Keep-alive interval set by the application (0: disabled) and by the
+  // registrar (Flow-Timer). Keep-alives are off unless one of them is set.
+  this.keep_alive_interval = 0;
+  this.flow_timer = null;
+  this.keep_alive_timer = null;
+  this.pong_timer = null;
+
+  // Traffic and connection statistics (see getStats()).
+  this.stats = {
+    bytes_sent: 0,
+    bytes_received: 0,
+    messages_sent: 0,
+    messages_received: 0,
+    reconnection_attempts: 0,
+    connected_since: null,
+    connected_time: 0,
+    last_error: null
+  };
+
+  // State change and sent message callbacks. To be re-defined by the user.
+  this.onstatechange = function() {};
+  this.onsent = function() {};
+
+  // Sticky policy callbacks. To be re-defined by the user.
+  // Check the flow over the preferred socket and call callback(true) if it works.
+  this.onprobe = function(flow, callback) { callback(true); };
+  // Moved back to the preferred socket. The flow over the previous one is open.
+  this.onswitch = function() {};
+  // Whether the flow over a previous socket is still in use.
+  this.isFlowUsed = function() { return false; };
+
   if (typeof sockets === 'undefined') {
     throw new TypeError('Invalid argument.' +
                         ' undefined \'sockets\' argument');
@@ -78,6 +150,20 @@ function Transport(sockets, recovery_options) {
     });
   }, this);
 
+  // Sockets by priority: higher weight first, then in the given order.
+  this.sockets_by_priority = this.sockets.map(function(socket, idx) {
+    return { socket: socket, idx: idx };
+  }).sort(function(a, b) {
+    return (b.socket.weight - a.socket.weight) || (a.idx - b.idx);
+  }).map(function(item) {
+    return item.socket;
+  });
+
+  if ([C.POLICY_WEIGHTED, C.POLICY_PRIORITY, C.POLICY_ROUND_ROBIN, C.POLICY_STICKY].indexOf(this.policy) === -1) {
+    throw new TypeError('Invalid argument.' +
+                        ' invalid \'policy\' ' + this.policy);
+  }
+
   // read only properties
   Object.defineProperties(this, {
     via_transport:   { get: function() { return this.socket.via_transport; } },
@@ -106,9 +192,20 @@ Transport.prototype.connect = function() {
 
   this.close_requested = false;
   this.status = C.STATUS_CONNECTING;
+  setState.call(this, C.STATE_CONNECTING);
   this.onconnecting({ socket:this.socket, attempts:this.recover_attempts });
 
   if (!this.close_requested) {
+    // A previous socket kept as a flow is used again.
+    this.flows = this.flows.filter(function(flow) {
+      if (flow.socket === this.socket) {
+        flow.close();
+        return false;
+      }
+
+      return true;
+    }, this);
+
     // bind socket event callbacks
     this.socket.onconnect     = onConnect.bind(this);
     this.socket.ondisconnect  = onDisconnect.bind(this);
@@ -126,6 +223,8 @@ Transport.prototype.disconnect = function() {
   this.close_requested = true;
   this.recover_attempts = 0;
   this.status = C.STATUS_DISCONNECTED;
+  updateConnectedTime.call(this);
+  setState.call(this, C.STATE_CLOSED);
 
   // clear recovery_timer
   if (this.recovery_timer !== null) {
@@ -133,6 +232,10 @@ Transport.prototype.disconnect = function() {
     this.recovery_timer = null;
   }
 
+  stopKeepAlive.call(this);
+  stopProbe.call(this);
+  closeFlows.call(this);
+
   // unbind socket event callbacks
   this.socket.onconnect     = function() {};
   this.socket.ondisconnect  = function() {};
@@ -150,10 +253,76 @@ Transport.prototype.send = function(data) {
     return false;
   }
 
-  var message = data.toString();
+  return sendMessage.call(this, this.socket, data, this);
+};
 
-  debug('sending message:\n\n' + message + '\n');
-  return this.socket.send(message);
+/**
+ * Whether the given message (or any message if not given) is sent over a
+ * reliable transport, which determines the retransmission timers applied
+ * by the transactions (RFC 3261 17).
+ */
+Transport.prototype.isReliable = function(message) {
+  if (!Utils.isFunction(this.socket.isReliable)) {
+    return true;
+  }
+
+  return this.socket.isReliable(message);
+};
+
+/**
+ * Set the interval (in seconds) between keep-alives. 0 disables them.
+ */
+Transport.prototype.setKeepAliveInterval = function(interval) {
+  debug('setKeepAliveInterval() [interval:%s]', interval);
+
+  this.keep_alive_interval = interval;
+
+  if (this.isConnected()) {
+    startKeepAlive.call(this);
+  }
+};
+
+/**
+ * Set the keep-alive interval (in seconds) requested by the registrar in the
+ * Flow-Timer header, or C.keep_alive_interval if it just supports outbound
+ * (RFC 5626 4.4.1). It overrides the one set by the application. null
+ * restores the latter.
+ */
+Transport.prototype.setFlowTimer = function(flow_timer) {
+  debug('setFlowTimer() [flow_timer:%s]', flow_timer);
+
+  this.flow_timer = flow_timer;
+
+  if (this.isConnected()) {
+    startKeepAlive.call(this);
+  }
+};
+
+/**
+ * Connection and traffic statistics (counting SIP messages, not keep-alives):
+ * - state {String}: one of C.STATE_*
+ * - url {String}: URL of the current socket
+ * - bytes_sent, bytes_received, messages_sent, messages_received {Number}
+ * - reconnection_attempts {Number}: reconnections since the transport was created
+ * - connected_since {Date}: when the current connection was established (or null)
+ * - connected_time {Number}: total time connected in milliseconds
+ * - last_error {Object}: url, code, reason and date of the last socket failure (or null)
+ */
+Transport.prototype.getStats = function() {
+  var stats = {
+    state: this.state,
+    url: this.socket.url
+  };
+
+  for (var key in this.stats) {
+    stats[key] = this.stats[key];
+  }
+
+  if (stats.connected_since) {
+    stats.connected_time += new Date() - stats.connected_since;
+  }
+
+  return stats;
 };
 
 Transport.prototype.isConnected = function() {
@@ -171,6 +340,7 @@ Transport.prototype.isConnecting = function() {
 function onConnect() {
   this.recover_attempts = 0;
   this.status = C.STATUS_CONNECTED;
+  this.stats.connected_since = new Date();
 
   // clear recovery_timer
   if (this.recovery_timer !== null) {
@@ -178,11 +348,26 @@ function onConnect() {
     this.recovery_timer = null;
   }
 
+  startKeepAlive.call(this);
+  scheduleProbe.call(this);
+
+  setState.call(this, C.STATE_CONNECTED);
   this.onconnect( {socket:this} );
 }
 
 function onDisconnect(error, code, reason) {
+  stopKeepAlive.call(this);
+  stopProbe.call(this);
+
   this.status = C.STATUS_DISCONNECTED;
+  updateConnectedTime.call(this);
+
+  if (error) {
+    setError.call(this, code, reason);
+  }
+
+  setState.call(this, this.close_requested ? C.STATE_CLOSED : C.STATE_RECOVERING,
+    error ? this.stats.last_error : null);
   this.ondisconnect({ socket:this.socket, error:error, code:code, reason:reason });
 
   if (this.close_requested) {
@@ -191,21 +376,43 @@ function onDisconnect(error, code, reason) {
 
   // update socket status
   if (error) {
-    this.socket.status = C.SOCKET_STATUS_ERROR;
+    this.sockets.forEach(function(socket) {
+      if (socket.socket === this.socket) {
+        socket.status = C.SOCKET_STATUS_ERROR;
+      }
+    }, this);
   }
 
   reconnect.call(this, error);
 }
 
-function onData(data) {
-  // CRLF Keep Alive response from server. Ignore it.
+/**
+ * Data received over the current socket or over the given flow.
+ */
+function onData(data, flow) {
+  // CRLF Keep Alive response from server.
   if(data === '\r\n') {
     debug('received message with CRLF Keep Alive response');
+
+    if (!flow && this.pong_timer !== null) {
+      clearTimeout(this.pong_timer);
+      this.pong_timer = null;
+      scheduleKeepAlive.call(this);
+    }
+    return;
+  }
+
+  // Double CRLF Keep Alive request from server. Answer it.
+  else if(data === '\r\n\r\n') {
+    debug('received message with double CRLF Keep Alive request');
+    (flow || this).socket.send('\r\n');
     return;
   }
 
   // binary message.
   else if (typeof data !== 'string') {
+    this.stats.bytes_received += data.byteLength || 0;
+
     try {
       data = String.fromCharCode.apply(null, new Uint8Array(data));
     } catch(evt) {
@@ -219,10 +426,33 @@ function onData(data) {
 
   // text message.
   else {
+    this.stats.bytes_received += Utils.str_utf8_length(data);
     debug('received text message:\n\n' + data + '\n');
   }
 
-  this.ondata({ transport:this, message:data });
+  this.stats.messages_received += 1;
+  this.ondata({ transport:flow || this, message:data });
+}
+
+/**
+ * Send a message over the given socket, notifying it as sent by the given
+ * transport or flow.
+ */
+function sendMessage(socket, data, sender) {
+  var message = data.toString();
+
+  debug('sending message:\n\n' + message + '\n');
+
+  if (!socket.send(message)) {
+    return false;
+  }
+
+  this.stats.messages_sent += 1;
+  this.stats.bytes_sent += Utils.str_utf8_length(message);
+
+  this.onsent({ transport:sender, message:message });
+
+  return true;
 }
 
 function reconnect() {
@@ -230,6 +460,7 @@ function reconnect() {
   self = this;
 
   this.recover_attempts+=1;
+  this.stats.reconnection_attempts += 1;
 
   k = Math.floor((Math.random() * Math.pow(2,this.recover_attempts)) +1);
 
@@ -256,35 +487,403 @@ function reconnect() {
 }
 
 /**
- * get the next available socket with higher weight
+ * Keep-alive (RFC 5626 4.4.1). Not used over unreliable transports.
  */
-function getSocket() {
+function startKeepAlive() {
+  stopKeepAlive.call(this);
 
-  var candidates = [];
-
-  this.sockets.forEach(function(socket) {
-    if (socket.status === C.SOCKET_STATUS_ERROR) {
-      return; // continue the array iteration
-    } else if (candidates.length === 0) {
-      candidates.push(socket);
-    } else if (socket.weight > candidates[0].weight) {
-      candidates = [socket];
-    } else if (socket.weight === candidates[0].weight) {
-      candidates.push(socket);
-    }
+  if (!this.isReliable()) {
+    return;
+  }
+
+  scheduleKeepAlive.call(this);
+}
+
+function stopKeepAlive() {
+  clearTimeout(this.keep_alive_timer);
+  clearTimeout(this.pong_timer);
+  this.keep_alive_timer = null;
+  this.pong_timer = null;
+}
+
+function scheduleKeepAlive() {
+  var self = this,
+    interval = this.flow_timer || this.keep_alive_interval;
+
+  clearTimeout(this.keep_alive_timer);
+  this.keep_alive_timer = null;
+
+  if (!interval) {
+    return;
+  }
+
+  // Send it at a random time between 80% and 100% of the interval.
+  this.keep_alive_timer = setTimeout(function() {
+    self.keep_alive_timer = null;
+    sendKeepAlive.call(self);
+  }, interval * 1000 * (0.8 + Math.random() * 0.2));
+}
+
+function sendKeepAlive() {
+  var self = this;
+
+  debug('sending double CRLF Keep Alive');
+
+  if (!this.socket.send('\r\n\r\n')) {
+    flowFailed.call(this);
+    return;
+  }
+
+  this.pong_timer = setTimeout(function() {
+    self.pong_timer = null;
+    debugerror('CRLF Keep Alive response not received');
+    flowFailed.call(self);
+  }, C.keep_alive_timeout * 1000);
+}
+
+/**
+ * The flow is dead. Connect again right away (instead of after the reconnect()
+ * backoff) so the registration is refreshed on a new flow (RFC 5626 4.4.1).
+ */
+function flowFailed() {
+  debugerror('flow failed, connecting again');
+
+  stopKeepAlive.call(this);
+  stopProbe.call(this);
+
+  // unbind socket event callbacks
+  this.socket.onconnect     = function() {};
+  this.socket.ondisconnect  = function() {};
+  this.socket.ondata        = function() {};
+
+  this.socket.disconnect();
+
+  this.status = C.STATUS_DISCONNECTED;
+  updateConnectedTime.call(this);
+  setError.call(this, null, 'flow failed');
+  setState.call(this, C.STATE_RECOVERING, this.stats.last_error);
+  this.ondisconnect({ socket:this.socket, error:true, code:null, reason:'flow failed' });
+
+  if (this.close_requested) {
+    return;
+  }
+
+  this.stats.reconnection_attempts += 1;
+  getSocket.call(this);
+  this.connect();
+}
+
+/**
+ * Update the state and notify it, along with the socket URL and the error if
+ * the socket failed.
+ */
+function setState(state, error) {
+  var previous_state = this.state;
+
+  if (state === previous_state) {
+    return;
+  }
+
+  debug('state changed from "%s" to "%s" [url:%s]', previous_state, state, this.socket.url);
+
+  this.state = state;
+  this.onstatechange({
+    state: state,
+    previous_state: previous_state,
+    url: this.socket.url,
+    error: error || null
   });
+}
+
+function setError(code, reason) {
+  this.stats.last_error = {
+    url: this.socket.url,
+    code: code || null,
+    reason: reason || null,
+    date: new Date()
+  };
+}
+
+function updateConnectedTime() {
+  if (this.stats.connected_since) {
+    this.stats.connected_time += new Date() - this.stats.connected_since;
+    this.stats.connected_since = null;
+  }
+}
+
+/**
+ * Get the next socket as per the failover policy, ignoring the ones that
+ * failed until all of them have failed.
+ */
+function getSocket() {
+  var idx, next, candidates,
+    current = null,
+    available = this.sockets.filter(function(socket) {
+      return socket.status !== C.SOCKET_STATUS_ERROR;
+    });
 
-  if (candidates.length === 0) {
+  if (available.length === 0) {
     // all sockets have failed. reset sockets status
     this.sockets.forEach(function(socket) {
       socket.status = C.SOCKET_STATUS_READY;
     });
 
-    // get next available socket
-    getSocket.call(this);
+    available = this.sockets;
+  }
+
+  switch (this.policy) {
+    case C.POLICY_PRIORITY:
+    case C.POLICY_STICKY:
+      this.socket = this.sockets_by_priority.filter(function(socket) {
+        return available.indexOf(socket) !== -1;
+      })[0].socket;
+      break;
+
+    case C.POLICY_ROUND_ROBIN:
+      this.sockets.forEach(function(socket, idx) {
+        if (socket.socket === this.socket) {
+          current = idx;
+        }
+      }, this);
+
+      // The first one, or the next available one after the current one.
+      for (idx = 0; idx < this.sockets.length; idx++) {
+        next = this.sockets[current === null ? idx : (current + 1 + idx) % this.sockets.length];
+
+        if (available.indexOf(next) !== -1) {
+          this.socket = next.socket;
+          break;
+        }
+      }
+      break;
+
+    default:
+      // get the available sockets with higher weight and choose one randomly
+      candidates = [];
+
+      available.forEach(function(socket) {
+        if (candidates.length === 0 || socket.weight > candidates[0].weight) {
+          candidates = [socket];
+        } else if (socket.weight === candidates[0].weight) {
+          candidates.push(socket);
+        }
+      });
+
+      idx = Math.floor((Math.random()* candidates.length));
+      this.socket = candidates[idx].socket;
+  }
+
+  debug('using socket [url:%s, policy:%s]', this.socket.url, this.policy);
+}
+
+/**
+ * Sticky policy: while not on the preferred socket, connect to it from time to
+ * time and check it (onprobe(), ie: with a SIP OPTIONS request). Once it works
+ * the transport moves back to it and notifies it as a new connection, so the
+ * registration is refreshed over it. The previous socket is kept open as a flow
+ * while in use (isFlowUsed()), so ongoing dialogs finish over it.
+ */
+function scheduleProbe() {
+  var self = this,
+    preferred = this.sockets_by_priority[0];
+
+  stopProbe.call(this);
+
+  if (this.policy !== C.POLICY_STICKY || this.socket === preferred.socket) {
     return;
   }
 
-  var idx = Math.floor((Math.random()* candidates.length));
-  this.socket = candidates[idx].socket;
+  this.probe_timer = setTimeout(function() {
+    self.probe_timer = null;
+    probe.call(self, preferred);
+  }, this.probe_interval * 1000);
+}
+
+function stopProbe() {
+  var preferred = this.sockets_by_priority[0];
+
+  if (this.probe_timer !== null) {
+    clearTimeout(this.probe_timer);
+    this.probe_timer = null;
+  }
+
+  // Abort an ongoing probe.
+  if (this.probing) {
+    this.probing = false;
+
+    if (this.probe_flow) {
+      this.probe_flow.close();
+      this.probe_flow = null;
+    } else {
+      preferred.socket.onconnect     = function() {};
+      preferred.socket.ondisconnect  = function() {};
+      preferred.socket.ondata        = function() {};
+      preferred.socket.disconnect();
+    }
+  }
+}
+
+function probe(preferred) {
+  var self = this;
+
+  debug('probing preferred socket [url:%s]', preferred.socket.url);
+
+  this.probing = true;
+
+  preferred.socket.onconnect = function() {
+    var flow = new Flow(self, preferred.socket);
+
+    self.probe_flow = flow;
+
+    self.onprobe(flow, function(success) {
+      // Aborted.
+      if (self.probe_flow !== flow) {
+        return;
+      }
+
+      self.probing = false;
+      self.probe_flow = null;
+
+      if (!success || !flow.isConnected()) {
+        debug('preferred socket not working [url:%s]', preferred.socket.url);
+
+        flow.close();
+        scheduleProbe.call(self);
+        return;
+      }
+
+      preferred.status = C.SOCKET_STATUS_READY;
+      switchSocket.call(self, preferred.socket);
+    });
+  };
+
+  preferred.socket.ondisconnect = function() {
+    debug('preferred socket still failing [url:%s]', preferred.socket.url);
+
+    self.probing = false;
+    preferred.socket.onconnect     = function() {};
+    preferred.socket.ondisconnect  = function() {};
+    scheduleProbe.call(self);
+  };
+
+  preferred.socket.ondata = function() {};
+
+  preferred.socket.connect();
+}
+
+/**
+ * Move to the given (connected) socket, keeping the current one as a flow.
+ */
+function switchSocket(socket) {
+  var flow;
+
+  debug('moving back to socket [url:%s]', socket.url);
+
+  stopKeepAlive.call(this);
+  updateConnectedTime.call(this);
+
+  flow = new Flow(this, this.socket);
+  this.flows.push(flow);
+
+  this.socket = socket;
+  this.socket.onconnect     = onConnect.bind(this);
+  this.socket.ondisconnect  = onDisconnect.bind(this);
+  this.socket.ondata        = onData.bind(this);
+
+  this.onswitch(flow);
+  checkFlows.call(this);
+
+  setState.call(this, C.STATE_CONNECTING);
+  onConnect.call(this);
+}
+
+/**
+ * Close the flows no longer in use, and check the others later on.
+ */
+function checkFlows() {
+  var self = this;
+
+  clearTimeout(this.flows_timer);
+  this.flows_timer = null;
+
+  this.flows = this.flows.filter(function(flow) {
+    if (flow.isConnected() && self.isFlowUsed(flow)) {
+      return true;
+    }
+
+    flow.close();
+    return false;
+  });
+
+  if (this.flows.length > 0) {
+    this.flows_timer = setTimeout(function() {
+      checkFlows.call(self);
+    }, this.probe_interval * 1000);
+  }
+}
+
+function closeFlows() {
+  clearTimeout(this.flows_timer);
+  this.flows_timer = null;
+
+  this.flows.forEach(function(flow) {
+    flow.close();
+  });
+  this.flows = [];
+}
+
+/**
+ * Connection over a socket other than the current one: the preferred one while
+ * probed, or a previous one kept while in use (sticky policy). It can be used
+ * in place of the transport to send messages over that socket, and it is the
+ * transport of the messages received over it.
+ */
+function Flow(owner, socket) {
+  var self = this;
+
+  this.owner = owner;
+  this.socket = socket;
+  this.connected = true;
+
+  this.via_transport = socket.via_transport;
+  this.url = socket.url;
+  this.sip_uri = socket.sip_uri;
+
+  socket.onconnect = function() {};
+  socket.ondisconnect = function() {
+    debug('flow closed [url:%s]', self.url);
+    self.connected = false;
+  };
+  socket.ondata = function(data) {
+    onData.call(owner, data, self);
+  };
 }
+
+Flow.prototype.send = function(data) {
+  if (!this.connected) {
+    debugerror('unable to send message, flow is closed');
+    return false;
+  }
+
+  return sendMessage.call(this.owner, this.socket, data, this);
+};
+
+Flow.prototype.isReliable = Transport.prototype.isReliable;
+
+Flow.prototype.isConnected = function() {
+  return this.connected;
+};
+
+Flow.prototype.close = function() {
+  if (!this.connected) {
+    return;
+  }
+
+  debug('closing flow [url:%s]', this.url);
+
+  this.connected = false;
+  this.socket.onconnect     = function() {};
+  this.socket.ondisconnect  = function() {};
+  this.socket.ondata        = function() {};
+  this.socket.disconnect();
+};
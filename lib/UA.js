@@ -10,7 +10,10 @@ var C = {
 
   // UA error codes
   CONFIGURATION_ERROR:  1,
-  NETWORK_ERROR:        2
+  NETWORK_ERROR:        2,
+
+  // Message interception points of a middleware.
+  MIDDLEWARE_HOOKS: ['outgoingRequest', 'outgoingResponse', 'incomingRequest', 'incomingResponse']
 };
 
 /**
@@ -30,9 +33,16 @@ debugerror.log = console.warn.bind(console);
 var rtcninja = require('rtcninja');
 var JsSIP_C = require('./Constants');
 var Registrator = require('./Registrator');
+var Account = require('./Account');
 var RTCSession = require('./RTCSession');
 var Message = require('./Message');
+var Options = require('./Options');
+var Subscriber = require('./Subscriber');
+var Notifier = require('./Notifier');
+var Publisher = require('./Publisher');
+var Presence = require('./Presence');
 var Transactions = require('./Transactions');
+var RequestSender = require('./RequestSender');
 var Transport = require('./Transport');
 var WebSocketInterface = require('./WebSocketInterface');
 var Socket = require('./Socket');
@@ -57,7 +67,8 @@ function UA(configuration) {
   debug('new() [configuration:%o]', configuration);
 
   this.cache = {
-    credentials: {}
+    credentials: {},
+    access_token: null
   };
 
   this.configuration = {};
@@ -68,6 +79,16 @@ function UA(configuration) {
   this.applicants = {};
 
   this.sessions = {};
+  this.subscribers = {};
+  this.notifiers = {};
+  this.publishers = {};
+
+  // Additional accounts indexed by id.
+  this.accounts = {};
+
+  // Presence helpers (ua.presence.subscribe(), ua.presence.publish()...)
+  this.presence = new Presence(this);
+
   this.transport = null;
   this.contact = null;
   this.status = C.STATUS_INIT;
@@ -79,6 +100,9 @@ function UA(configuration) {
     ict: {}
   };
 
+  // Message interceptors added with use(), in order.
+  this.middlewares = [];
+
   // Custom UA empty object for high level use
   this.data = {};
 
@@ -227,6 +251,74 @@ UA.prototype.isRegistered = function() {
   }
 };
 
+/**
+ * Add an account sharing the UA transport. It registers as soon as the UA is
+ * connected unless its 'register' setting is false.
+ *
+ * -param {Object} options: Account settings (see JsSIP.Account).
+ * -returns {JsSIP.Account}
+ *
+ * -throws {JsSIP.Exceptions.ConfigurationError}
+ */
+UA.prototype.addAccount = function(options) {
+  debug('addAccount()');
+
+  var account, contact_uri;
+
+  // Each account has its own Contact so incoming requests can be routed to it.
+  contact_uri = this.contact.uri.clone();
+  contact_uri.user = Utils.createRandomToken(8);
+
+  account = new Account(this, options, createContact(contact_uri));
+
+  if (this.accounts[account.id]) {
+    throw new Exceptions.ConfigurationError('id', account.id);
+  }
+
+  this.accounts[account.id] = account;
+
+  if (this.status === C.STATUS_READY && this.isConnected() && account.configuration.register) {
+    account.register();
+  }
+
+  return account;
+};
+
+/**
+ * Remove an account, unregistering it if registered.
+ *
+ * -param {JsSIP.Account|String} account: Account or account id.
+ * -returns {Boolean}: whether the account existed.
+ */
+UA.prototype.removeAccount = function(account) {
+  debug('removeAccount()');
+
+  account = this.getAccount(account);
+
+  if (!account) {
+    return false;
+  }
+
+  account.registrator().close();
+  delete this.accounts[account.id];
+
+  return true;
+};
+
+/**
+ * Get an account.
+ *
+ * -param {JsSIP.Account|String} account: Account or account id.
+ * -returns {JsSIP.Account|null}
+ */
+UA.prototype.getAccount = function(account) {
+  if (account instanceof Account) {
+    return this.accounts[account.id] === account ? account : null;
+  }
+
+  return this.accounts[account] || null;
+};
+
 /**
  * Connection state.
  */
@@ -234,6 +326,13 @@ UA.prototype.isConnected = function() {
   return this.transport.isConnected();
 };
 
+/**
+ * Transport state and statistics (see Transport.prototype.getStats).
+ */
+UA.prototype.getTransportStats = function() {
+  return this.transport.getStats();
+};
+
 /**
  * Make an outgoing call.
  *
@@ -274,6 +373,103 @@ UA.prototype.sendMessage = function(target, body, options) {
   return message;
 };
 
+/**
+ * Send an out of dialog OPTIONS to discover the capabilities of the target.
+ * They are given in the 'succeeded' event of the returned JsSIP.Options.
+ *
+ * -param {String} target
+ * -param {Object} [options]
+ *
+ * -throws {TypeError}
+ *
+ */
+UA.prototype.sendOptions = function(target, options) {
+  debug('sendOptions()');
+
+  var message;
+
+  message = new Options(this);
+  message.send(target, options);
+  return message;
+};
+
+/**
+ * Subscribe to an event package (RFC 6665).
+ *
+ * -param {String} target
+ * -param {String} eventName
+ * -param {Object} [options]
+ *
+ * -throws {TypeError}
+ *
+ */
+UA.prototype.subscribe = function(target, eventName, options) {
+  debug('subscribe()');
+
+  var subscriber;
+
+  subscriber = new Subscriber(this);
+  subscriber.subscribe(target, eventName, options);
+  return subscriber;
+};
+
+/**
+ * Publish event state (RFC 3903).
+ *
+ * -param {String} target
+ * -param {String} eventName
+ * -param {String} body
+ * -param {Object} [options]
+ *
+ * -throws {TypeError}
+ *
+ */
+UA.prototype.publish = function(target, eventName, body, options) {
+  debug('publish()');
+
+  var publisher;
+
+  publisher = new Publisher(this);
+  publisher.publish(target, eventName, body, options);
+  return publisher;
+};
+
+/**
+ * Add a middleware that intercepts the SIP messages before the transactions
+ * and dialogs see them. Middlewares run in the order they were added.
+ *
+ * -param {Object} middleware with any of these functions:
+ *   - outgoingRequest(request, reply): the OutgoingRequest, before its client
+ *     transaction is created.
+ *   - incomingRequest(request, reply): the IncomingRequest, before the sanity
+ *     checks.
+ *   - outgoingResponse(response): the response (as an IncomingResponse) before
+ *     being sent. Its status code cannot be changed.
+ *   - incomingResponse(response): the IncomingResponse, before looking for
+ *     its client transaction.
+ *
+ * The message can be modified (setHeader(), body...). Returning false drops
+ * it (an outgoing request then fails with a transport error). Final responses
+ * cannot be dropped since their transaction and the peer wait for them: they
+ * are sent anyway (with the changes made so far). Calling
+ * reply(status_code, reason_phrase, extraHeaders, body) stops the message
+ * and answers it: locally for an outgoing request, statelessly for an
+ * incoming one.
+ *
+ * -throws {TypeError}
+ */
+UA.prototype.use = function(middleware) {
+  debug('use()');
+
+  if (!middleware || !C.MIDDLEWARE_HOOKS.some(function(hook) {
+    return typeof middleware[hook] === 'function';
+  })) {
+    throw new TypeError('Invalid middleware: ' + middleware);
+  }
+
+  this.middlewares.push(middleware);
+};
+
 /**
  * Terminate ongoing sessions.
  */
@@ -295,8 +491,15 @@ UA.prototype.stop = function() {
   debug('stop()');
 
   var session;
+  var subscriber;
+  var notifier;
+  var publisher;
   var applicant;
+  var account;
   var num_sessions;
+  var num_subscribers;
+  var num_notifiers;
+  var num_publishers;
   var ua = this;
 
   // Remove dynamic settings.
@@ -310,6 +513,11 @@ UA.prototype.stop = function() {
   // Close registrator
   this._registrator.close();
 
+  // Close the registrator of every account
+  for(account in this.accounts) {
+    this.accounts[account].registrator().close();
+  }
+
   // If there are session wait a bit so CANCEL/BYE can be sent and their responses received.
   num_sessions = Object.keys(this.sessions).length;
 
@@ -319,6 +527,30 @@ UA.prototype.stop = function() {
     try { this.sessions[session].terminate(); } catch(error) {}
   }
 
+  // Run  _terminate_ on every Subscriber
+  num_subscribers = Object.keys(this.subscribers).length;
+
+  for(subscriber in this.subscribers) {
+    debug('closing subscriber ' + subscriber);
+    try { this.subscribers[subscriber].terminate(); } catch(error) {}
+  }
+
+  // Run  _terminate_ on every Notifier
+  num_notifiers = Object.keys(this.notifiers).length;
+
+  for(notifier in this.notifiers) {
+    debug('closing notifier ' + notifier);
+    try { this.notifiers[notifier].terminate('noresource'); } catch(error) {}
+  }
+
+  // Run  _terminate_ on every Publisher
+  num_publishers = Object.keys(this.publishers).length;
+
+  for(publisher in this.publishers) {
+    debug('closing publisher ' + publisher);
+    try { this.publishers[publisher].terminate(); } catch(error) {}
+  }
+
   // Run  _close_ on every applicant
   for(applicant in this.applicants) {
     try { this.applicants[applicant].close(); } catch(error) {}
@@ -330,7 +562,10 @@ UA.prototype.stop = function() {
       this.nictTransactionsCount  === 0 &&
       this.ictTransactionsCount   === 0 &&
       this.istTransactionsCount   === 0 &&
-      num_sessions === 0) {
+      num_sessions === 0 &&
+      num_subscribers === 0 &&
+      num_notifiers === 0 &&
+      num_publishers === 0) {
     ua.transport.disconnect();
   }
   else {
@@ -391,6 +626,17 @@ UA.prototype.set = function(parameter, value) {
       break;
     }
 
+    case 'access_token': {
+      if (UA.configuration_check.optional.access_token(value) === undefined) {
+        debugerror('set() | wrong "access_token"');
+        return false;
+      }
+      this.configuration.access_token = value;
+      // Forget the previous token.
+      this.cache.access_token = null;
+      break;
+    }
+
     case 'display_name': {
       if (Grammar.parse('"' + value + '"', 'display_name') === -1) {
         debugerror('set() | wrong "display_name"');
@@ -465,6 +711,20 @@ UA.prototype.newMessage = function(data) {
   this.emit('newMessage', data);
 };
 
+/**
+ * new Options
+ */
+UA.prototype.newOptions = function(data) {
+  this.emit('newOptions', data);
+};
+
+/**
+ * new Notifier (incoming SUBSCRIBE)
+ */
+UA.prototype.newSubscribe = function(data) {
+  this.emit('newSubscribe', data);
+};
+
 /**
  * new RTCSession
  */
@@ -496,6 +756,96 @@ UA.prototype.registrationFailed = function(data) {
 };
 
 
+/**
+ * Registration about to expire (refresh being sent)
+ */
+UA.prototype.registrationExpiring = function(data) {
+  this.emit('registrationExpiring', data);
+};
+
+
+/**
+ * Registration retry scheduled
+ */
+UA.prototype.registrationRetry = function(data) {
+  this.emit('registrationRetry', data);
+};
+
+
+//=========================
+// Middleware
+//=========================
+
+/**
+ * Pass the message through the given hook of the middlewares.
+ * Returns false if a middleware dropped or replied to the message.
+ */
+UA.prototype.runMiddleware = function(hook, message, reply) {
+  var idx, middleware,
+    replied = false,
+    length = this.middlewares.length;
+
+  function replyOnce() {
+    if (!replied) {
+      replied = true;
+      reply.apply(null, arguments);
+    }
+  }
+
+  for (idx = 0; idx < length; idx++) {
+    middleware = this.middlewares[idx];
+
+    if (typeof middleware[hook] !== 'function') {
+      continue;
+    }
+
+    if (middleware[hook](message, reply && replyOnce) === false) {
+      debug('%s middleware dropped the message', hook);
+      return false;
+    }
+
+    if (replied) {
+      debug('%s middleware replied to the message', hook);
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Pass the response (String) about to be sent through the outgoingResponse
+ * middlewares. Returns the resulting response, or null if it was dropped.
+ * Final responses cannot be dropped.
+ */
+UA.prototype.filterResponse = function(raw) {
+  var response,
+    status_code = Number(raw.substring(8, 11));
+
+  if (!this.middlewares.some(function(middleware) {
+    return typeof middleware.outgoingResponse === 'function';
+  })) {
+    return raw;
+  }
+
+  response = Parser.parseMessage(raw, this);
+
+  if (!response) {
+    return raw;
+  }
+
+  if (!this.runMiddleware('outgoingResponse', response)) {
+    if (status_code < 200) {
+      return null;
+    }
+
+    debugerror('filterResponse() | a final response cannot be dropped, sending it');
+  }
+
+  return stringifyResponse(response, status_code);
+};
+
+
 //=========================
 // receiveRequest
 //=========================
@@ -504,17 +854,21 @@ UA.prototype.registrationFailed = function(data) {
  * Request reception
  */
 UA.prototype.receiveRequest = function(request) {
-  var dialog, session, message, replaces,
+  var dialog, session, subscriber, notifier, message, replaces,
   method = request.method;
 
-  // Check that request URI points to us
+  // Check that request URI points to us or to any of the accounts
   if(request.ruri.user !== this.configuration.uri.user && request.ruri.user !== this.contact.uri.user) {
-    debug('Request-URI does not point to us');
-    if (request.method !== JsSIP_C.ACK) {
-      request.reply_sl(404);
-    }
-    return;
+    request.account = this.findAccount(request.ruri);
+
+    if (!request.account) {
+      debug('Request-URI does not point to us');
+      if (request.method !== JsSIP_C.ACK) {
+        request.reply_sl(404);
+      }
+      return;
     }
+  }
 
     // Check request URI scheme
     if(request.ruri.scheme === JsSIP_C.SIPS) {
@@ -540,7 +894,13 @@ UA.prototype.receiveRequest = function(request) {
    * They are processed as if they had been received outside the dialog.
    */
   if(method === JsSIP_C.OPTIONS) {
-    request.reply(200);
+    if (this.listeners('newOptions').length === 0) {
+      request.reply(200);
+      return;
+    }
+    message = new Options(this);
+    message.init_incoming(request);
+    return;
   } else if (method === JsSIP_C.MESSAGE) {
     if (this.listeners('newMessage').length === 0) {
       request.reply(405);
@@ -548,6 +908,12 @@ UA.prototype.receiveRequest = function(request) {
     }
     message = new Message(this);
     message.init_incoming(request);
+  } else if (method === JsSIP_C.SUBSCRIBE) {
+    // Initial SUBSCRIBE
+    if(!request.to_tag && this.listeners('newSubscribe').length === 0) {
+      request.reply(405);
+      return;
+    }
   } else if (method === JsSIP_C.INVITE) {
     // Initial INVITE
     if(!request.to_tag && this.listeners('newRTCSession').length === 0) {
@@ -583,6 +949,10 @@ UA.prototype.receiveRequest = function(request) {
           request.reply(488);
         }
         break;
+      case JsSIP_C.SUBSCRIBE:
+        notifier = new Notifier(this);
+        notifier.init_incoming(request);
+        break;
       case JsSIP_C.BYE:
         // Out of dialog BYE received
         request.reply(481);
@@ -614,8 +984,11 @@ UA.prototype.receiveRequest = function(request) {
       dialog.receiveRequest(request);
     } else if (method === JsSIP_C.NOTIFY) {
       session = this.findSession(request);
+      subscriber = this.findSubscriber(request);
       if(session) {
         session.receiveRequest(request);
+      } else if(subscriber) {
+        subscriber.receiveRequest(request);
       } else {
         debug('received NOTIFY request for a non existent subscription');
         request.reply(481, 'Subscription does not exist');
@@ -657,6 +1030,54 @@ UA.prototype.findSession = function(request) {
   }
 };
 
+/**
+ * Get the subscriber to which the NOTIFY request belongs to, if any.
+ */
+UA.prototype.findSubscriber = function(request) {
+  return this.subscribers[request.call_id + request.to_tag] || null;
+};
+
+/**
+ * Set the keep-alive interval of the transport to the smallest one requested
+ * by the registrar among the UA and accounts registrations (RFC 5626 4.4.1).
+ */
+UA.prototype.updateFlowTimer = function() {
+  var id, value,
+    flow_timer = this._registrator.flow_timer;
+
+  for (id in this.accounts) {
+    value = this.accounts[id].registrator().flow_timer;
+    if (value && (!flow_timer || value < flow_timer)) {
+      flow_timer = value;
+    }
+  }
+
+  this.transport.setFlowTimer(flow_timer || null);
+};
+
+/**
+ * Get the account to which the given Request-URI points to, if any.
+ */
+UA.prototype.findAccount = function(ruri) {
+  var id, account;
+
+  // Contact first, as several accounts may share the same user.
+  for (id in this.accounts) {
+    if (this.accounts[id].contact.uri.user === ruri.user) {
+      return this.accounts[id];
+    }
+  }
+
+  for (id in this.accounts) {
+    account = this.accounts[id];
+    if (account.configuration.uri.user === ruri.user && account.configuration.uri.host === ruri.host) {
+      return account;
+    }
+  }
+
+  return null;
+};
+
 /**
  * Get the dialog to which the request belongs to, if any.
  */
@@ -699,13 +1120,30 @@ UA.prototype.loadConfig = function(configuration) {
     // SIP authentication HA1 hash
     ha1: null,
 
+    // SIP authentication credentials provider
+    credentials: null,
+
+    // OAuth 2.0 access token (or function returning it) for Bearer authorization
+    access_token: null,
+
     // Registration parameters
     register_expires: 600,
     register: true,
     registrar_server: null,
 
+    // Fraction of the granted expires after which the registration is
+    // refreshed. If not set, it's refreshed 3 seconds before expiring.
+    register_refresh_fraction: null,
+
+    // Registration retry wait time bounds in seconds (RFC 5626 4.5).
+    register_retry_min_interval: 30,
+    register_retry_max_interval: 1800,
+
     use_preloaded_route: false,
 
+    // Headers whose value is redacted in the 'sipMessage' event.
+    trace_redacted_headers: ['authorization', 'proxy-authorization'],
+
     // Session parameters
     no_answer_timeout: 60,
     session_timers: true,
@@ -787,6 +1225,9 @@ UA.prototype.loadConfig = function(configuration) {
     this.transport = new Transport(sockets, { /* recovery options */
       max_interval: settings.connection_recovery_max_interval,
       min_interval: settings.connection_recovery_min_interval
+    }, { /* failover options */
+      policy: settings.sockets_policy,
+      probe_interval: settings.sockets_probe_interval
     });
 
     // Transport event callbacks
@@ -794,10 +1235,22 @@ UA.prototype.loadConfig = function(configuration) {
     this.transport.onconnect    = onTransportConnect.bind(this);
     this.transport.ondisconnect = onTransportDisconnect.bind(this);
     this.transport.ondata       = onTransportData.bind(this);
+    this.transport.onstatechange = onTransportStateChange.bind(this);
+    this.transport.onsent       = onTransportSent.bind(this);
+    this.transport.onprobe      = onTransportProbe.bind(this);
+    this.transport.onswitch     = onTransportSwitch.bind(this);
+    this.transport.isFlowUsed   = isFlowUsed.bind(this);
+
+    if (settings.keep_alive_interval !== undefined) {
+      this.transport.setKeepAliveInterval(settings.keep_alive_interval);
+    }
 
     // transport options not needed here anymore
     delete settings.connection_recovery_max_interval;
     delete settings.connection_recovery_min_interval;
+    delete settings.keep_alive_interval;
+    delete settings.sockets_policy;
+    delete settings.sockets_probe_interval;
     delete settings.ws_servers;
     delete settings.sockets;
   } catch (e) {
@@ -831,36 +1284,12 @@ UA.prototype.loadConfig = function(configuration) {
 
   // Contact URI
   else {
-    settings.contact_uri = new URI('sip', Utils.createRandomToken(8), settings.via_host, null, {transport: 'ws'});
+    settings.contact_uri = new URI('sip', Utils.createRandomToken(8), settings.via_host, null, {
+      transport: contactTransport(this.transport.via_transport)
+    });
   }
 
-  this.contact = {
-    pub_gruu: null,
-    temp_gruu: null,
-    uri: settings.contact_uri,
-    toString: function(options) {
-      options = options || {};
-
-      var
-      anonymous = options.anonymous || null,
-      outbound = options.outbound || null,
-      contact = '<';
-
-      if (anonymous) {
-        contact += this.temp_gruu || 'sip:anonymous@anonymous.invalid;transport=ws';
-      } else {
-        contact += this.pub_gruu || this.uri.toString();
-      }
-
-      if (outbound && (anonymous ? !this.temp_gruu : !this.pub_gruu)) {
-        contact += ';ob';
-      }
-
-      contact += '>';
-
-      return contact;
-    }
-  };
+  this.contact = createContact(settings.contact_uri);
 
   // Fill the value of the configuration_skeleton
   for(parameter in settings) {
@@ -909,8 +1338,10 @@ UA.configuration_skeleton = (function() {
       'uri',
 
       // Optional user configurable parameters
+      'access_token',
       'authorization_user',
       'contact_uri',
+      'credentials',
       'display_name',
       'instance_id',
       'no_answer_timeout', // 30 seconds
@@ -919,8 +1350,12 @@ UA.configuration_skeleton = (function() {
       'realm',
       'ha1',
       'register_expires', // 600 seconds
+      'register_refresh_fraction',
+      'register_retry_max_interval', // 1800 seconds
+      'register_retry_min_interval', // 30 seconds
       'registrar_server',
       'sockets',
+      'trace_redacted_headers',
       'use_preloaded_route',
       'ws_servers',
 
@@ -931,7 +1366,7 @@ UA.configuration_skeleton = (function() {
     ];
 
   var writable_parameters = [
-    'password', 'realm', 'ha1', 'display_name'
+    'password', 'realm', 'ha1', 'display_name', 'access_token'
   ];
 
   for(idx in parameters) {
@@ -985,6 +1420,12 @@ UA.configuration_check = {
 
   optional: {
 
+    access_token: function(access_token) {
+      if (Utils.isString(access_token) || typeof access_token === 'function') {
+        return access_token;
+      }
+    },
+
     authorization_user: function(authorization_user) {
       if(Grammar.parse('"'+ authorization_user +'"', 'quoted_string') === -1) {
         return;
@@ -1022,6 +1463,12 @@ UA.configuration_check = {
       }
     },
 
+    credentials: function(credentials) {
+      if (typeof credentials === 'function') {
+        return credentials;
+      }
+    },
+
     display_name: function(display_name) {
       if (Grammar.parse('"' + display_name + '"', 'display_name') === -1) {
         return;
@@ -1042,6 +1489,16 @@ UA.configuration_check = {
       }
     },
 
+    keep_alive_interval: function(keep_alive_interval) {
+      var value;
+      if (Utils.isDecimal(keep_alive_interval)) {
+        value = Number(keep_alive_interval);
+        if (value >= 0) {
+          return value;
+        }
+      }
+    },
+
     no_answer_timeout: function(no_answer_timeout) {
       var value;
       if (Utils.isDecimal(no_answer_timeout)) {
@@ -1086,6 +1543,30 @@ UA.configuration_check = {
       }
     },
 
+    register_refresh_fraction: function(register_refresh_fraction) {
+      var value;
+      value = Number(register_refresh_fraction);
+      if (!isNaN(value) && value > 0 && value < 1) {
+        return value;
+      }
+    },
+
+    register_retry_max_interval: function(register_retry_max_interval) {
+      var value;
+      value = Number(register_retry_max_interval);
+      if (!isNaN(value) && value > 0) {
+        return value;
+      }
+    },
+
+    register_retry_min_interval: function(register_retry_min_interval) {
+      var value;
+      value = Number(register_retry_min_interval);
+      if (!isNaN(value) && value > 0) {
+        return value;
+      }
+    },
+
     registrar_server: function(registrar_server) {
       var parsed;
 
@@ -1128,6 +1609,29 @@ UA.configuration_check = {
       return sockets;
     },
 
+    sockets_policy: function(sockets_policy) {
+      if ([Transport.C.POLICY_WEIGHTED, Transport.C.POLICY_PRIORITY,
+           Transport.C.POLICY_ROUND_ROBIN, Transport.C.POLICY_STICKY].indexOf(sockets_policy) !== -1) {
+        return sockets_policy;
+      }
+    },
+
+    sockets_probe_interval: function(sockets_probe_interval) {
+      var value = Number(sockets_probe_interval);
+
+      if (!isNaN(value) && value > 0) {
+        return value;
+      }
+    },
+
+    trace_redacted_headers: function(trace_redacted_headers) {
+      if (Array.isArray(trace_redacted_headers) && trace_redacted_headers.every(Utils.isString)) {
+        return trace_redacted_headers.map(function(header) {
+          return header.toLowerCase();
+        });
+      }
+    },
+
     use_preloaded_route: function(use_preloaded_route) {
       if (typeof use_preloaded_route === 'boolean') {
         return use_preloaded_route;
@@ -1197,6 +1701,12 @@ function onTransportConnect(data) {
   if(this.dynConfiguration.register) {
     this._registrator.register();
   }
+
+  for(var account in this.accounts) {
+    if (this.accounts[account].configuration.register) {
+      this.accounts[account].registrator().register();
+    }
+  }
 }
 
 // Transport disconnected event.
@@ -1217,18 +1727,141 @@ function onTransportDisconnect(data) {
   // Call registrator _onTransportClosed_
   this._registrator.onTransportClosed();
 
+  for(var account in this.accounts) {
+    this.accounts[account].registrator().onTransportClosed();
+  }
+
   if (this.status !== C.STATUS_USER_CLOSED) {
     this.status = C.STATUS_NOT_READY;
     this.error = C.NETWORK_ERROR;
   }
 }
 
+// Transport state change event.
+function onTransportStateChange(data) {
+  this.emit('transportStateChanged', data);
+}
+
+// Notify the sent or received message to the 'sipMessage' listeners.
+function traceMessage(direction, raw, transport) {
+  if (this.listeners('sipMessage').length === 0) {
+    return;
+  }
+
+  raw = redactHeaders(raw, this.configuration.trace_redacted_headers);
+
+  this.emit('sipMessage', {
+    direction: direction,
+    raw: raw,
+    parsed: Parser.parseMessage(raw, this) || null,
+    transport: transport,
+    timestamp: new Date()
+  });
+}
+
+// Replace the value (but the authentication scheme) of the given headers.
+function redactHeaders(raw, headers) {
+  var end = raw.indexOf('\r\n\r\n');
+
+  if (headers.length === 0 || end === -1) {
+    return raw;
+  }
+
+  return raw.substring(0, end).split('\r\n').map(function(line) {
+    var name = line.split(':')[0].trim().toLowerCase();
+
+    if (line.indexOf(':') === -1 || headers.indexOf(name) === -1) {
+      return line;
+    }
+
+    return line.replace(/^([^:]+:\s*)(?:(Digest|Bearer|Basic)\s)?.*$/i, function(match, header, scheme) {
+      return header + (scheme ? scheme + ' ' : '') + '[redacted]';
+    });
+  }).join('\r\n') + raw.substring(end);
+}
+
+// Check the flow over the preferred socket of the transport with an OPTIONS
+// request. Any final response but 503 means the server works.
+function onTransportProbe(flow, callback) {
+  var request_sender,
+    applicant = {
+      request: new SIPMessage.OutgoingRequest(JsSIP_C.OPTIONS, flow.sip_uri, this, {
+        route_set: []
+      }),
+      receiveResponse: function(response) {
+        if (response.status_code >= 200) {
+          callback(response.status_code !== 503);
+        }
+      },
+      onRequestTimeout: function() {
+        callback(false);
+      },
+      onTransportError: function() {
+        callback(false);
+      }
+    };
+
+  request_sender = new RequestSender(applicant, this, flow);
+  request_sender.send();
+}
+
+// The transport moved back to its preferred socket. Ongoing dialogs and
+// transactions stay on the flow over the previous one.
+function onTransportSwitch(flow) {
+  var id, type, transactions;
+
+  for (id in this.dialogs) {
+    if (!this.dialogs[id].transport || !this.dialogs[id].transport.isConnected()) {
+      this.dialogs[id].transport = flow;
+    }
+  }
+
+  for (type in this.transactions) {
+    transactions = this.transactions[type];
+
+    for (id in transactions) {
+      if (transactions[id].transport === this.transport) {
+        transactions[id].transport = flow;
+      }
+    }
+  }
+}
+
+// Whether the given flow (over a previous socket of the transport) is still
+// used by a dialog or transaction.
+function isFlowUsed(flow) {
+  var id, type;
+
+  for (id in this.dialogs) {
+    if (this.dialogs[id].transport === flow) {
+      return true;
+    }
+  }
+
+  for (type in this.transactions) {
+    for (id in this.transactions[type]) {
+      if (this.transactions[type][id].transport === flow) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+// Transport sent message event.
+function onTransportSent(data) {
+  traceMessage.call(this, 'outgoing', data.message, data.transport);
+}
+
 // Transport data event
 function onTransportData(data) {
  var transaction,
   transport = data.transport,
   message = data.message;
 
+ traceMessage.call(this, 'incoming', message, transport);
+
  message = Parser.parseMessage(message, this);
 
  if (! message) {
@@ -1240,13 +1873,22 @@ function onTransportData(data) {
    return;
  }
 
+ if(message instanceof SIPMessage.IncomingRequest) {
+   message.transport = transport;
+
+   if (!this.runMiddleware('incomingRequest', message, message.reply_sl.bind(message))) {
+     return;
+   }
+ } else if (!this.runMiddleware('incomingResponse', message)) {
+   return;
+ }
+
  // Do some sanity check
  if(! sanityCheck(message, this, transport)) {
    return;
  }
 
  if(message instanceof SIPMessage.IncomingRequest) {
-   message.transport = transport;
    this.receiveRequest(message);
  } else if(message instanceof SIPMessage.IncomingResponse) {
    /* Unike stated in 18.1.2, if a response does not match
@@ -1272,3 +1914,77 @@ function onTransportData(data) {
    }
  }
 }
+
+/**
+ * Build the response to be sent from the (maybe modified) parsed one.
+ */
+function stringifyResponse(response, status_code) {
+  var name, idx,
+    body = response.body || '',
+    raw = 'SIP/2.0 ' + status_code + ' ' + response.reason_phrase + '\r\n';
+
+  for (name in response.headers) {
+    if (name === 'Content-Length') {
+      continue;
+    }
+
+    for (idx = 0; idx < response.headers[name].length; idx++) {
+      raw += name + ': ' + response.headers[name][idx].raw + '\r\n';
+    }
+  }
+
+  raw += 'Content-Length: ' + Utils.str_utf8_length(body) + '\r\n\r\n';
+  raw += body;
+
+  return raw;
+}
+
+/**
+ * Contact of the UA (or of an account) for the given Contact URI.
+ */
+function createContact(uri) {
+  return {
+    pub_gruu: null,
+    temp_gruu: null,
+    uri: uri,
+    toString: function(options) {
+      options = options || {};
+
+      var
+      anonymous = options.anonymous || null,
+      outbound = options.outbound || null,
+      contact = '<';
+
+      if (anonymous) {
+        contact += this.temp_gruu || 'sip:anonymous@anonymous.invalid;transport=' +
+          (this.uri.getParam('transport') || 'ws');
+      } else {
+        contact += this.pub_gruu || this.uri.toString();
+      }
+
+      if (outbound && (anonymous ? !this.temp_gruu : !this.pub_gruu)) {
+        contact += ';ob';
+      }
+
+      contact += '>';
+
+      return contact;
+    }
+  };
+}
+
+/**
+ * Transport param of the Contact URI for the given Via transport.
+ */
+function contactTransport(via_transport) {
+  switch(via_transport) {
+    case 'TCP':
+      return 'tcp';
+    case 'TLS':
+      return 'tls';
+    case 'UDP':
+      return 'udp';
+    default:
+      return 'ws';
+  }
+}
@@ -0,0 +1,348 @@
+module.exports = UdpSocket;
+
+
+var C = {
+  // Default port for SIP over UDP.
+  UDP_PORT: 5060,
+
+  // RFC 3261 18.1.1: requests bigger than this are sent over TCP.
+  MAX_UDP_SIZE: 1300
+};
+
+/**
+ * Expose C object.
+ */
+UdpSocket.C = C;
+
+
+/**
+ * Dependencies.
+ */
+var dgram = require('dgram');
+var net = require('net');
+var Grammar = require('./Grammar');
+var TcpSocket = require('./TcpSocket');
+var debug = require('debug')('JsSIP:UdpSocket');
+var debugerror = require('debug')('JsSIP:ERROR:UdpSocket');
+debugerror.log = console.warn.bind(console);
+
+
+/**
+ * JsSIP.Socket implementation for SIP over UDP (RFC 3261 18) in Node.js.
+ *
+ * Requests bigger than C.MAX_UDP_SIZE are sent over a TCP connection to the
+ * same server (RFC 3261 18.1.1). Responses are sent to the address given by
+ * the top Via of the request (RFC 3261 18.2.2, RFC 3581).
+ *
+ * -param {String} url: SIP URI of the server (ie: 'sip:proxy.example.com:5060').
+ * -param {Object} options
+ *   - localAddress {String}: local address to bind to.
+ *   - localPort {Number}: local port to bind to (random if not given).
+ *   - tcpFallback {Boolean}: send big requests over TCP (default true).
+ *
+ * -throws {TypeError}
+ */
+function UdpSocket(url, options) {
+  debug('new() [url:"%s"]', url);
+
+  var parsed_url, host, port,
+    sip_uri = null,
+    via_transport = null;
+
+  options = options || {};
+
+  this.socket = null;
+  this.connected = false;
+  this.localAddress = options.localAddress;
+  this.localPort = options.localPort || 0;
+  this.tcpFallback = options.tcpFallback !== false;
+
+  // TCP connection for big requests and the requests waiting for it.
+  this.tcpSocket = null;
+  this.tcpQueue = [];
+
+  Object.defineProperties(this, {
+    via_transport: {
+      get: function() { return via_transport; },
+      set: function(transport) {
+        via_transport = transport.toUpperCase();
+      }
+    },
+    sip_uri:  { get: function() { return sip_uri; }},
+    url:      { get: function() { return url; }},
+    host:     { get: function() { return host; }},
+    port:     { get: function() { return port; }}
+  });
+
+  parsed_url = Grammar.parse(url, 'SIP_URI');
+
+  if (parsed_url === -1) {
+    debugerror('invalid SIP URI: ' + url);
+    throw new TypeError('Invalid argument: ' + url);
+  } else if (parsed_url.scheme !== 'sip') {
+    debugerror('invalid SIP URI scheme for UDP: ' + parsed_url.scheme);
+    throw new TypeError('Invalid argument: ' + url);
+  } else if (parsed_url.hasParam('transport') &&
+      parsed_url.getParam('transport').toLowerCase() !== 'udp') {
+    debugerror('invalid SIP URI transport param: ' + parsed_url.getParam('transport'));
+    throw new TypeError('Invalid argument: ' + url);
+  } else {
+    host = parsed_url.host.replace(/^\[|\]$/g, '');
+    port = parsed_url.port || C.UDP_PORT;
+    sip_uri = 'sip:' + parsed_url.host + (parsed_url.port ? ':' + parsed_url.port : '') +
+      ';transport=udp';
+    this.via_transport = 'udp';
+  }
+}
+
+UdpSocket.prototype.connect = function() {
+  debug('connect()');
+
+  var socket,
+    self = this;
+
+  if (this.isConnected()) {
+    debug('socket ' + this.url + ' is already bound');
+    return;
+  } else if (this.isConnecting()) {
+    debug('socket ' + this.url + ' is binding');
+    return;
+  }
+
+  debug('binding UDP socket for ' + this.url);
+
+  try {
+    socket = this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+
+    socket.on('message', onMessage.bind(this, socket));
+    socket.on('error', onError.bind(this, socket));
+    socket.on('close', onClose.bind(this, socket));
+
+    socket.bind(this.localPort, this.localAddress, function() {
+      if (socket !== self.socket) { return; }
+
+      debug('UDP socket for ' + self.url + ' bound');
+
+      self.connected = true;
+      self.onconnect();
+    });
+  } catch(e) {
+    debugerror('socket ' + this.url + ' error: '+ e);
+    this.socket = null;
+    this.ondisconnect(true);
+  }
+};
+
+UdpSocket.prototype.disconnect = function() {
+  debug('disconnect()');
+
+  if (this.socket) {
+    this.socket.close();
+    this.socket = null;
+  }
+
+  this.connected = false;
+
+  closeTcpSocket.call(this);
+};
+
+UdpSocket.prototype.send = function(message) {
+  debug('send()');
+
+  var destination;
+
+  if (!this.isConnected()) {
+    debugerror('unable to send message, socket is not bound');
+    return false;
+  }
+
+  message = message.toString();
+
+  if (this.isReliable(message)) {
+    sendOverTcp.call(this, message);
+    return true;
+  }
+
+  // Responses go to the sender of the request.
+  if (/^SIP\/2\.0 /.test(message)) {
+    destination = responseDestination(message);
+  }
+  destination = destination || { host: this.host, port: this.port };
+
+  this.socket.send(Buffer.from(message), destination.port, destination.host, function(error) {
+    if (error) {
+      debugerror('error sending message: ' + error);
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Only the requests sent over the TCP fallback connection are reliable.
+ */
+UdpSocket.prototype.isReliable = function(message) {
+  if (!this.tcpFallback || message === undefined) {
+    return false;
+  }
+
+  message = message.toString();
+
+  return !/^SIP\/2\.0 /.test(message) && Buffer.byteLength(message) > C.MAX_UDP_SIZE;
+};
+
+UdpSocket.prototype.isConnected = function() {
+  return !!this.socket && this.connected;
+};
+
+UdpSocket.prototype.isConnecting = function() {
+  return !!this.socket && !this.connected;
+};
+
+
+/**
+ * Socket Event Handlers
+ */
+
+function onMessage(socket, data, rinfo) {
+  if (socket !== this.socket) { return; }
+
+  data = data.toString('utf8');
+
+  // RFC 3261 18.2.1 and RFC 3581 4: tag the request with its source address.
+  if (!/^SIP\/2\.0 /.test(data)) {
+    data = setViaReceived(data, rinfo.address, rinfo.port);
+  }
+
+  this.ondata(data);
+}
+
+function onClose(socket) {
+  if (socket !== this.socket) { return; }
+
+  debug('UDP socket for ' + this.url + ' closed');
+
+  this.socket = null;
+  this.connected = false;
+
+  closeTcpSocket.call(this);
+
+  this.ondisconnect(false);
+}
+
+function onError(socket, e) {
+  if (socket !== this.socket) { return; }
+
+  debugerror('socket ' + this.url + ' error: '+ e);
+
+  this.socket = null;
+  this.connected = false;
+
+  closeTcpSocket.call(this);
+
+  socket.close();
+  this.ondisconnect(true);
+}
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * Send the request over TCP, opening the connection first if needed.
+ */
+function sendOverTcp(message) {
+  var self = this;
+
+  debug('message bigger than ' + C.MAX_UDP_SIZE + ' bytes, sending it over TCP');
+
+  // The transport of the top Via changes accordingly.
+  message = message.replace(/^((?:Via|v)[ \t]*:[ \t]*SIP[ \t]*\/[ \t]*2\.0[ \t]*\/[ \t]*)UDP/im, '$1TCP');
+
+  if (this.tcpSocket && this.tcpSocket.isConnected()) {
+    this.tcpSocket.send(message);
+    return;
+  }
+
+  this.tcpQueue.push(message);
+
+  if (this.tcpSocket) {
+    return;
+  }
+
+  this.tcpSocket = new TcpSocket('sip:' + (net.isIPv6(this.host) ? '[' + this.host + ']' : this.host) +
+    ':' + this.port);
+
+  this.tcpSocket.onconnect = function() {
+    var queue = self.tcpQueue;
+
+    self.tcpQueue = [];
+    queue.forEach(function(message) {
+      self.tcpSocket.send(message);
+    });
+  };
+
+  // Responses and requests received over TCP are delivered as any other.
+  this.tcpSocket.ondata = function(data) {
+    if (data !== '\r\n' && data !== '\r\n\r\n') {
+      self.ondata(data);
+    }
+  };
+
+  // The requests not sent are retransmitted (over TCP again) or time out.
+  this.tcpSocket.ondisconnect = function() {
+    self.tcpSocket = null;
+    self.tcpQueue = [];
+  };
+
+  this.tcpSocket.connect();
+}
+
+function closeTcpSocket() {
+  if (this.tcpSocket) {
+    this.tcpSocket.disconnect();
+    this.tcpSocket = null;
+  }
+
+  this.tcpQueue = [];
+}
+
+/**
+ * Add the received and rport params to the top Via of the request.
+ */
+function setViaReceived(data, address, port) {
+  return data.replace(/^((?:Via|v)[ \t]*:[ \t]*)([^,\r\n]*)/im, function(match, name, via) {
+    var rport = /;[ \t]*rport(?![^;]*=)/i.test(via);
+
+    via = via.replace(/;[ \t]*received[ \t]*=[^;]*/i, '');
+    via += ';received=' + address;
+
+    if (rport) {
+      via = via.replace(/;[ \t]*rport(?![^;]*=)/i, '') + ';rport=' + port;
+    }
+
+    return name + via;
+  });
+}
+
+/**
+ * Destination of a response as given by its top Via (RFC 3261 18.2.2, RFC 3581 4).
+ */
+function responseDestination(message) {
+  var via, rport,
+    value = message.match(/^(?:Via|v)[ \t]*:[ \t]*([^,\r\n]*)/im);
+
+  via = value && Grammar.parse(value[1], 'Via');
+
+  if (!via || via === -1) {
+    return null;
+  }
+
+  rport = value[1].match(/;[ \t]*rport[ \t]*=[ \t]*([0-9]+)/i);
+
+  return {
+    host: via.received || via.host.replace(/^\[|\]$/g, ''),
+    port: rport ? parseInt(rport[1], 10) : via.port || C.UDP_PORT
+  };
+}
@@ -51,6 +51,20 @@ Utils.hasMethods = function(obj /*, method list as strings */){
   return true;
 };
 
+// Shallow copy of the given object (an empty one if not given).
+Utils.cloneObject = function(obj) {
+  var key,
+    clone = {};
+
+  for (key in obj) {
+    if (obj.hasOwnProperty(key)) {
+      clone[key] = obj[key];
+    }
+  }
+
+  return clone;
+};
+
 Utils.createRandomToken = function(size, base) {
   var i, r,
     token = '';
@@ -163,6 +177,8 @@ Utils.headerize = function(string) {
   var exceptions = {
     'Call-Id': 'Call-ID',
     'Cseq': 'CSeq',
+    'Rack': 'RAck',
+    'Rseq': 'RSeq',
     'Www-Authenticate': 'WWW-Authenticate'
     },
     name = string.toLowerCase().replace(/_/g,'-').split('-'),
@@ -411,3 +427,229 @@ Utils.calculateMD5 = function(string) {
 
   return temp.toLowerCase();
 };
+
+// SHA-256 (FIPS 180-4).
+Utils.calculateSHA256 = function(string) {
+  var i, j, s0, s1, t1, t2, a, b, c, d, e, f, g, h,
+    k = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ],
+    hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ],
+    x = sha2Words(string, 64),
+    w = [];
+
+  function rotateRight(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+  }
+
+  for (i = 0; i < x.length; i += 16) {
+    for (j = 0; j < 64; j++) {
+      if (j < 16) {
+        w[j] = x[i + j];
+      } else {
+        s0 = rotateRight(w[j-15], 7) ^ rotateRight(w[j-15], 18) ^ (w[j-15] >>> 3);
+        s1 = rotateRight(w[j-2], 17) ^ rotateRight(w[j-2], 19) ^ (w[j-2] >>> 10);
+        w[j] = (w[j-16] + s0 + w[j-7] + s1) | 0;
+      }
+    }
+
+    a = hash[0]; b = hash[1]; c = hash[2]; d = hash[3];
+    e = hash[4]; f = hash[5]; g = hash[6]; h = hash[7];
+
+    for (j = 0; j < 64; j++) {
+      s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+      t1 = (h + s1 + ((e & f) ^ (~e & g)) + k[j] + w[j]) | 0;
+      s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+      t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+
+    hash[0] = (hash[0] + a) | 0; hash[1] = (hash[1] + b) | 0;
+    hash[2] = (hash[2] + c) | 0; hash[3] = (hash[3] + d) | 0;
+    hash[4] = (hash[4] + e) | 0; hash[5] = (hash[5] + f) | 0;
+    hash[6] = (hash[6] + g) | 0; hash[7] = (hash[7] + h) | 0;
+  }
+
+  return sha2Hex(hash);
+};
+
+// SHA-512/256 (FIPS 180-4). 64 bit words are handled as [high, low] 32 bit pairs.
+Utils.calculateSHA512_256 = function(string) {
+  var i, j, s0, s1, t1, t2, a, b, c, d, e, f, g, h,
+    k = [
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+    ],
+    iv = [
+    0x22312194, 0xfc2bf72c, 0x9f555fa3, 0xc84c64c2, 0x2393b86b, 0x6f53b151, 0x96387719, 0x5940eabd,
+    0x96283ee2, 0xa88effe3, 0xbe5e1e25, 0x53863992, 0x2b0199fc, 0x2c85b8aa, 0x0eb72ddc, 0x81c52ca2
+    ],
+    hash = [],
+    x = sha2Words(string, 128),
+    w = [];
+
+  function add() {
+    var n, high = 0, low = 0;
+
+    for (n = 0; n < arguments.length; n++) {
+      high += arguments[n][0];
+      low += arguments[n][1] >>> 0;
+    }
+
+    return [(high + Math.floor(low / 0x100000000)) | 0, low | 0];
+  }
+
+  function rotateRight(value, bits) {
+    var high = value[0], low = value[1];
+
+    if (bits >= 32) {
+      high = value[1];
+      low = value[0];
+      bits -= 32;
+    }
+
+    if (bits === 0) {
+      return [high, low];
+    }
+
+    return [(high >>> bits) | (low << (32 - bits)), (low >>> bits) | (high << (32 - bits))];
+  }
+
+  function shiftRight(value, bits) {
+    return [value[0] >>> bits, (value[1] >>> bits) | (value[0] << (32 - bits))];
+  }
+
+  function xor(x, y, z) {
+    return [x[0] ^ y[0] ^ z[0], x[1] ^ y[1] ^ z[1]];
+  }
+
+  function choose(x, y, z) {
+    return [(x[0] & y[0]) ^ (~x[0] & z[0]), (x[1] & y[1]) ^ (~x[1] & z[1])];
+  }
+
+  function majority(x, y, z) {
+    return [
+      (x[0] & y[0]) ^ (x[0] & z[0]) ^ (y[0] & z[0]),
+      (x[1] & y[1]) ^ (x[1] & z[1]) ^ (y[1] & z[1])
+    ];
+  }
+
+  for (j = 0; j < 8; j++) {
+    hash[j] = [iv[2*j] | 0, iv[2*j + 1] | 0];
+  }
+
+  for (i = 0; i < x.length; i += 32) {
+    for (j = 0; j < 80; j++) {
+      if (j < 16) {
+        w[j] = [x[i + 2*j], x[i + 2*j + 1]];
+      } else {
+        s0 = xor(rotateRight(w[j-15], 1), rotateRight(w[j-15], 8), shiftRight(w[j-15], 7));
+        s1 = xor(rotateRight(w[j-2], 19), rotateRight(w[j-2], 61), shiftRight(w[j-2], 6));
+        w[j] = add(w[j-16], s0, w[j-7], s1);
+      }
+    }
+
+    a = hash[0]; b = hash[1]; c = hash[2]; d = hash[3];
+    e = hash[4]; f = hash[5]; g = hash[6]; h = hash[7];
+
+    for (j = 0; j < 80; j++) {
+      s1 = xor(rotateRight(e, 14), rotateRight(e, 18), rotateRight(e, 41));
+      t1 = add(h, s1, choose(e, f, g), [k[2*j], k[2*j + 1]], w[j]);
+      s0 = xor(rotateRight(a, 28), rotateRight(a, 34), rotateRight(a, 39));
+      t2 = add(s0, majority(a, b, c));
+      h = g; g = f; f = e; e = add(d, t1);
+      d = c; c = b; b = a; a = add(t1, t2);
+    }
+
+    hash[0] = add(hash[0], a); hash[1] = add(hash[1], b);
+    hash[2] = add(hash[2], c); hash[3] = add(hash[3], d);
+    hash[4] = add(hash[4], e); hash[5] = add(hash[5], f);
+    hash[6] = add(hash[6], g); hash[7] = add(hash[7], h);
+  }
+
+  // Truncated to the first 256 bits.
+  return sha2Hex([
+    hash[0][0], hash[0][1], hash[1][0], hash[1][1],
+    hash[2][0], hash[2][1], hash[3][0], hash[3][1]
+  ]);
+};
+
+
+/**
+ * Private API.
+ */
+
+/**
+ * UTF-8 encode the given string and pad it as per FIPS 180-4 into an array of
+ * big-endian 32 bit words, for a block size of 64 (SHA-256) or 128 (SHA-512) bytes.
+ */
+function sha2Words(string, block_size) {
+  var i, bits, start,
+    bytes = [],
+    words = [];
+
+  string = unescape(encodeURIComponent(string));
+
+  for (i = 0; i < string.length; i++) {
+    bytes.push(string.charCodeAt(i));
+  }
+
+  bits = bytes.length * 8;
+  bytes.push(0x80);
+
+  // Leave room for the message length (8 or 16 bytes).
+  while ((bytes.length + block_size / 8) % block_size !== 0) {
+    bytes.push(0);
+  }
+
+  // Message length in bits, big-endian.
+  start = bytes.length;
+  for (i = start + block_size / 8 - 1; i >= start; i--) {
+    bytes[i] = bits % 256;
+    bits = Math.floor(bits / 256);
+  }
+
+  for (i = 0; i < bytes.length; i += 4) {
+    words.push((bytes[i] << 24) | (bytes[i+1] << 16) | (bytes[i+2] << 8) | bytes[i+3]);
+  }
+
+  return words;
+}
+
+function sha2Hex(words) {
+  var i, hex = '';
+
+  for (i = 0; i < words.length; i++) {
+    hex += ('0000000' + (words[i] >>> 0).toString(16)).slice(-8);
+  }
+
+  return hex;
+}
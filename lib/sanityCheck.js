@@ -126,11 +126,10 @@ function rfc3261_8_2_2_2() {
 
   // INVITE request.
   if (message.method === JsSIP_C.INVITE) {
-    // If the branch matches the key of any IST then assume it is a retransmission
-    // and ignore the INVITE.
-    // TODO: we should reply the last response.
+    // If the branch matches the key of any IST then assume it is a retransmission,
+    // the transaction sends the last response again.
     if (ua.transactions.ist[message.via_branch]) {
-      return false;
+      return;
     }
     // Otherwise check whether it is a merged request.
     else {
@@ -145,11 +144,10 @@ function rfc3261_8_2_2_2() {
   }
   // Non INVITE request.
   else {
-    // If the branch matches the key of any NIST then assume it is a retransmission
-    // and ignore the request.
-    // TODO: we should reply the last response.
+    // If the branch matches the key of any NIST then assume it is a retransmission,
+    // the transaction sends the last response again.
     if (ua.transactions.nist[message.via_branch]) {
-      return false;
+      return;
     }
     // Otherwise check whether it is a merged request.
     else {
@@ -221,5 +219,11 @@ function reply(status_code) {
   response += 'CSeq: ' + message.cseq + ' ' + message.method + '\r\n';
   response += '\r\n';
 
+  // Dropped by a middleware.
+  response = ua.filterResponse(response);
+  if (!response) {
+    return;
+  }
+
   transport.send(response);
 }
@@ -0,0 +1,76 @@
+module.exports = FakeSocket;
+
+
+/**
+ * Socket for the JsSIP.Transport that never touches the network: it records
+ * the sent messages and lets the test inject the received ones with ondata().
+ *
+ * - sent {Array}: Messages sent, as strings.
+ * - onrequest {Function}: If set, called (asynchronously) with every sent message.
+ * - connects {Number}: Number of connection attempts.
+ * - fail {Boolean}: If true, connection attempts fail.
+ */
+function FakeSocket(host, port) {
+  host = host || 'localhost';
+  port = port || 12345;
+
+  this.url = 'ws://' + host + ':' + port;
+  this.via_transport = 'WS';
+  this.sip_uri = 'sip:' + host + ':' + port + ';transport=ws';
+  this.sent = [];
+  this.onrequest = null;
+  this.connects = 0;
+  this.fail = false;
+}
+
+FakeSocket.prototype.connect = function() {
+  var self = this;
+
+  this.connects++;
+  setTimeout(function() {
+    if (self.fail) {
+      self.ondisconnect(true);
+    } else {
+      self.onconnect();
+    }
+  }, 0);
+};
+
+FakeSocket.prototype.disconnect = function() {};
+
+FakeSocket.prototype.send = function(data) {
+  var self = this;
+
+  data = data.toString();
+  this.sent.push(data);
+
+  if (this.onrequest) {
+    setTimeout(function() { self.onrequest(data); }, 0);
+  }
+
+  return true;
+};
+
+/**
+ * Inject a response to the given request (a string). A To tag is added if
+ * the request has none.
+ */
+FakeSocket.prototype.reply = function(request, status, extraHeaders, body) {
+  var response = 'SIP/2.0 ' + (status || '200 OK') + '\r\n';
+
+  request.split('\r\n').forEach(function(line) {
+    if (/^(Via|From|Call-ID|CSeq):/.test(line)) {
+      response += line + '\r\n';
+    } else if (/^To:/.test(line)) {
+      response += line + (/;tag=/.test(line) ? '' : ';tag=1234') + '\r\n';
+    }
+  });
+
+  (extraHeaders || []).forEach(function(header) {
+    response += header + '\r\n';
+  });
+
+  response += 'Content-Length: ' + (body ? body.length : 0) + '\r\n\r\n' + (body || '');
+
+  this.ondata(response);
+};
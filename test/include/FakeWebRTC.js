@@ -0,0 +1,92 @@
+var rtcninja = require('rtcninja');
+
+
+/**
+ * Synchronous RTCPeerConnection recording the remote descriptions. Setting
+ * failRemoteDescription makes setRemoteDescription() fail.
+ */
+function FakePeerConnection() {
+  this.iceGatheringState = 'new';
+  this.localDescription = null;
+  this.remoteDescriptions = [];
+  this.failRemoteDescription = false;
+}
+
+FakePeerConnection.prototype.createOffer = function(success) {
+  success({ type: 'offer', sdp: sdp('local') });
+};
+
+FakePeerConnection.prototype.createAnswer = function(success) {
+  success({ type: 'answer', sdp: sdp('local') });
+};
+
+FakePeerConnection.prototype.setLocalDescription = function(desc, success) {
+  this.localDescription = desc;
+  this.iceGatheringState = 'complete';
+  success();
+};
+
+FakePeerConnection.prototype.setRemoteDescription = function(desc, success, failure) {
+  if (this.failRemoteDescription) {
+    if (failure) { failure(new Error('setRemoteDescription failed')); }
+    return;
+  }
+
+  this.remoteDescriptions.push(desc);
+  if (success) { success(); }
+};
+
+FakePeerConnection.prototype.addStream = function() {};
+FakePeerConnection.prototype.close = function() {};
+
+/**
+ * SDP with an audio section and the given origin username.
+ */
+function sdp(origin) {
+  return 'v=0\r\n' +
+    'o=' + origin + ' 1 1 IN IP4 192.0.2.10\r\n' +
+    's=-\r\n' +
+    'c=IN IP4 192.0.2.10\r\n' +
+    't=0 0\r\n' +
+    'm=audio 5004 RTP/AVP 0\r\n' +
+    'a=rtpmap:0 PCMU/8000\r\n';
+}
+
+var original = null;
+
+/**
+ * Make rtcninja use the fake WebRTC API.
+ */
+function install() {
+  if (original) { return; }
+
+  original = {
+    hasWebRTC: rtcninja.hasWebRTC,
+    RTCPeerConnection: rtcninja.RTCPeerConnection,
+    RTCSessionDescription: rtcninja.RTCSessionDescription
+  };
+
+  rtcninja.hasWebRTC = function() { return true; };
+  rtcninja.RTCPeerConnection = FakePeerConnection;
+  rtcninja.RTCSessionDescription = function(desc) { return desc; };
+}
+
+/**
+ * Restore the rtcninja WebRTC API.
+ */
+function restore() {
+  if (!original) { return; }
+
+  rtcninja.hasWebRTC = original.hasWebRTC;
+  rtcninja.RTCPeerConnection = original.RTCPeerConnection;
+  rtcninja.RTCSessionDescription = original.RTCSessionDescription;
+  original = null;
+}
+
+
+module.exports = {
+  FakePeerConnection: FakePeerConnection,
+  sdp: sdp,
+  install: install,
+  restore: restore
+};
@@ -0,0 +1,93 @@
+require('./include/common');
+var crypto = require('crypto');
+var JsSIP = require('../');
+var DigestAuthentication = require('../lib/DigestAuthentication');
+
+
+function hash(algorithm, string) {
+  return crypto.createHash(algorithm).update(string).digest('hex');
+}
+
+function param(authorization, name) {
+  var value = authorization.match(new RegExp('[ ,]' + name + '="?([^",]*)"?'));
+
+  return value && value[1];
+}
+
+
+module.exports = {
+
+  'SHA-256 and SHA-512/256': function(test) {
+    ['', 'abc', new Array(57).join('a'), new Array(113).join('a'), 'iñaki:jssip.net:€'].forEach(function(string) {
+      test.strictEqual(JsSIP.Utils.calculateSHA256(string), hash('sha256', string));
+      test.strictEqual(JsSIP.Utils.calculateSHA512_256(string), hash('sha512-256', string));
+    });
+
+    test.done();
+  },
+
+  'Digest algorithms': function(test) {
+    var request = {
+      method: 'MESSAGE',
+      ruri: 'sip:bob@jssip.net',
+      body: 'hello'
+    };
+
+    function check(algorithm, qop, node_algorithm) {
+      var ha1, ha2, cnonce, authorization,
+        auth = new DigestAuthentication({ username: 'alice', password: 'secret' });
+
+      test.ok(auth.authenticate(request, {
+        realm: 'jssip.net',
+        nonce: 'abcd',
+        algorithm: algorithm.toUpperCase(),
+        qop: qop ? [qop] : undefined
+      }));
+
+      authorization = auth.toString();
+      cnonce = param(authorization, 'cnonce');
+
+      test.strictEqual(param(authorization, 'algorithm'), algorithm);
+
+      ha1 = hash(node_algorithm, 'alice:jssip.net:secret');
+      if (/-sess$/.test(algorithm)) {
+        ha1 = hash(node_algorithm, ha1 + ':abcd:' + cnonce);
+      }
+
+      if (qop === 'auth-int') {
+        ha2 = hash(node_algorithm, 'MESSAGE:sip:bob@jssip.net:' + hash(node_algorithm, 'hello'));
+      } else {
+        ha2 = hash(node_algorithm, 'MESSAGE:sip:bob@jssip.net');
+      }
+
+      if (qop) {
+        test.strictEqual(param(authorization, 'response'),
+          hash(node_algorithm, ha1 + ':abcd:00000001:' + cnonce + ':' + qop + ':' + ha2));
+      } else {
+        test.strictEqual(param(authorization, 'response'), hash(node_algorithm, ha1 + ':abcd:' + ha2));
+      }
+
+      // The stored ha1 is just exposed for MD5.
+      test.strictEqual(auth.get('ha1'), node_algorithm === 'md5' ? hash('md5', 'alice:jssip.net:secret') : null);
+    }
+
+    check('MD5', null, 'md5');
+    check('MD5', 'auth-int', 'md5');
+    check('MD5-sess', 'auth', 'md5');
+    check('SHA-256', 'auth', 'sha256');
+    check('SHA-256-sess', null, 'sha256');
+    check('SHA-512-256', 'auth-int', 'sha512-256');
+    check('SHA-512-256-sess', 'auth', 'sha512-256');
+
+    // Unknown algorithm.
+    test.strictEqual(new DigestAuthentication({ username: 'alice', password: 'secret' })
+      .authenticate(request, { realm: 'jssip.net', nonce: 'abcd', algorithm: 'SHA-1' }), false);
+
+    // A stored ha1 cannot be used with SHA-256.
+    test.strictEqual(new DigestAuthentication({ username: 'alice', ha1: 'abcd', realm: 'jssip.net' })
+      .authenticate(request, { realm: 'jssip.net', nonce: 'abcd', algorithm: 'SHA-256' }), false);
+
+    test.done();
+  }
+
+};
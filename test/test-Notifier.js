@@ -0,0 +1,211 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+var Notifier = require('../lib/Notifier');
+
+
+// SUBSCRIBE from bob, in-dialog if to_tag is given.
+function subscribe(call_id, cseq, expires, to_tag) {
+  return 'SUBSCRIBE sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bK' + call_id + cseq + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>' + (to_tag ? ';tag=' + to_tag : '') + '\r\n' +
+    'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+    'Call-ID: ' + call_id + '\r\n' +
+    'CSeq: ' + cseq + ' SUBSCRIBE\r\n' +
+    'Contact: <sip:bob@192.0.2.20;transport=ws>\r\n' +
+    'Event: presence\r\n' +
+    'Expires: ' + expires + '\r\n' +
+    'Content-Length: 0\r\n\r\n';
+}
+
+function parse(raw) {
+  return Parser.parseMessage(raw, null);
+}
+
+var PIDF = '<presence/>';
+
+
+module.exports = {
+
+  'Accept, refresh and un-SUBSCRIBE': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      notifiers = [],
+      terminated = [];
+
+    ua.on('newSubscribe', function(e) {
+      test.strictEqual(e.originator, 'remote');
+      test.strictEqual(e.notifier.event, 'presence');
+
+      notifiers.push(e.notifier);
+      e.notifier.on('terminated', function(e) { terminated.push(e); });
+
+      if (e.request.call_id === 'rejected') {
+        e.notifier.reject();
+      } else {
+        e.notifier.accept(300);
+        e.notifier.notify(PIDF, 'application/pidf+xml');
+      }
+    });
+
+    ua.on('connected', function() {
+      var response, notify, to_tag;
+
+      socket.ondata(subscribe('rejected', 1, 600));
+      test.strictEqual(parse(socket.sent[0]).status_code, 403);
+      test.strictEqual(terminated[0].cause, JsSIP.C.causes.REJECTED);
+      test.ok(notifiers[0].isTerminated());
+
+      // Accepted with a shorter duration and notified right away.
+      socket.ondata(subscribe('accepted', 1, 600));
+      response = parse(socket.sent[1]);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Expires'), '300');
+      to_tag = response.to_tag;
+      test.ok(to_tag);
+      test.strictEqual(notifiers[1].status, Notifier.C.STATUS_ACTIVE);
+
+      notify = parse(socket.sent[2]);
+      test.strictEqual(notify.method, 'NOTIFY');
+      test.strictEqual(notify.from_tag, to_tag);
+      test.strictEqual(notify.getHeader('Event'), 'presence');
+      test.strictEqual(notify.getHeader('Subscription-State'), 'active;expires=300');
+      test.strictEqual(notify.getHeader('Content-Type'), 'application/pidf+xml');
+      test.strictEqual(notify.body, PIDF);
+      socket.reply(socket.sent[2], '200 OK');
+
+      // A refresh cannot lengthen the accepted duration.
+      socket.ondata(subscribe('accepted', 2, 3600, to_tag));
+      response = parse(socket.sent[3]);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Expires'), '300');
+
+      notify = parse(socket.sent[4]);
+      test.strictEqual(notify.getHeader('Subscription-State'), 'active;expires=300');
+      test.strictEqual(notify.body, PIDF);
+      socket.reply(socket.sent[4], '200 OK');
+
+      socket.ondata(subscribe('accepted', 3, 60, to_tag));
+      test.strictEqual(parse(socket.sent[5]).getHeader('Expires'), '60');
+      socket.reply(socket.sent[6], '200 OK');
+
+      // Un-SUBSCRIBE.
+      socket.ondata(subscribe('accepted', 4, 0, to_tag));
+      response = parse(socket.sent[7]);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Expires'), '0');
+
+      notify = parse(socket.sent[8]);
+      test.strictEqual(notify.getHeader('Subscription-State'), 'terminated;reason=timeout');
+      socket.reply(socket.sent[8], '200 OK');
+
+      test.strictEqual(terminated[1].originator, 'remote');
+      test.strictEqual(terminated[1].cause, JsSIP.C.causes.BYE);
+      test.deepEqual(Object.keys(ua.notifiers), []);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Fetch': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('newSubscribe', function(e) {
+      var notifier = e.notifier;
+
+      notifier.accept();
+
+      // The state is gathered asynchronously.
+      setTimeout(function() {
+        var notify;
+
+        test.strictEqual(socket.sent.length, 1);
+
+        notifier.notify(PIDF, 'application/pidf+xml');
+
+        notify = parse(socket.sent[1]);
+        test.strictEqual(notify.getHeader('Subscription-State'), 'terminated;reason=timeout');
+        test.strictEqual(notify.body, PIDF);
+        test.ok(notifier.isTerminated());
+        socket.reply(socket.sent[1], '200 OK');
+
+        ua.stop();
+        test.done();
+      }, 20);
+    });
+
+    ua.on('connected', function() {
+      socket.ondata(subscribe('fetch', 1, 0));
+      test.strictEqual(parse(socket.sent[0]).getHeader('Expires'), '0');
+    });
+
+    ua.start();
+  },
+
+  'Expiry': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('newSubscribe', function(e) {
+      e.notifier.on('terminated', function(e) {
+        var notify = parse(socket.sent[2]);
+
+        test.strictEqual(e.originator, 'system');
+        test.strictEqual(e.cause, JsSIP.C.causes.EXPIRES);
+        test.strictEqual(notify.getHeader('Subscription-State'), 'terminated;reason=timeout');
+        socket.reply(socket.sent[2], '200 OK');
+
+        ua.stop();
+        test.done();
+      });
+
+      e.notifier.accept();
+      e.notifier.notify(null, null, 'pending');
+      test.strictEqual(parse(socket.sent[1]).getHeader('Subscription-State'), 'pending;expires=1');
+      socket.reply(socket.sent[1], '200 OK');
+    });
+
+    ua.on('connected', function() {
+      socket.ondata(subscribe('expiry', 1, 1));
+    });
+
+    ua.start();
+  },
+
+  'NOTIFY failure response': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('newSubscribe', function(e) {
+      var notifier = e.notifier;
+
+      notifier.on('terminated', function(e) {
+        test.strictEqual(e.originator, 'remote');
+        test.strictEqual(e.cause, JsSIP.C.causes.NOT_FOUND);
+        test.strictEqual(e.message.status_code, 404);
+        test.ok(notifier.isTerminated());
+        test.throws(function() { notifier.notify(); }, JsSIP.Exceptions.InvalidStateError);
+
+        ua.stop();
+        test.done();
+      });
+
+      notifier.accept();
+      notifier.notify();
+      socket.reply(socket.sent[1], '404 Not Found');
+    });
+
+    ua.on('connected', function() {
+      socket.ondata(subscribe('failure', 1, 600));
+    });
+
+    ua.start();
+  }
+
+};
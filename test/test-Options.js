@@ -0,0 +1,181 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+var Options = require('../lib/Options');
+var Timers = require('../lib/Timers');
+
+
+function options(branch) {
+  return 'OPTIONS sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.10;branch=z9hG4bK' + branch + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>\r\n' +
+    'From: <sip:bob@jssip.net>;tag=1234\r\n' +
+    'Call-ID: ' + branch + '\r\n' +
+    'CSeq: 1 OPTIONS\r\n' +
+    'Accept: application/sdp\r\n' +
+    'Content-Length: 0\r\n\r\n';
+}
+
+var SDP = 'v=0\r\n' +
+  'o=- 1 1 IN IP4 192.0.2.10\r\n' +
+  's=-\r\n' +
+  'c=IN IP4 192.0.2.10\r\n' +
+  't=0 0\r\n' +
+  'm=audio 0 RTP/AVP 0 8\r\n' +
+  'a=rtpmap:0 PCMU/8000\r\n' +
+  'a=rtpmap:8 PCMA/8000\r\n' +
+  'm=video 0 RTP/AVP 96\r\n' +
+  'a=rtpmap:96 VP8/90000\r\n';
+
+
+module.exports = {
+
+  'Send OPTIONS': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('connected', function() {
+      var request, message,
+        succeeded = [];
+
+      message = ua.sendOptions('bob@jssip.net', {
+        eventHandlers: {
+          succeeded: function(e) { succeeded.push(e); }
+        }
+      });
+
+      test.ok(message instanceof Options);
+      test.strictEqual(message.direction, 'outgoing');
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+      test.strictEqual(request.method, 'OPTIONS');
+      test.strictEqual(request.ruri.toString(), 'sip:bob@jssip.net');
+      test.strictEqual(request.getHeader('Accept'), 'application/sdp');
+
+      socket.ondata('SIP/2.0 200 OK\r\n' +
+        'Via: ' + request.getHeader('via') + '\r\n' +
+        'To: ' + request.getHeader('to') + ';tag=abcd\r\n' +
+        'From: ' + request.getHeader('from') + '\r\n' +
+        'Call-ID: ' + request.call_id + '\r\n' +
+        'CSeq: ' + request.cseq + ' OPTIONS\r\n' +
+        'Allow: INVITE, ACK, cancel,BYE\r\n' +
+        'Accept: application/sdp, text/plain;q=0.5\r\n' +
+        'Supported: replaces, 100rel\r\n' +
+        'Content-Type: application/sdp\r\n' +
+        'Content-Length: ' + SDP.length + '\r\n\r\n' +
+        SDP);
+
+      test.strictEqual(succeeded.length, 1);
+      test.deepEqual(succeeded[0].capabilities, {
+        methods: ['INVITE', 'ACK', 'CANCEL', 'BYE'],
+        accept: ['application/sdp', 'text/plain'],
+        extensions: ['replaces', '100rel'],
+        media: [
+          { type: 'audio', protocol: 'RTP/AVP', codecs: ['PCMU', 'PCMA'] },
+          { type: 'video', protocol: 'RTP/AVP', codecs: ['VP8'] }
+        ]
+      });
+      test.strictEqual(message.capabilities, succeeded[0].capabilities);
+
+      test.throws(function() { ua.sendOptions(); }, TypeError);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Send OPTIONS failures': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      timer_f = Timers.TIMER_F;
+
+    Timers.TIMER_F = 50;
+
+    ua.on('connected', function() {
+      ua.sendOptions('bob@jssip.net', {
+        eventHandlers: {
+          failed: function(e) {
+            test.strictEqual(e.cause, JsSIP.C.causes.REQUEST_TIMEOUT);
+            test.deepEqual(Object.keys(ua.applicants), []);
+
+            Timers.TIMER_F = timer_f;
+            socket.send = function() { return false; };
+
+            ua.sendOptions('bob@jssip.net', {
+              eventHandlers: {
+                failed: function(e) {
+                  test.strictEqual(e.cause, JsSIP.C.causes.CONNECTION_ERROR);
+                  test.deepEqual(Object.keys(ua.applicants), []);
+
+                  ua.stop();
+                  test.done();
+                }
+              }
+            });
+          }
+        }
+      });
+    });
+
+    ua.start();
+  },
+
+  'Receive OPTIONS': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('connected', function() {
+      var response;
+
+      // No listener, bare 200.
+      socket.ondata(options('one'));
+      response = Parser.parseMessage(socket.sent[0], ua);
+      test.strictEqual(response.status_code, 200);
+      test.ok(response.hasHeader('Allow'));
+      test.strictEqual(socket.sent.length, 1);
+
+      ua.on('newOptions', function(e) {
+        test.strictEqual(e.originator, 'remote');
+        test.strictEqual(e.options.direction, 'incoming');
+        test.strictEqual(e.request.call_id, e.options.request.call_id);
+
+        switch (e.request.call_id) {
+          case 'two':
+            e.options.reject();
+            break;
+          case 'three':
+            e.options.accept({ body: SDP });
+            break;
+        }
+      });
+
+      socket.ondata(options('two'));
+      response = Parser.parseMessage(socket.sent[1], ua);
+      test.strictEqual(response.status_code, 480);
+      test.strictEqual(socket.sent.length, 2);
+
+      socket.ondata(options('three'));
+      response = Parser.parseMessage(socket.sent[2], ua);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Content-Type'), 'application/sdp');
+      test.strictEqual(response.body, SDP);
+      test.strictEqual(socket.sent.length, 3);
+
+      // Not answered by the application.
+      socket.ondata(options('four'));
+      response = Parser.parseMessage(socket.sent[3], ua);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(socket.sent.length, 4);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
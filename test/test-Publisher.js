@@ -0,0 +1,149 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+var Publisher = require('../lib/Publisher');
+
+
+var PIDF = '<presence><basic>open</basic></presence>';
+var PIDF2 = '<presence><basic>closed</basic></presence>';
+
+function parse(raw) {
+  return Parser.parseMessage(raw, null);
+}
+
+
+module.exports = {
+
+  'SIP-ETag and pending actions': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('connected', function() {
+      var publisher, first, request,
+        published = [];
+
+      publisher = ua.publish('alice@jssip.net', 'presence', PIDF, {
+        contentType: 'application/pidf+xml',
+        expires: 600,
+        eventHandlers: {
+          published: function(e) { published.push(e.etag); },
+          terminated: function(e) {
+            test.strictEqual(e.originator, 'local');
+            test.strictEqual(e.cause, JsSIP.C.causes.BYE);
+            test.ok(publisher.isTerminated());
+
+            ua.stop();
+            test.done();
+          }
+        }
+      });
+
+      first = parse(socket.sent[0]);
+      test.strictEqual(first.method, 'PUBLISH');
+      test.strictEqual(first.getHeader('Event'), 'presence');
+      test.strictEqual(first.getHeader('Expires'), '600');
+      test.strictEqual(first.getHeader('Content-Type'), 'application/pidf+xml');
+      test.strictEqual(first.body, PIDF);
+      test.ok(!first.hasHeader('SIP-If-Match'));
+
+      // Not sent until the PUBLISH in progress finishes. The modification
+      // includes the refresh.
+      publisher.modify(PIDF2);
+      publisher.refresh();
+      test.strictEqual(socket.sent.length, 1);
+
+      socket.reply(socket.sent[0], '200 OK', ['SIP-ETag: e1', 'Expires: 600']);
+      test.deepEqual(published, ['e1']);
+      test.strictEqual(publisher.status, Publisher.C.STATUS_PUBLISHED);
+
+      request = parse(socket.sent[1]);
+      test.strictEqual(request.getHeader('SIP-If-Match'), 'e1');
+      test.strictEqual(request.body, PIDF2);
+      test.strictEqual(request.call_id, first.call_id);
+      test.strictEqual(request.from_tag, first.from_tag);
+      test.strictEqual(request.cseq, first.cseq + 1);
+
+      socket.reply(socket.sent[1], '200 OK', ['SIP-ETag: e2', 'Expires: 600']);
+      test.deepEqual(published, ['e1', 'e2']);
+      test.strictEqual(socket.sent.length, 2);
+
+      // Refresh without body.
+      publisher.refresh();
+      request = parse(socket.sent[2]);
+      test.strictEqual(request.getHeader('SIP-If-Match'), 'e2');
+      test.strictEqual(request.getHeader('Expires'), '600');
+      test.ok(!request.body);
+      test.strictEqual(request.from_tag, first.from_tag);
+
+      // The removal waits for the refresh.
+      publisher.remove();
+      test.strictEqual(socket.sent.length, 3);
+
+      socket.reply(socket.sent[2], '200 OK', ['SIP-ETag: e3', 'Expires: 600']);
+      request = parse(socket.sent[3]);
+      test.strictEqual(request.getHeader('SIP-If-Match'), 'e3');
+      test.strictEqual(request.getHeader('Expires'), '0');
+      test.ok(!request.body);
+
+      socket.reply(socket.sent[3], '200 OK', ['SIP-ETag: e3', 'Expires: 0']);
+    });
+
+    ua.start();
+  },
+
+  '412 and 423 responses': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('connected', function() {
+      var publisher, request;
+
+      publisher = ua.publish('alice@jssip.net', 'presence', PIDF, {
+        contentType: 'application/pidf+xml',
+        expires: 600
+      });
+
+      // Interval too brief: the initial PUBLISH is sent again.
+      socket.reply(socket.sent[0], '423 Interval Too Brief', ['Min-Expires: 1200']);
+      request = parse(socket.sent[1]);
+      test.strictEqual(request.getHeader('Expires'), '1200');
+      test.strictEqual(request.body, PIDF);
+      test.ok(!request.hasHeader('SIP-If-Match'));
+
+      socket.reply(socket.sent[1], '200 OK', ['SIP-ETag: e1', 'Expires: 1200']);
+      test.strictEqual(publisher.etag, 'e1');
+
+      // The ESC lost the state: full republish.
+      publisher.refresh();
+      socket.reply(socket.sent[2], '412 Conditional Request Failed');
+      request = parse(socket.sent[3]);
+      test.ok(!request.hasHeader('SIP-If-Match'));
+      test.strictEqual(request.body, PIDF);
+      test.strictEqual(publisher.etag, null);
+
+      socket.reply(socket.sent[3], '200 OK', ['SIP-ETag: e2', 'Expires: 1200']);
+      test.strictEqual(publisher.etag, 'e2');
+
+      // Interval too brief on a refresh: it keeps being a refresh.
+      publisher.refresh();
+      socket.reply(socket.sent[4], '423 Interval Too Brief', ['Min-Expires: 1800']);
+      request = parse(socket.sent[5]);
+      test.strictEqual(request.getHeader('Expires'), '1800');
+      test.strictEqual(request.getHeader('SIP-If-Match'), 'e2');
+      test.ok(!request.body);
+
+      socket.reply(socket.sent[5], '200 OK', ['SIP-ETag: e2', 'Expires: 1800']);
+
+      publisher.remove();
+      socket.reply(socket.sent[6], '200 OK');
+      test.ok(publisher.isTerminated());
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
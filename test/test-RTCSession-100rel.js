@@ -0,0 +1,266 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var FakeWebRTC = require('./include/FakeWebRTC');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+var Timers = require('../lib/Timers');
+
+
+// INVITE from bob with a SDP offer.
+function invite(call_id, extraHeaders) {
+  var body = FakeWebRTC.sdp('bob');
+
+  return 'INVITE sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bK' + call_id + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>\r\n' +
+    'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+    'Call-ID: ' + call_id + '\r\n' +
+    'CSeq: 1 INVITE\r\n' +
+    'Contact: <sip:bob@192.0.2.20;transport=ws>\r\n' +
+    extraHeaders.join('\r\n') + '\r\n' +
+    'Content-Type: application/sdp\r\n' +
+    'Content-Length: ' + body.length + '\r\n\r\n' +
+    body;
+}
+
+function prack(call_id, to_tag, cseq, rack) {
+  return 'PRACK sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bKprack' + cseq + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>;tag=' + to_tag + '\r\n' +
+    'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+    'Call-ID: ' + call_id + '\r\n' +
+    'CSeq: ' + cseq + ' PRACK\r\n' +
+    'RAck: ' + rack + '\r\n' +
+    'Content-Length: 0\r\n\r\n';
+}
+
+// Sent messages but the 100 Trying.
+function sent(socket) {
+  return socket.sent.map(function(raw) {
+    return Parser.parseMessage(raw, null);
+  }).filter(function(message) {
+    return message.status_code !== 100;
+  });
+}
+
+
+module.exports = {
+
+  'UAS reliable provisional responses': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      t1 = Timers.T1,
+      timer_h = Timers.TIMER_H;
+
+    FakeWebRTC.install();
+    Timers.T1 = 10;
+    Timers.TIMER_H = 200;
+
+    ua.on('newRTCSession', function(e) {
+      var session = e.session;
+
+      session.on('failed', function(e) {
+        var messages = sent(socket);
+
+        // No PRACK for the 181.
+        test.strictEqual(messages[messages.length - 1].status_code, 504);
+        test.strictEqual(e.originator, 'system');
+        test.strictEqual(e.cause, JsSIP.C.causes.NO_PRACK);
+
+        Timers.T1 = t1;
+        Timers.TIMER_H = timer_h;
+        FakeWebRTC.restore();
+        ua.stop();
+        test.done();
+      });
+
+      setTimeout(function() {
+        var messages = sent(socket),
+          rseq = Number(messages[0].getHeader('RSeq')),
+          to_tag = messages[0].to_tag;
+
+        // Retransmitted until the PRACK arrives.
+        test.strictEqual(messages[0].status_code, 180);
+        test.strictEqual(messages[0].getHeader('Require'), '100rel');
+        test.ok(messages.length > 1);
+        messages.forEach(function(message) {
+          test.strictEqual(message.status_code, 180);
+          test.strictEqual(Number(message.getHeader('RSeq')), rseq);
+        });
+
+        // Queued until the 180 is acknowledged.
+        session.progress({ status_code: 181 });
+        test.strictEqual(sent(socket).pop().status_code, 180);
+
+        socket.ondata(prack('rel', to_tag, 2, (rseq + 5) + ' 1 INVITE'));
+        messages = sent(socket);
+        test.strictEqual(messages.pop().status_code, 481);
+
+        socket.ondata(prack('rel', to_tag, 3, rseq + ' 1 INVITE'));
+        messages = sent(socket);
+        test.strictEqual(messages[messages.length - 2].status_code, 200);
+        test.strictEqual(messages[messages.length - 2].method, 'PRACK');
+        test.strictEqual(messages[messages.length - 1].status_code, 181);
+        test.strictEqual(Number(messages[messages.length - 1].getHeader('RSeq')), rseq + 1);
+      }, 50);
+    });
+
+    ua.on('connected', function() {
+      socket.ondata(invite('rel', ['Require: 100rel']));
+    });
+
+    ua.start();
+  },
+
+  'UAC PRACK': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var session, request, pracks,
+        progress = [];
+
+      session = ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: {
+          progress: function(e) { progress.push(e.response.status_code); }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+      test.ok(request.getHeader('Supported').indexOf('100rel') !== -1);
+
+      function reply(status, rseq) {
+        socket.reply(socket.sent[0], status, [
+          'Contact: <sip:bob@192.0.2.20;transport=ws>',
+          'Require: 100rel',
+          'RSeq: ' + rseq
+        ]);
+      }
+
+      function prackSent() {
+        return sent(socket).filter(function(message) {
+          return message.method === 'PRACK';
+        }).map(function(message) {
+          return message.getHeader('RAck');
+        });
+      }
+
+      reply('180 Ringing', 10);
+      pracks = prackSent();
+      test.deepEqual(pracks, ['10 ' + request.cseq + ' INVITE']);
+      test.strictEqual(Parser.parseMessage(socket.sent[1], ua).to_tag, '1234');
+
+      // Retransmission: neither PRACK'ed again nor notified.
+      reply('180 Ringing', 10);
+      test.deepEqual(prackSent(), pracks);
+      test.deepEqual(progress, [180]);
+
+      // Out of order.
+      reply('183 Session Progress', 12);
+      test.deepEqual(prackSent(), pracks);
+
+      reply('183 Session Progress', 11);
+      test.deepEqual(prackSent(), ['10 ' + request.cseq + ' INVITE', '11 ' + request.cseq + ' INVITE']);
+      test.deepEqual(progress, [180, 183]);
+
+      session.terminate();
+
+      FakeWebRTC.restore();
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'UAC answer in a reliable provisional response': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var session, messages,
+        failed = false;
+
+      session = ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: {
+          failed: function() { failed = true; }
+        }
+      });
+
+      socket.reply(socket.sent[0], '183 Session Progress', [
+        'Contact: <sip:bob@192.0.2.20;transport=ws>',
+        'Require: 100rel',
+        'RSeq: 1',
+        'Content-Type: application/sdp'
+      ], FakeWebRTC.sdp('bob'));
+
+      // The 200 has no SDP, the answer was the one in the 183.
+      socket.reply(socket.sent[0], '200 OK', [
+        'Contact: <sip:bob@192.0.2.20;transport=ws>'
+      ]);
+
+      messages = sent(socket).map(function(message) { return message.method; });
+      test.deepEqual(messages, ['INVITE', 'PRACK', 'ACK']);
+      test.ok(session.isEstablished());
+      test.ok(!failed);
+      test.deepEqual(session.connection.remoteDescriptions.pop(), {
+        type: 'answer',
+        sdp: FakeWebRTC.sdp('bob')
+      });
+
+      session.terminate();
+
+      FakeWebRTC.restore();
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'UAC 2xx without SDP': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var cause = null;
+
+      ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: {
+          failed: function(e) { cause = e.cause; }
+        }
+      });
+
+      // Unreliable 183, its SDP is not an answer.
+      socket.reply(socket.sent[0], '183 Session Progress', [
+        'Contact: <sip:bob@192.0.2.20;transport=ws>',
+        'Content-Type: application/sdp'
+      ], FakeWebRTC.sdp('bob'));
+
+      socket.reply(socket.sent[0], '200 OK', [
+        'Contact: <sip:bob@192.0.2.20;transport=ws>'
+      ]);
+
+      test.deepEqual(sent(socket).map(function(message) { return message.method; }), ['INVITE', 'ACK', 'BYE']);
+      test.strictEqual(cause, JsSIP.C.causes.BAD_MEDIA_DESCRIPTION);
+
+      FakeWebRTC.restore();
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
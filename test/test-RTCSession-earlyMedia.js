@@ -0,0 +1,144 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var FakeWebRTC = require('./include/FakeWebRTC');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+
+
+var NO_MEDIA = { audio: false, video: false };
+
+function parse(raw) {
+  return Parser.parseMessage(raw, null);
+}
+
+
+module.exports = {
+
+  'UAS early media': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      session = null,
+      early = [],
+      offer = FakeWebRTC.sdp('bob');
+
+    FakeWebRTC.install();
+
+    ua.on('newRTCSession', function(e) {
+      session = e.session;
+      session.on('earlyMedia', function(e) { early.push(e.originator); });
+    });
+
+    ua.on('connected', function() {
+      var response, rseq, to_tag, count;
+
+      socket.ondata('INVITE sip:alice@jssip.net SIP/2.0\r\n' +
+        'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bKearly\r\n' +
+        'Max-Forwards: 70\r\n' +
+        'To: <sip:alice@jssip.net>\r\n' +
+        'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+        'Call-ID: early\r\n' +
+        'CSeq: 1 INVITE\r\n' +
+        'Contact: <sip:bob@192.0.2.20;transport=ws>\r\n' +
+        'Supported: 100rel\r\n' +
+        'Content-Type: application/sdp\r\n' +
+        'Content-Length: ' + offer.length + '\r\n\r\n' +
+        offer);
+
+      // 100 Trying and an unreliable 180 without SDP.
+      test.strictEqual(parse(socket.sent[1]).status_code, 180);
+      test.ok(!parse(socket.sent[1]).hasHeader('RSeq'));
+
+      // The SDP answer goes in a reliable 183.
+      session.progress({ mediaConstraints: NO_MEDIA });
+      response = parse(socket.sent[2]);
+      test.strictEqual(response.status_code, 183);
+      test.strictEqual(response.getHeader('Content-Type'), 'application/sdp');
+      test.strictEqual(response.body, FakeWebRTC.sdp('local'));
+      test.strictEqual(response.getHeader('Require'), '100rel');
+      test.strictEqual(session.earlyMedia, FakeWebRTC.sdp('local'));
+      test.deepEqual(early, ['local']);
+
+      rseq = response.getHeader('RSeq');
+      to_tag = response.to_tag;
+
+      // The 2xx waits for the PRACK of the 183.
+      session.answer({ mediaConstraints: NO_MEDIA });
+      count = socket.sent.length;
+      test.strictEqual(count, 3);
+
+      socket.ondata('PRACK sip:alice@jssip.net SIP/2.0\r\n' +
+        'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bKprack\r\n' +
+        'Max-Forwards: 70\r\n' +
+        'To: <sip:alice@jssip.net>;tag=' + to_tag + '\r\n' +
+        'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+        'Call-ID: early\r\n' +
+        'CSeq: 2 PRACK\r\n' +
+        'RAck: ' + rseq + ' 1 INVITE\r\n' +
+        'Content-Length: 0\r\n\r\n');
+
+      test.strictEqual(parse(socket.sent[count]).method, 'PRACK');
+      test.strictEqual(parse(socket.sent[count]).status_code, 200);
+
+      response = parse(socket.sent[count + 1]);
+      test.strictEqual(response.method, 'INVITE');
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.body, FakeWebRTC.sdp('local'));
+      test.deepEqual(early, ['local']);
+
+      FakeWebRTC.restore();
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'UAC early media': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var session,
+        early = [];
+
+      session = ua.call('sip:bob@jssip.net', {
+        mediaConstraints: NO_MEDIA,
+        eventHandlers: {
+          earlyMedia: function(e) { early.push(e); }
+        }
+      });
+
+      function reply(status, body) {
+        socket.reply(socket.sent[0], status, [
+          'Contact: <sip:bob@192.0.2.20;transport=ws>',
+          'Content-Type: application/sdp'
+        ], body);
+      }
+
+      reply('183 Session Progress', FakeWebRTC.sdp('bob'));
+      test.strictEqual(early.length, 1);
+      test.strictEqual(early[0].originator, 'remote');
+      test.strictEqual(early[0].response.status_code, 183);
+      test.strictEqual(session.earlyMedia, FakeWebRTC.sdp('bob'));
+      test.strictEqual(session.connection.remoteDescriptions[0].type, 'pranswer');
+
+      // Fired just once.
+      reply('183 Session Progress', FakeWebRTC.sdp('bob'));
+      test.strictEqual(early.length, 1);
+
+      reply('200 OK', FakeWebRTC.sdp('bob'));
+      test.ok(session.isEstablished());
+      test.strictEqual(session.connection.remoteDescriptions.pop().type, 'answer');
+      test.strictEqual(early.length, 1);
+
+      FakeWebRTC.restore();
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
@@ -0,0 +1,177 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var FakeWebRTC = require('./include/FakeWebRTC');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+
+
+var sdp = FakeWebRTC.sdp;
+
+// Response to the given INVITE from the fork with the given To tag.
+function reply(socket, request, status, tag, body) {
+  socket.ondata('SIP/2.0 ' + status + '\r\n' +
+    'Via: ' + request.getHeader('via') + '\r\n' +
+    'To: ' + request.getHeader('to') + ';tag=' + tag + '\r\n' +
+    'From: ' + request.getHeader('from') + '\r\n' +
+    'Call-ID: ' + request.call_id + '\r\n' +
+    'CSeq: ' + request.cseq + ' INVITE\r\n' +
+    'Contact: <sip:bob@192.0.2.20;transport=ws>\r\n' +
+    (body ? 'Content-Type: application/sdp\r\n' : '') +
+    'Content-Length: ' + (body ? body.length : 0) + '\r\n\r\n' +
+    (body || ''));
+}
+
+
+module.exports = {
+
+  'Forked INVITE': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var session, request, sent,
+        forks = [],
+        ended = [],
+        early = [];
+
+      session = ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: {
+          fork: function(e) { forks.push(e.fork.id); },
+          forkEnded: function(e) { ended.push(e); },
+          earlyMedia: function(e) { early.push(e.response.to_tag); }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+      test.strictEqual(request.method, 'INVITE');
+
+      function requests() {
+        return socket.sent.slice(sent).map(function(raw) {
+          var message = Parser.parseMessage(raw, ua);
+          return message.method + ' ' + message.to_tag;
+        });
+      }
+
+      reply(socket, request, '180 Ringing', 'a');
+      reply(socket, request, '183 Session Progress', 'b', sdp('b'));
+      test.deepEqual(forks, ['a', 'b']);
+      test.strictEqual(session.earlyMediaFork, 'b');
+      test.strictEqual(session.earlyMedia, sdp('b'));
+
+      // Just the early media of the selected fork is rendered.
+      reply(socket, request, '183 Session Progress', 'a', sdp('a'));
+      test.strictEqual(session.forks.a.sdp, sdp('a'));
+      test.strictEqual(session.earlyMedia, sdp('b'));
+      test.strictEqual(session.connection.remoteDescriptions.length, 1);
+
+      session.selectFork('a');
+      test.strictEqual(session.earlyMediaFork, 'a');
+      test.strictEqual(session.earlyMedia, sdp('a'));
+      test.deepEqual(early, ['b', 'a']);
+
+      test.throws(function() { session.selectFork('lalala'); }, TypeError);
+
+      // The first 2xx wins.
+      reply(socket, request, '200 OK', 'b', sdp('b'));
+      test.ok(session.isEstablished());
+      test.strictEqual(session.forks.b.status, 'confirmed');
+      test.strictEqual(session.forks.a.status, 'terminated');
+      test.strictEqual(ended.length, 1);
+      test.strictEqual(ended[0].fork.id, 'a');
+      test.strictEqual(ended[0].cause, JsSIP.C.causes.ANSWERED_ELSEWHERE);
+      test.throws(function() { session.selectFork('a'); }, JsSIP.Exceptions.InvalidStateError);
+
+      // Later 2xx from other forks are acknowledged and terminated.
+      sent = socket.sent.length;
+      reply(socket, request, '200 OK', 'a', sdp('a'));
+      test.deepEqual(requests(), ['ACK a', 'BYE a']);
+      test.ok(/^Reason: SIP ;cause=200 ;text="Call completed elsewhere"$/m.test(socket.sent[sent + 1]));
+      test.strictEqual(ended.length, 1);
+
+      // Also the ones of forks not seen before.
+      sent = socket.sent.length;
+      reply(socket, request, '200 OK', 'c', sdp('c'));
+      test.deepEqual(requests(), ['ACK c', 'BYE c']);
+      test.deepEqual(forks, ['a', 'b', 'c']);
+      test.strictEqual(session.forks.c.status, 'terminated');
+      test.strictEqual(ended.length, 2);
+      test.strictEqual(ended[1].fork.id, 'c');
+      test.strictEqual(ended[1].cause, JsSIP.C.causes.ANSWERED_ELSEWHERE);
+
+      // Retransmission from the winner.
+      sent = socket.sent.length;
+      reply(socket, request, '200 OK', 'b', sdp('b'));
+      test.deepEqual(requests(), ['ACK b']);
+      test.ok(session.isEstablished());
+
+      ua.stop();
+      FakeWebRTC.restore();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Forked INVITE early media failure': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var session, request,
+        early = [];
+
+      session = ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: {
+          earlyMedia: function(e) { early.push(e.response.to_tag); }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+
+      // The early media of the first fork cannot be rendered.
+      session.connection.failRemoteDescription = true;
+      reply(socket, request, '183 Session Progress', 'a', sdp('a'));
+      test.strictEqual(session.earlyMediaFork, null);
+      test.strictEqual(session.earlyMedia, null);
+
+      // So the next one is.
+      session.connection.failRemoteDescription = false;
+      reply(socket, request, '183 Session Progress', 'b', sdp('b'));
+      test.strictEqual(session.earlyMediaFork, 'b');
+      test.strictEqual(session.earlyMedia, sdp('b'));
+      test.deepEqual(early, ['b']);
+
+      // Switching to a fork whose early media fails keeps the current one.
+      session.connection.failRemoteDescription = true;
+      session.selectFork('a');
+      test.strictEqual(session.earlyMediaFork, 'b');
+      test.strictEqual(session.earlyMedia, sdp('b'));
+      test.deepEqual(early, ['b']);
+
+      // It can be selected again once it works.
+      session.connection.failRemoteDescription = false;
+      session.selectFork('a');
+      test.strictEqual(session.earlyMediaFork, 'a');
+      test.strictEqual(session.earlyMedia, sdp('a'));
+      test.deepEqual(early, ['b', 'a']);
+      test.deepEqual(session.connection.remoteDescriptions.map(function(desc) {
+        return desc.sdp;
+      }), [sdp('b'), sdp('a')]);
+
+      session.terminate();
+
+      ua.stop();
+      FakeWebRTC.restore();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
@@ -0,0 +1,155 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var FakeWebRTC = require('./include/FakeWebRTC');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+
+
+var NO_MEDIA = { audio: false, video: false };
+
+function parse(raw) {
+  return Parser.parseMessage(raw, null);
+}
+
+// In dialog request from bob.
+function request(method, cseq, to_tag, extraHeaders, body) {
+  return method + ' sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bKinfo' + cseq + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>' + (to_tag ? ';tag=' + to_tag : '') + '\r\n' +
+    'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+    'Call-ID: info\r\n' +
+    'CSeq: ' + cseq + ' ' + method + '\r\n' +
+    'Contact: <sip:bob@192.0.2.20;transport=ws>\r\n' +
+    extraHeaders.map(function(header) { return header + '\r\n'; }).join('') +
+    'Content-Length: ' + (body ? body.length : 0) + '\r\n\r\n' +
+    (body || '');
+}
+
+
+module.exports = {
+
+  'INFO and Info Packages': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      session = null,
+      infos = [];
+
+    FakeWebRTC.install();
+
+    ua.on('newRTCSession', function(e) {
+      session = e.session;
+    });
+
+    ua.on('connected', function() {
+      var response, to_tag, info;
+
+      function last() {
+        return parse(socket.sent[socket.sent.length - 1]);
+      }
+
+      socket.ondata(request('INVITE', 1, null, [
+        'Recv-Info: foo',
+        'Content-Type: application/sdp'
+      ], FakeWebRTC.sdp('bob')));
+
+      session.answer({ mediaConstraints: NO_MEDIA, infoPackages: ['bar'] });
+
+      // The 200 has our Info Packages.
+      response = last();
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Recv-Info'), 'bar');
+      to_tag = response.to_tag;
+
+      socket.ondata(request('ACK', 1, to_tag, []));
+      test.ok(session.isEstablished());
+
+      // Legacy INFO, rejected if nobody listens to it.
+      socket.ondata(request('INFO', 2, to_tag, ['Content-Type: text/plain'], 'hi'));
+      test.strictEqual(last().status_code, 415);
+
+      session.on('newInfo', function(e) { infos.push(e); });
+
+      // INFO within an Info Package we asked for.
+      socket.ondata(request('INFO', 3, to_tag, ['Info-Package: Bar', 'Content-Type: text/plain'], 'hello'));
+      test.strictEqual(last().status_code, 200);
+      test.strictEqual(infos.length, 1);
+      test.strictEqual(infos[0].originator, 'remote');
+      test.strictEqual(infos[0].info.info_package, 'Bar');
+      test.strictEqual(infos[0].info.content_type, 'text/plain');
+      test.strictEqual(infos[0].info.body, 'hello');
+
+      // Not asked for.
+      socket.ondata(request('INFO', 4, to_tag, ['Info-Package: baz', 'Content-Type: text/plain'], 'hello'));
+      response = last();
+      test.strictEqual(response.status_code, 469);
+      test.strictEqual(response.getHeader('Recv-Info'), 'bar');
+      test.strictEqual(infos.length, 1);
+
+      // Legacy INFO, now that the application listens to it.
+      socket.ondata(request('INFO', 5, to_tag, ['Content-Type: text/plain'], 'hi'));
+      test.strictEqual(last().status_code, 200);
+      test.strictEqual(infos.length, 2);
+      test.strictEqual(infos[1].info.info_package, null);
+
+      // Outgoing INFO within an Info Package of the peer.
+      info = session.sendInfo('application/x-foo', 'data', { infoPackage: 'foo' });
+      response = last();
+      test.strictEqual(response.method, 'INFO');
+      test.strictEqual(response.getHeader('Info-Package'), 'foo');
+      test.strictEqual(response.getHeader('Content-Type'), 'application/x-foo');
+      test.strictEqual(response.body, 'data');
+      test.strictEqual(infos.length, 3);
+      test.strictEqual(infos[2].originator, 'local');
+      test.strictEqual(infos[2].info, info);
+
+      test.throws(
+        function() {
+          session.sendInfo('application/x-baz', 'data', { infoPackage: 'baz' });
+        },
+        JsSIP.Exceptions.NotSupportedError
+      );
+      test.throws(
+        function() {
+          session.sendInfo('');
+        },
+        TypeError
+      );
+
+      // The peer changes its Info Packages in a re-INVITE (RFC 6086 5.2.2).
+      socket.ondata(request('INVITE', 6, to_tag, [
+        'Recv-Info: baz',
+        'Content-Type: application/sdp'
+      ], FakeWebRTC.sdp('bob')));
+      response = last();
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Recv-Info'), 'bar');
+      socket.ondata(request('ACK', 6, to_tag, []));
+
+      session.sendInfo('application/x-baz', 'data', { infoPackage: 'baz' });
+      test.strictEqual(last().getHeader('Info-Package'), 'baz');
+      test.throws(
+        function() {
+          session.sendInfo('application/x-foo', 'data', { infoPackage: 'foo' });
+        },
+        JsSIP.Exceptions.NotSupportedError
+      );
+
+      // And in an UPDATE.
+      socket.ondata(request('UPDATE', 7, to_tag, ['Recv-Info: foo']));
+      response = last();
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('Recv-Info'), 'bar');
+      test.deepEqual(session.infoPackages.remote, ['foo']);
+
+      session.terminate();
+
+      FakeWebRTC.restore();
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
@@ -0,0 +1,790 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var crypto = require('crypto');
+var JsSIP = require('../');
+var Transport = require('../lib/Transport');
+
+
+// Reply to the REGISTER request with the given bindings.
+function reply(socket, request, contacts, extraHeaders, status) {
+  socket.reply(request, status, contacts.map(function(contact) {
+    return 'Contact: ' + contact;
+  }).concat(extraHeaders || []));
+}
+
+function md5(string) {
+  return crypto.createHash('md5').update(string).digest('hex');
+}
+
+function sha256(string) {
+  return crypto.createHash('sha256').update(string).digest('hex');
+}
+
+function header(request, name) {
+  var value = request.match(new RegExp('^' + name + ': (.*)$', 'mi'));
+
+  return value && value[1];
+}
+
+
+module.exports = {
+
+  'Registrator bindings': function(test) {
+    var own, registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        register: false
+      }),
+      ghost = '<sip:ghost@192.0.2.1;transport=ws>;expires=42;q=0.5' +
+        ';+sip.instance="<urn:uuid:00000000-0000-1000-8000-000000000000>";reg-id=2';
+
+    registrator = ua.registrator();
+
+    function step(request, callback) {
+      socket.onrequest = function(data) {
+        test.strictEqual(data.split('\r\n')[0], 'REGISTER sip:jssip.net SIP/2.0');
+        callback(data);
+      };
+      request();
+    }
+
+    ua.on('connected', function() {
+      own = registrator.contact + ';expires=600';
+
+      // Register: our binding and a stale one from another device.
+      step(ua.register.bind(ua), function(request) {
+        reply(socket, request, [own, ghost]);
+      });
+    });
+
+    ua.once('registered', function() {
+      var bindings = registrator.getBindings();
+
+      test.strictEqual(bindings.length, 2);
+      test.strictEqual(bindings[0].own, true);
+      test.strictEqual(bindings[0].expires, 600);
+      test.strictEqual(bindings[0].instance_id, 'urn:uuid:' + ua.configuration.instance_id);
+      test.strictEqual(bindings[0].reg_id, 1);
+      test.strictEqual(bindings[1].own, false);
+      test.strictEqual(bindings[1].uri.toString(), 'sip:ghost@192.0.2.1;transport=ws');
+      test.strictEqual(bindings[1].expires, 42);
+      test.strictEqual(bindings[1].q, 0.5);
+      test.strictEqual(bindings[1].instance_id, 'urn:uuid:00000000-0000-1000-8000-000000000000');
+      test.strictEqual(bindings[1].reg_id, 2);
+
+      // Query: no Contact.
+      step(registrator.queryBindings.bind(registrator, {
+        eventHandlers: {
+          succeeded: removeGhost
+        }
+      }), function(request) {
+        test.strictEqual(header(request, 'Contact'), null);
+        reply(socket, request, [own, ghost]);
+      });
+    });
+
+    function removeGhost(e) {
+      test.strictEqual(e.bindings.length, 2);
+
+      step(registrator.removeBinding.bind(registrator, e.bindings[1], {
+        eventHandlers: {
+          succeeded: removeAll
+        }
+      }), function(request) {
+        test.strictEqual(header(request, 'Contact'), '<sip:ghost@192.0.2.1;transport=ws>;expires=0');
+        test.strictEqual(header(request, 'Expires'), '0');
+        reply(socket, request, [own]);
+      });
+    }
+
+    function removeAll(e) {
+      test.strictEqual(e.bindings.length, 1);
+      test.strictEqual(ua.isRegistered(), true);
+
+      ua.once('unregistered', function() {
+        test.strictEqual(ua.isRegistered(), false);
+        test.deepEqual(registrator.getBindings(), []);
+        ua.stop();
+        test.done();
+      });
+
+      step(registrator.removeAllBindings.bind(registrator), function(request) {
+        test.strictEqual(header(request, 'Contact'), '*');
+        reply(socket, request, []);
+      });
+    }
+
+    test.throws(
+      function() {
+        registrator.removeBinding('lalala@');
+      },
+      TypeError
+    );
+
+    ua.start();
+  },
+
+  'Registrator bindings query during a pending REGISTER': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        register: false
+      }),
+      queried = false;
+
+    registrator = ua.registrator();
+
+    ua.on('connected', function() {
+      var register, query;
+
+      ua.register();
+      register = socket.sent[socket.sent.length - 1];
+
+      registrator.queryBindings({
+        eventHandlers: {
+          succeeded: function() { queried = true; }
+        }
+      });
+      query = socket.sent[socket.sent.length - 1];
+      test.notStrictEqual(header(query, 'CSeq'), header(register, 'CSeq'));
+
+      // The query is answered before the REGISTER.
+      reply(socket, query, [registrator.contact + ';expires=600']);
+      test.ok(queried);
+
+      reply(socket, register, [registrator.contact + ';expires=600']);
+    });
+
+    ua.once('registered', function() {
+      // The refresh is scheduled.
+      test.notStrictEqual(registrator.registrationTimer, null);
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Registrator Service-Route and P-Associated-URI': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        register: false
+      });
+
+    registrator = ua.registrator();
+
+    ua.on('connected', function() {
+      socket.onrequest = function(request) {
+        // REGISTER is never preloaded with the Service-Route.
+        test.strictEqual(header(request, 'Route'), null);
+
+        reply(socket, request, [registrator.contact + ';expires=600'], [
+          'Service-Route: <sip:orig@scscf.jssip.net;lr>, <sip:pcscf.jssip.net;lr>',
+          'Service-Route: <sip:proxy.jssip.net;lr>',
+          'Path: <sip:edge.jssip.net;lr>',
+          'P-Associated-URI: <sip:alice@jssip.net>, <tel:+34900000000>'
+        ]);
+      };
+
+      ua.register();
+    });
+
+    ua.once('registered', function() {
+      test.deepEqual(registrator.getServiceRoute(),
+        ['<sip:orig@scscf.jssip.net;lr>', '<sip:pcscf.jssip.net;lr>', '<sip:proxy.jssip.net;lr>']);
+      test.deepEqual(registrator.getPath(), ['<sip:edge.jssip.net;lr>']);
+      test.deepEqual(registrator.getAssociatedURIs(), ['sip:alice@jssip.net', 'tel:+34900000000']);
+
+      // Out of dialog requests are preloaded with the Service-Route.
+      socket.onrequest = function(request) {
+        test.strictEqual(request.split('\r\n')[0], 'MESSAGE sip:bob@jssip.net SIP/2.0');
+        test.deepEqual(request.match(/^Route: .*$/mg), [
+          'Route: <sip:orig@scscf.jssip.net;lr>',
+          'Route: <sip:pcscf.jssip.net;lr>',
+          'Route: <sip:proxy.jssip.net;lr>'
+        ]);
+
+        socket.onrequest = function(request) {
+          reply(socket, request, []);
+        };
+
+        ua.unregister();
+
+        test.deepEqual(registrator.getServiceRoute(), []);
+        test.deepEqual(registrator.getAssociatedURIs(), []);
+        ua.stop();
+        test.done();
+      };
+
+      ua.sendMessage('bob', 'hi', {
+        eventHandlers: { failed: function() {} }
+      });
+    });
+
+    ua.start();
+  },
+
+  'Registrator refresh and retry': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        register_refresh_fraction: 0.5,
+        register_retry_min_interval: 0.01,
+        register_retry_max_interval: 0.02
+      }),
+      requests = 0,
+      retries = [],
+      failures = 0;
+
+    registrator = ua.registrator();
+
+    ua.on('registrationFailed', function() {
+      failures++;
+    });
+
+    ua.on('registrationRetry', function(e) {
+      retries.push(e);
+    });
+
+    ua.on('registrationExpiring', function(e) {
+      test.strictEqual(e.expires, 1);
+    });
+
+    socket.onrequest = function(request) {
+      requests++;
+
+      switch(requests) {
+        // Retried right away as told by Retry-After.
+        case 1:
+          reply(socket, request, [], ['Retry-After: 0'], '503 Service Unavailable');
+          break;
+
+        // Retried after a backoff.
+        case 2:
+          test.strictEqual(retries.length, 1);
+          test.strictEqual(retries[0].attempts, 1);
+          test.strictEqual(retries[0].delay, 0);
+          test.strictEqual(retries[0].response.status_code, 503);
+
+          reply(socket, request, [], [], '408 Request Timeout');
+          break;
+
+        case 3:
+          test.strictEqual(retries.length, 2);
+          test.strictEqual(retries[1].attempts, 2);
+          test.ok(retries[1].delay >= 0.01 && retries[1].delay <= 0.02);
+
+          reply(socket, request, [registrator.contact + ';expires=1']);
+          break;
+
+        // Refreshed at the half of the expires.
+        case 4:
+          test.strictEqual(failures, 2);
+          test.strictEqual(registrator.retryAttempts, 0);
+
+          // Not retried.
+          ua.once('registrationFailed', function() {
+            setTimeout(function() {
+              test.strictEqual(retries.length, 2);
+              test.strictEqual(registrator.retryTimer, null);
+              ua.stop();
+              test.done();
+            }, 50);
+          });
+
+          reply(socket, request, [], [], '403 Forbidden');
+          break;
+      }
+    };
+
+    ua.start();
+  },
+
+  'Registrator Flow-Timer and outbound keep-alives': function(test) {
+    var account,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        register: false
+      }),
+      transport;
+
+    function step(fn) {
+      setTimeout(fn, 10);
+    }
+
+    ua.on('connected', function() {
+      transport = ua.transport;
+
+      // Off by default.
+      test.strictEqual(transport.keep_alive_timer, null);
+
+      socket.onrequest = function(request) {
+        reply(socket, request, [ua.registrator().contact + ';expires=600']);
+      };
+
+      ua.register();
+
+      step(function() {
+        test.ok(ua.isRegistered());
+        test.strictEqual(transport.flow_timer, null);
+        test.strictEqual(transport.keep_alive_timer, null);
+
+        // The registrar supports outbound.
+        socket.onrequest = function(request) {
+          reply(socket, request, [ua.registrator().contact + ';expires=600'], ['Require: outbound']);
+        };
+
+        ua.register();
+
+        step(function() {
+          test.strictEqual(transport.flow_timer, Transport.C.keep_alive_interval);
+          test.notStrictEqual(transport.keep_alive_timer, null);
+
+          // The smallest Flow-Timer among the registrations.
+          socket.onrequest = function(request) {
+            if (/^From: .*bob/m.test(request)) {
+              reply(socket, request, [account.registrator().contact + ';expires=600'], ['Flow-Timer: 20']);
+            } else {
+              reply(socket, request, [ua.registrator().contact + ';expires=600'], ['Flow-Timer: 30']);
+            }
+          };
+
+          account = ua.addAccount({ uri: 'sip:bob@jssip.net' });
+          ua.register();
+
+          step(function() {
+            test.strictEqual(account.registrator().flow_timer, 20);
+            test.strictEqual(ua.registrator().flow_timer, 30);
+            test.strictEqual(transport.flow_timer, 20);
+
+            socket.onrequest = function(request) {
+              reply(socket, request, []);
+            };
+
+            ua.removeAccount(account);
+
+            step(function() {
+              test.strictEqual(transport.flow_timer, 30);
+
+              ua.unregister();
+
+              step(function() {
+                test.strictEqual(transport.flow_timer, null);
+                test.strictEqual(transport.keep_alive_timer, null);
+
+                ua.stop();
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    ua.start();
+  },
+
+  'Registrator credentials provider': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        credentials: function(realm, method, ruri, challenge) {
+          test.strictEqual(this, ua);
+          test.strictEqual(realm, 'jssip.net');
+          test.strictEqual(method, 'REGISTER');
+          test.strictEqual(ruri.toString(), 'sip:jssip.net');
+          test.strictEqual(challenge.nonce, 'abcd');
+
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve({ username: 'alice-auth', password: 'secret' });
+            }, 10);
+          });
+        }
+      }),
+      requests = 0;
+
+    registrator = ua.registrator();
+
+    socket.onrequest = function(request) {
+      var authorization, ha1, ha2;
+
+      requests++;
+
+      if (requests === 1) {
+        test.strictEqual(header(request, 'Authorization'), null);
+        reply(socket, request, [], ['WWW-Authenticate: Digest realm="jssip.net", nonce="abcd"'], '401 Unauthorized');
+        return;
+      }
+
+      authorization = header(request, 'Authorization');
+      ha1 = md5('alice-auth:jssip.net:secret');
+      ha2 = md5('REGISTER:sip:jssip.net');
+
+      test.ok(/username="alice-auth"/.test(authorization));
+      test.ok(/realm="jssip.net"/.test(authorization));
+      test.ok(authorization.indexOf('response="' + md5(ha1 + ':abcd:' + ha2) + '"') !== -1);
+
+      reply(socket, request, [registrator.contact + ';expires=600']);
+    };
+
+    ua.on('registered', function() {
+      // Credentials given by the provider are not stored.
+      test.strictEqual(ua.get('ha1'), null);
+
+      socket.onrequest = function() {};
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Registrator strongest Digest challenge': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        password: 'secret'
+      }),
+      requests = 0;
+
+    registrator = ua.registrator();
+
+    socket.onrequest = function(request) {
+      var authorization, ha1, ha2;
+
+      requests++;
+
+      if (requests === 1) {
+        reply(socket, request, [], [
+          'WWW-Authenticate: Basic realm="jssip.net"',
+          'WWW-Authenticate: Digest realm="jssip.net", nonce="md5", algorithm=MD5',
+          'WWW-Authenticate: Digest realm="jssip.net", nonce="sha1", algorithm=SHA-1',
+          'WWW-Authenticate: Digest realm="jssip.net", nonce="sha256", algorithm=SHA-256, qop="auth"',
+          'WWW-Authenticate: Digest realm="jssip.net", nonce="sha256-2", algorithm=SHA-256'
+        ], '401 Unauthorized');
+        return;
+      }
+
+      authorization = header(request, 'Authorization');
+      ha1 = sha256('alice:jssip.net:secret');
+      ha2 = sha256('REGISTER:sip:jssip.net');
+
+      test.ok(/algorithm=SHA-256,/.test(authorization));
+      test.ok(/nonce="sha256"/.test(authorization));
+      test.ok(authorization.indexOf('response="' + sha256(ha1 + ':sha256:00000001:' +
+        authorization.match(/cnonce="([^"]*)"/)[1] + ':auth:' + ha2) + '"') !== -1);
+
+      reply(socket, request, [registrator.contact + ';expires=600']);
+    };
+
+    ua.on('registered', function() {
+      // The plain SIP password is kept since no MD5 ha1 was computed.
+      test.strictEqual(ua.get('ha1'), null);
+      test.strictEqual(ua.configuration.password, 'secret');
+
+      socket.onrequest = function() {};
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Preemptive Authorization with cached challenges': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        password: 'secret'
+      }),
+      requests = 0;
+
+    registrator = ua.registrator();
+
+    function check(request, nonce, nc) {
+      var authorization = header(request, 'Authorization'),
+        cnonce = authorization.match(/cnonce="([^"]*)"/)[1],
+        method = request.split(' ')[0],
+        ruri = request.split(' ')[1];
+
+      test.ok(authorization.indexOf('nonce="' + nonce + '"') !== -1);
+      test.ok(authorization.indexOf('nc=' + nc) !== -1);
+      test.ok(authorization.indexOf('response="' + md5(md5('alice:jssip.net:secret') + ':' + nonce + ':' +
+        nc + ':' + cnonce + ':auth:' + md5(method + ':' + ruri)) + '"') !== -1);
+    }
+
+    function message() {
+      ua.sendMessage('bob', 'hi', {
+        eventHandlers: {
+          succeeded: message,
+          failed: function(e) {
+            test.strictEqual(e.cause, JsSIP.C.causes.AUTHENTICATION_ERROR);
+            test.deepEqual(ua.cache.credentials[socket.url].authorization, {});
+
+            socket.onrequest = function() {};
+            ua.stop();
+            test.done();
+          }
+        }
+      });
+    }
+
+    socket.onrequest = function(request) {
+      requests++;
+
+      switch(requests) {
+        case 1:
+          test.strictEqual(header(request, 'Authorization'), null);
+          reply(socket, request, [], [
+            'WWW-Authenticate: Digest realm="jssip.net", nonce="n1", qop="auth"'
+          ], '401 Unauthorized');
+          break;
+
+        case 2:
+          check(request, 'n1', '00000001');
+          reply(socket, request, [registrator.contact + ';expires=600']);
+          break;
+
+        // Authorized without being challenged.
+        case 3:
+          check(request, 'n1', '00000002');
+          reply(socket, request, []);
+          break;
+
+        // Stale nonce, refreshed silently.
+        case 4:
+          check(request, 'n1', '00000003');
+          reply(socket, request, [], [
+            'WWW-Authenticate: Digest realm="jssip.net", nonce="n2", qop="auth", stale=true'
+          ], '401 Unauthorized');
+          break;
+
+        case 5:
+          check(request, 'n2', '00000001');
+          reply(socket, request, []);
+          break;
+
+        case 6:
+          check(request, 'n2', '00000002');
+          reply(socket, request, []);
+          break;
+
+        // Rejected credentials are not cached.
+        case 7:
+          check(request, 'n2', '00000003');
+          reply(socket, request, [], [
+            'WWW-Authenticate: Digest realm="jssip.net", nonce="n3", qop="auth"'
+          ], '401 Unauthorized');
+          break;
+
+        case 8:
+          check(request, 'n3', '00000001');
+          reply(socket, request, [], [
+            'WWW-Authenticate: Digest realm="jssip.net", nonce="n4", qop="auth"'
+          ], '401 Unauthorized');
+          break;
+      }
+    };
+
+    ua.on('registered', message);
+
+    ua.start();
+  },
+
+  'Cached challenges per transport': function(test) {
+    var socket = new FakeSocket('a'),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        password: 'secret',
+        register: false
+      }),
+      url = socket.url;
+
+    socket.onrequest = function(request) {
+      if (!header(request, 'Authorization')) {
+        reply(socket, request, [], [
+          'WWW-Authenticate: Digest realm="jssip.net", nonce="n1", qop="auth"'
+        ], '401 Unauthorized');
+      } else {
+        reply(socket, request, [ua.registrator().contact + ';expires=600']);
+      }
+    };
+
+    ua.on('registered', function() {
+      test.ok(ua.cache.credentials[url].authorization['jssip.net']);
+
+      // Now the transport URL points to another proxy.
+      socket.url = 'ws://b:12345';
+
+      // Not sent to another proxy.
+      socket.onrequest = function(request) {
+        test.strictEqual(header(request, 'Authorization'), null);
+
+        socket.reply(request);
+      };
+
+      ua.sendMessage('bob', 'hi', {
+        eventHandlers: {
+          succeeded: function() {
+            ua.stop();
+            test.done();
+          }
+        }
+      });
+    });
+
+    ua.on('connected', function() {
+      ua.register();
+    });
+
+    ua.start();
+  },
+
+  'Registrator Bearer authorization': function(test) {
+    var registrator,
+      tokens = 0,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        password: 'secret',
+        access_token: function(challenge, expired) {
+          tokens++;
+
+          test.strictEqual(this, ua);
+          test.strictEqual(challenge.scheme, 'Bearer');
+          test.strictEqual(challenge.params.authz_server, 'https://as.jssip.net');
+          test.strictEqual(expired, tokens === 2);
+
+          return Promise.resolve('token' + tokens);
+        }
+      }),
+      digest = 'WWW-Authenticate: Digest realm="jssip.net", nonce="abcd"',
+      bearer = 'WWW-Authenticate: Bearer realm="jssip.net", authz_server="https://as.jssip.net"',
+      requests = 0;
+
+    registrator = ua.registrator();
+
+    socket.onrequest = function(request) {
+      requests++;
+
+      switch(requests) {
+        // Bearer preferred over Digest.
+        case 1:
+          test.strictEqual(header(request, 'Authorization'), null);
+          reply(socket, request, [], [digest, bearer], '401 Unauthorized');
+          break;
+
+        // Expired token, refreshed.
+        case 2:
+          test.strictEqual(header(request, 'Authorization'), 'Bearer token1');
+          reply(socket, request, [], [bearer + ', error="invalid_token"', digest], '401 Unauthorized');
+          break;
+
+        case 3:
+          test.strictEqual(header(request, 'Authorization'), 'Bearer token2');
+          reply(socket, request, [registrator.contact + ';expires=600']);
+          break;
+
+        // The token is reused.
+        case 4:
+          test.strictEqual(header(request, 'Authorization'), null);
+          reply(socket, request, [], [bearer], '401 Unauthorized');
+          break;
+
+        case 5:
+          test.strictEqual(header(request, 'Authorization'), 'Bearer token2');
+          test.strictEqual(tokens, 2);
+          reply(socket, request, []);
+          break;
+      }
+    };
+
+    ua.on('registered', function(e) {
+      test.strictEqual(e.auth_scheme, 'Bearer');
+
+      ua.sendMessage('bob', 'hi', {
+        eventHandlers: {
+          succeeded: function() {
+            socket.onrequest = function() {};
+            ua.stop();
+            test.done();
+          }
+        }
+      });
+    });
+
+    ua.start();
+  },
+
+  'Registrator Bearer fallback to Digest': function(test) {
+    var registrator,
+      socket = new FakeSocket(),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        password: 'secret',
+        access_token: 'static'
+      }),
+      digest = 'WWW-Authenticate: Digest realm="jssip.net", nonce="abcd"',
+      bearer = 'WWW-Authenticate: Bearer realm="jssip.net"',
+      requests = 0;
+
+    registrator = ua.registrator();
+
+    socket.onrequest = function(request) {
+      requests++;
+
+      switch(requests) {
+        case 1:
+          reply(socket, request, [], [bearer, digest], '401 Unauthorized');
+          break;
+
+        // The token cannot be refreshed.
+        case 2:
+          test.strictEqual(header(request, 'Authorization'), 'Bearer static');
+          reply(socket, request, [], [bearer + ', error="invalid_token"', digest], '401 Unauthorized');
+          break;
+
+        case 3:
+          test.ok(header(request, 'Authorization').indexOf('response="' +
+            md5(md5('alice:jssip.net:secret') + ':abcd:' + md5('REGISTER:sip:jssip.net')) + '"') !== -1);
+          reply(socket, request, [registrator.contact + ';expires=600']);
+          break;
+      }
+    };
+
+    ua.on('registered', function(e) {
+      test.strictEqual(e.auth_scheme, 'Digest');
+
+      test.strictEqual(ua.set('access_token', 'new'), true);
+      test.strictEqual(ua.configuration.access_token, 'new');
+      test.strictEqual(ua.set('access_token', 1234), false);
+
+      socket.onrequest = function() {};
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
@@ -0,0 +1,222 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+var Subscriber = require('../lib/Subscriber');
+var Timers = require('../lib/Timers');
+
+
+var CONTACT = 'Contact: <sip:bob@192.0.2.20;transport=ws>';
+
+// NOTIFY for the given SUBSCRIBE (parsed) from the given remote tag.
+function notify(request, tag, cseq, state) {
+  return 'NOTIFY sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.20;branch=z9hG4bK' + tag + cseq + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: ' + request.getHeader('from') + '\r\n' +
+    'From: <sip:bob@jssip.net>;tag=' + tag + '\r\n' +
+    'Call-ID: ' + request.call_id + '\r\n' +
+    'CSeq: ' + cseq + ' NOTIFY\r\n' +
+    CONTACT + '\r\n' +
+    'Event: presence\r\n' +
+    'Subscription-State: ' + state + '\r\n' +
+    'Content-Length: 0\r\n\r\n';
+}
+
+function status(raw) {
+  return Parser.parseMessage(raw, null).status_code;
+}
+
+
+module.exports = {
+
+  'Dialog created by the 2xx': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      events = [];
+
+    ua.on('connected', function() {
+      var subscriber, request,
+        terminated = null;
+
+      subscriber = ua.subscribe('bob@jssip.net', 'presence', {
+        eventHandlers: {
+          accepted: function() { events.push('accepted'); },
+          active: function() { events.push('active'); },
+          notify: function(e) { events.push('notify ' + e.state); },
+          terminated: function(e) { terminated = e; }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+      test.strictEqual(request.method, 'SUBSCRIBE');
+      test.strictEqual(request.getHeader('Event'), 'presence');
+      test.strictEqual(request.getHeader('Expires'), String(Subscriber.C.expires));
+      test.strictEqual(subscriber.status, Subscriber.C.STATUS_NOTIFY_WAIT);
+
+      socket.reply(socket.sent[0], '200 OK', [CONTACT, 'Expires: 600']);
+      test.deepEqual(events, ['accepted']);
+      test.strictEqual(subscriber.dialog.id.remote_tag, '1234');
+
+      // In-dialog NOTIFY.
+      socket.ondata(notify(request, '1234', 1, 'active;expires=600'));
+      test.strictEqual(status(socket.sent[1]), 200);
+      test.deepEqual(events, ['accepted', 'notify active', 'active']);
+      test.strictEqual(subscriber.status, Subscriber.C.STATUS_ACTIVE);
+
+      // A NOTIFY matching no subscription.
+      socket.ondata(notify(request, '1234', 2, 'active').replace(/^To: (.*)$/m, 'To: <sip:alice@jssip.net>;tag=lalala'));
+      test.strictEqual(status(socket.sent[2]), 481);
+
+      socket.ondata(notify(request, '1234', 3, 'terminated;reason=rejected'));
+      test.strictEqual(status(socket.sent[3]), 200);
+      test.strictEqual(terminated.originator, 'remote');
+      test.strictEqual(terminated.cause, JsSIP.C.causes.REJECTED);
+      test.strictEqual(terminated.reason, 'rejected');
+      test.ok(subscriber.isTerminated());
+      test.deepEqual(Object.keys(ua.subscribers), []);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Dialog created by the first NOTIFY': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('connected', function() {
+      var subscriber, request, dialog,
+        events = [],
+        terminated = null;
+
+      subscriber = ua.subscribe('bob@jssip.net', 'presence', {
+        eventHandlers: {
+          accepted: function() { events.push('accepted'); },
+          pending: function() { events.push('pending'); },
+          terminated: function(e) { terminated = e; }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+
+      // Matched by UA.findSubscriber() on Call-ID and To tag.
+      test.strictEqual(ua.findSubscriber(Parser.parseMessage(notify(request, 'abcd', 1, 'pending'), ua)), subscriber);
+
+      socket.ondata(notify(request, 'abcd', 1, 'pending;expires=600'));
+      test.strictEqual(status(socket.sent[1]), 200);
+      test.deepEqual(events, ['pending']);
+      test.strictEqual(subscriber.status, Subscriber.C.STATUS_PENDING);
+      test.strictEqual(subscriber.dialog.id.remote_tag, 'abcd');
+
+      dialog = subscriber.dialog;
+
+      socket.ondata(socket.sent[0].replace(/^SUBSCRIBE .*$/m, 'SIP/2.0 202 Accepted')
+        .replace(/^(To: .*)$/m, '$1;tag=abcd')
+        .replace(/^Content-Length: 0/m, CONTACT + '\r\nExpires: 600\r\nContent-Length: 0'));
+      test.deepEqual(events, ['pending', 'accepted']);
+      test.strictEqual(subscriber.dialog, dialog);
+
+      // A NOTIFY from another fork.
+      socket.ondata(notify(request, 'efgh', 1, 'active'));
+      test.strictEqual(status(socket.sent[2]), 481);
+      test.strictEqual(subscriber.status, Subscriber.C.STATUS_PENDING);
+
+      socket.ondata(notify(request, 'abcd', 2, 'terminated;reason=timeout;retry-after=30'));
+      test.strictEqual(terminated.cause, JsSIP.C.causes.EXPIRES);
+      test.strictEqual(terminated.reason, 'timeout');
+      test.strictEqual(terminated.retry_after, 30);
+      test.strictEqual(ua.findSubscriber(Parser.parseMessage(notify(request, 'abcd', 3, 'active'), ua)), null);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Timer N': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      timer_n = Timers.TIMER_N;
+
+    Timers.TIMER_N = 20;
+
+    ua.on('connected', function() {
+      var subscriber = ua.subscribe('bob@jssip.net', 'presence', {
+        eventHandlers: {
+          terminated: function(e) {
+            test.strictEqual(e.originator, 'system');
+            test.strictEqual(e.cause, JsSIP.C.causes.REQUEST_TIMEOUT);
+            test.ok(subscriber.isTerminated());
+
+            Timers.TIMER_N = timer_n;
+            ua.stop();
+            test.done();
+          }
+        }
+      });
+
+      // Accepted, but no NOTIFY arrives.
+      socket.reply(socket.sent[0], '200 OK', [CONTACT, 'Expires: 600']);
+      test.ok(subscriber.is_accepted);
+    });
+
+    ua.start();
+  },
+
+  'Refresh and un-SUBSCRIBE': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false });
+
+    ua.on('connected', function() {
+      var subscriber, request;
+
+      subscriber = ua.subscribe('bob@jssip.net', 'presence', {
+        expires: 1,
+        eventHandlers: {
+          terminated: function(e) {
+            test.strictEqual(e.originator, 'remote');
+            test.strictEqual(e.cause, JsSIP.C.causes.BYE);
+
+            ua.stop();
+            test.done();
+          }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+
+      // The notifier may shorten but not lengthen the duration.
+      socket.reply(socket.sent[0], '200 OK', [CONTACT, 'Expires: 3600']);
+      socket.ondata(notify(request, '1234', 1, 'active;expires=3600'));
+      test.strictEqual(socket.sent.length, 2);
+
+      // Refreshed in the half of the duration.
+      setTimeout(function() {
+        var refresh = Parser.parseMessage(socket.sent[2], ua);
+
+        test.strictEqual(refresh.method, 'SUBSCRIBE');
+        test.strictEqual(refresh.call_id, request.call_id);
+        test.strictEqual(refresh.to_tag, '1234');
+        test.strictEqual(refresh.cseq, request.cseq + 1);
+        test.strictEqual(refresh.getHeader('Expires'), '1');
+
+        socket.reply(socket.sent[2], '200 OK', [CONTACT, 'Expires: 1']);
+
+        subscriber.unsubscribe();
+        refresh = Parser.parseMessage(socket.sent[3], ua);
+        test.strictEqual(refresh.method, 'SUBSCRIBE');
+        test.strictEqual(refresh.getHeader('Expires'), '0');
+
+        socket.reply(socket.sent[3], '200 OK', [CONTACT]);
+        socket.ondata(notify(request, '1234', 2, 'terminated;reason=timeout'));
+      }, 600);
+    });
+
+    ua.start();
+  }
+
+};
@@ -0,0 +1,117 @@
+require('./include/common');
+var net = require('net');
+var JsSIP = require('../');
+var Socket = require('../lib/Socket');
+
+
+var OPTIONS =
+  'OPTIONS sip:alice@jssip.net SIP/2.0\r\n' +
+  'Via: SIP/2.0/TCP 127.0.0.1;branch=z9hG4bK1234\r\n' +
+  'To: <sip:alice@jssip.net>\r\n' +
+  'From: <sip:bob@jssip.net>;tag=1234\r\n' +
+  'Call-ID: 1234\r\n' +
+  'CSeq: 1 OPTIONS\r\n' +
+  'Content-Length: 0\r\n' +
+  '\r\n';
+
+var MESSAGE =
+  'MESSAGE sip:alice@jssip.net SIP/2.0\r\n' +
+  'Via: SIP/2.0/TCP 127.0.0.1;branch=z9hG4bK5678\r\n' +
+  'To: <sip:alice@jssip.net>\r\n' +
+  'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+  'Call-ID: 5678\r\n' +
+  'CSeq: 1 MESSAGE\r\n' +
+  'Content-Type: text/plain\r\n' +
+  'l: 12\r\n' +
+  '\r\n' +
+  'Hola ñandú';
+
+
+module.exports = {
+
+  'new TcpSocket': function(test) {
+    var socket = new JsSIP.TcpSocket('sip:proxy.jssip.net');
+
+    test.strictEqual(Socket.isSocket(socket), true);
+    test.strictEqual(socket.via_transport, 'TCP');
+    test.strictEqual(socket.sip_uri, 'sip:proxy.jssip.net;transport=tcp');
+    test.strictEqual(socket.port, 5060);
+
+    socket = new JsSIP.TlsSocket('sips:proxy.jssip.net:5071');
+
+    test.strictEqual(Socket.isSocket(socket), true);
+    test.strictEqual(socket.via_transport, 'TLS');
+    test.strictEqual(socket.sip_uri, 'sip:proxy.jssip.net:5071;transport=tls');
+    test.strictEqual(socket.port, 5071);
+
+    test.throws(
+      function() {
+        new JsSIP.TcpSocket('sips:proxy.jssip.net');
+      },
+      TypeError
+    );
+    test.throws(
+      function() {
+        new JsSIP.TcpSocket('sip:proxy.jssip.net;transport=udp');
+      },
+      TypeError
+    );
+    test.throws(
+      function() {
+        new JsSIP.TlsSocket('ws://proxy.jssip.net');
+      },
+      TypeError
+    );
+
+    test.done();
+  },
+
+  'TcpSocket stream framing': function(test) {
+    var socket,
+      received = [],
+      server = net.createServer(function(connection) {
+        var data = Buffer.from('\r\n' + OPTIONS + MESSAGE + OPTIONS);
+
+        // Two messages and a half in the first chunk, the rest in the second one.
+        connection.write(data.slice(0, data.length - 10));
+        setTimeout(function() {
+          connection.write(data.slice(data.length - 10));
+        }, 10);
+
+        connection.on('data', function(data) {
+          test.strictEqual(data.toString(), 'OPTIONS');
+          connection.end();
+        });
+      });
+
+    server.listen(0, '127.0.0.1', function() {
+      socket = new JsSIP.TcpSocket('sip:127.0.0.1:' + server.address().port);
+
+      socket.onconnect = function() {
+        test.strictEqual(socket.isConnected(), true);
+      };
+
+      socket.ondata = function(data) {
+        received.push(data);
+
+        if (received.length === 4) {
+          test.deepEqual(received, ['\r\n', OPTIONS, MESSAGE, OPTIONS]);
+          test.strictEqual(JsSIP.Grammar.parse(received[2].split('\r\n')[0], 'Request_Response').method, 'MESSAGE');
+          test.strictEqual(socket.send('OPTIONS'), true);
+        }
+      };
+
+      socket.ondisconnect = function(error) {
+        test.strictEqual(error, false);
+        test.strictEqual(socket.isConnected(), false);
+        server.close();
+        test.done();
+      };
+
+      socket.connect();
+      test.strictEqual(socket.isConnecting(), true);
+      test.strictEqual(socket.send('OPTIONS'), false);
+    });
+  }
+
+};
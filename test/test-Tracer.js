@@ -0,0 +1,103 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var JsSIP = require('../');
+
+
+// HEPv3 chunks by type.
+function hepChunks(packet) {
+  var type, length,
+    chunks = {},
+    idx = 6;
+
+  while (idx < packet.length) {
+    type = (packet[idx + 2] << 8) | packet[idx + 3];
+    length = (packet[idx + 4] << 8) | packet[idx + 5];
+    chunks[type] = Array.prototype.slice.call(packet, idx + 6, idx + length);
+    idx += length;
+  }
+
+  return chunks;
+}
+
+
+module.exports = {
+
+  'sipMessage event and Tracer': function(test) {
+    var tracer,
+      socket = new FakeSocket('192.0.2.10', 8080),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: socket,
+        password: 'secret'
+      }),
+      events = [];
+
+    tracer = new JsSIP.Tracer(ua, { local_address: '198.51.100.1', local_port: 5555 });
+
+    ua.on('sipMessage', function(e) {
+      events.push(e);
+    });
+
+    socket.onrequest = function(request) {
+      if (!/^Authorization:/m.test(request)) {
+        socket.reply(request, '401 Unauthorized', ['WWW-Authenticate: Digest realm="jssip.net", nonce="abcd"']);
+      } else {
+        socket.reply(request, '200 OK', ['Expires: 600', request.match(/^Contact: .*$/m)[0]]);
+      }
+    };
+
+    ua.on('registered', function() {
+      var messages, json, packet, chunks,
+        call_id = events[0].parsed.call_id;
+
+      test.deepEqual(events.map(function(e) {
+        return e.direction + ' ' + (e.parsed.method) + ' ' + (e.parsed.status_code || '');
+      }), [
+        'outgoing REGISTER ',
+        'incoming REGISTER 401',
+        'outgoing REGISTER ',
+        'incoming REGISTER 200'
+      ]);
+      test.strictEqual(events[0].transport, ua.transport);
+      test.ok(events[0].timestamp instanceof Date);
+
+      // Authorization redacted.
+      test.ok(/^Authorization: Digest \[redacted\]$/m.test(events[2].raw));
+      test.strictEqual(events[2].parsed.getHeader('authorization'), 'Digest [redacted]');
+      test.strictEqual(events[2].raw.indexOf('secret'), -1);
+
+      messages = tracer.getMessages(call_id);
+      test.strictEqual(messages.length, 4);
+      test.strictEqual(tracer.getMessages('lalala').length, 0);
+      test.deepEqual(messages[0].src, { address: '198.51.100.1', port: 5555 });
+      test.deepEqual(messages[0].dst, { address: '192.0.2.10', port: 8080 });
+      test.deepEqual(messages[1].src, { address: '192.0.2.10', port: 8080 });
+
+      json = JSON.parse(tracer.exportJSON(call_id));
+      test.strictEqual(json.length, 4);
+      test.strictEqual(json[1].status_code, 401);
+      test.strictEqual(json[1].src, '192.0.2.10:8080');
+      test.strictEqual(json[1].raw, events[1].raw);
+
+      packet = tracer.exportHEP(call_id)[0];
+      chunks = hepChunks(packet);
+
+      test.strictEqual(String.fromCharCode.apply(null, Array.prototype.slice.call(packet, 0, 4)), 'HEP3');
+      test.strictEqual((packet[4] << 8) | packet[5], packet.length);
+      test.deepEqual(chunks[0x0002], [6]);
+      test.deepEqual(chunks[0x0003], [198, 51, 100, 1]);
+      test.deepEqual(chunks[0x0004], [192, 0, 2, 10]);
+      test.deepEqual(chunks[0x0008], [0x1f, 0x90]);
+      test.strictEqual(String.fromCharCode.apply(null, chunks[0x0011]), call_id);
+      test.strictEqual(String.fromCharCode.apply(null, chunks[0x000f]), events[0].raw);
+
+      tracer.stop();
+      socket.onrequest = function() {};
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
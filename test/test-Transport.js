@@ -0,0 +1,352 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var FakeWebRTC = require('./include/FakeWebRTC');
+var JsSIP = require('../');
+var Timers = require('../lib/Timers');
+var Transport = require('../lib/Transport');
+
+
+module.exports = {
+
+  'Transport keep-alive and flow failure': function(test) {
+    var socket = new FakeSocket(),
+      transport = new Transport({ socket: socket }),
+      keep_alive_timeout = Transport.C.keep_alive_timeout,
+      connects = 0,
+      disconnects = [];
+
+    Transport.C.keep_alive_timeout = 0.05;
+
+    transport.onconnecting = function() {};
+    transport.ondata = function() {};
+    transport.ondisconnect = function(e) {
+      if (e) { disconnects.push(e.reason); }
+    };
+
+    transport.onconnect = function() {
+      connects++;
+
+      if (connects === 1) {
+        transport.setKeepAliveInterval(0.01);
+
+        // First ping answered.
+        setTimeout(function() {
+          test.deepEqual(socket.sent, ['\r\n\r\n']);
+          socket.ondata('\r\n');
+        }, 20);
+      }
+
+      // Second ping not answered: the flow is recovered right away.
+      else {
+        test.deepEqual(socket.sent, ['\r\n\r\n', '\r\n\r\n']);
+        test.deepEqual(disconnects, ['flow failed']);
+        test.strictEqual(socket.connects, 2);
+
+        transport.disconnect();
+        Transport.C.keep_alive_timeout = keep_alive_timeout;
+        test.done();
+      }
+    };
+
+    transport.connect();
+  },
+
+  'Transport state and statistics': function(test) {
+    var socket = new FakeSocket(),
+      transport = new Transport({ socket: socket }, { min_interval: 0, max_interval: 0.01 }),
+      states = [],
+      connects = 0;
+
+    transport.onconnecting = function() {};
+    transport.ondisconnect = function() {};
+    transport.ondata = function() {};
+
+    transport.onstatechange = function(e) {
+      test.strictEqual(e.url, 'ws://localhost:12345');
+      states.push(e.previous_state + '>' + e.state + (e.error ? ':' + e.error.reason : ''));
+    };
+
+    test.strictEqual(transport.state, Transport.C.STATE_DISCONNECTED);
+
+    transport.onconnect = function() {
+      var stats;
+
+      connects++;
+
+      if (connects === 1) {
+        test.strictEqual(transport.send('OPTIONS sip:ñ@jssip.net SIP/2.0\r\n\r\n'), true);
+        socket.ondata('SIP/2.0 200 OK\r\n\r\n');
+        socket.ondata('\r\n\r\n');
+
+        // The socket fails.
+        socket.ondisconnect(true, 1006, 'gone');
+        return;
+      }
+
+      stats = transport.getStats();
+
+      test.strictEqual(stats.state, 'connected');
+      test.strictEqual(stats.url, 'ws://localhost:12345');
+      test.strictEqual(stats.messages_sent, 1);
+      test.strictEqual(stats.bytes_sent, 36);
+      test.strictEqual(stats.messages_received, 1);
+      test.strictEqual(stats.bytes_received, 18);
+      test.strictEqual(stats.reconnection_attempts, 1);
+      test.ok(stats.connected_since instanceof Date);
+      test.strictEqual(stats.last_error.url, 'ws://localhost:12345');
+      test.strictEqual(stats.last_error.code, 1006);
+      test.strictEqual(stats.last_error.reason, 'gone');
+
+      transport.disconnect();
+
+      test.deepEqual(states, [
+        'disconnected>connecting',
+        'connecting>connected',
+        'connected>recovering:gone',
+        'recovering>connecting',
+        'connecting>connected',
+        'connected>closed'
+      ]);
+      test.strictEqual(transport.getStats().connected_since, null);
+
+      test.done();
+    };
+
+    transport.connect();
+  },
+
+  'Transport failover policies': function(test) {
+    var a = new FakeSocket('a'),
+      b = new FakeSocket('b'),
+      c = new FakeSocket('c'),
+      sockets = [{ socket: a, weight: 1 }, { socket: b, weight: 2 }, { socket: c, weight: 2 }];
+
+    function run(policy, failures, callback) {
+      var transport = new Transport(sockets, { min_interval: 0, max_interval: 0 }, { policy: policy }),
+        urls = [];
+
+      transport.onconnecting = function() {};
+      transport.ondisconnect = function() {};
+      transport.ondata = function() {};
+
+      transport.onconnect = function() {
+        urls.push(transport.url.split(/[\/:]+/)[1]);
+
+        if (urls.length < failures + 1) {
+          transport.socket.ondisconnect(policy === 'priority');
+        } else {
+          transport.disconnect();
+          callback(urls);
+        }
+      };
+
+      transport.connect();
+    }
+
+    test.throws(
+      function() {
+        new Transport(sockets, null, { policy: 'lalala' });
+      },
+      TypeError
+    );
+
+    // Failed sockets are skipped until all of them have failed.
+    run('priority', 3, function(urls) {
+      test.deepEqual(urls, ['b', 'c', 'a', 'b']);
+
+      run('round-robin', 3, function(urls) {
+        test.deepEqual(urls, ['a', 'b', 'c', 'a']);
+        test.done();
+      });
+    });
+  },
+
+  'Transport sticky policy': function(test) {
+    var a = new FakeSocket('a'),
+      b = new FakeSocket('b'),
+      transport = new Transport([{ socket: a, weight: 1 }, { socket: b }], { min_interval: 0, max_interval: 0 },
+        { policy: 'sticky', probe_interval: 0.01 }),
+      previous = null,
+      used = true,
+      probes = 0,
+      received = [],
+      states = [],
+      urls = [];
+
+    a.fail = true;
+
+    transport.onconnecting = function() {};
+    transport.ondisconnect = function() {};
+
+    transport.ondata = function(e) {
+      received.push(e);
+    };
+
+    transport.onstatechange = function(e) {
+      states.push(e.state + ':' + e.url);
+    };
+
+    // Moved back once the preferred socket answers.
+    transport.onprobe = function(flow, callback) {
+      probes++;
+      test.strictEqual(flow.url, 'ws://a:12345');
+      test.ok(flow.send('OPTIONS'));
+      test.strictEqual(a.sent[a.sent.length - 1], 'OPTIONS');
+
+      callback(probes > 1);
+    };
+
+    transport.onswitch = function(flow) {
+      previous = flow;
+    };
+
+    transport.isFlowUsed = function(flow) {
+      test.strictEqual(flow, previous);
+      return used;
+    };
+
+    transport.onconnect = function() {
+      urls.push(transport.url);
+
+      if (urls.length === 1) {
+        test.strictEqual(transport.url, 'ws://b:12345');
+        a.fail = false;
+        return;
+      }
+
+      test.strictEqual(transport.url, 'ws://a:12345');
+      test.strictEqual(a.connects, 3);
+      test.strictEqual(probes, 2);
+      test.deepEqual(states, [
+        'connecting:ws://a:12345',
+        'recovering:ws://a:12345',
+        'connecting:ws://b:12345',
+        'connected:ws://b:12345',
+        'connecting:ws://a:12345',
+        'connected:ws://a:12345'
+      ]);
+
+      // The previous socket is kept while in use.
+      test.strictEqual(previous.url, 'ws://b:12345');
+      test.ok(previous.isConnected());
+      test.ok(previous.send('BYE'));
+      test.strictEqual(b.sent[b.sent.length - 1], 'BYE');
+
+      b.ondata('SIP/2.0 200 OK');
+      test.strictEqual(received.pop().transport, previous);
+      a.ondata('SIP/2.0 200 OK');
+      test.strictEqual(received.pop().transport, transport);
+
+      used = false;
+
+      setTimeout(function() {
+        test.ok(!previous.isConnected());
+        test.ok(!previous.send('BYE'));
+
+        // The new socket is used.
+        a.onconnect = null;
+        a.ondisconnect(true);
+        test.strictEqual(transport.state, 'recovering');
+
+        transport.disconnect();
+        test.done();
+      }, 50);
+    };
+
+    transport.connect();
+  },
+
+  'UA sticky policy': function(test) {
+    var a = new FakeSocket('a'),
+      b = new FakeSocket('b'),
+      ua = new JsSIP.UA({
+        uri: 'sip:alice@jssip.net',
+        sockets: [{ socket: a, weight: 2 }, { socket: b, weight: 1 }],
+        sockets_policy: 'sticky',
+        sockets_probe_interval: 0.01,
+        connection_recovery_min_interval: 1,
+        connection_recovery_max_interval: 1
+      }),
+      session = null,
+      timer_m = Timers.TIMER_M;
+
+    function method(request) {
+      return request.split(' ')[0];
+    }
+
+    FakeWebRTC.install();
+    Timers.TIMER_M = 10;
+    a.fail = true;
+
+    b.onrequest = function(request) {
+      switch (method(request)) {
+        case 'REGISTER':
+          b.reply(request, '200 OK', [request.match(/^Contact: .*$/m)[0] + ';expires=600']);
+          break;
+        case 'INVITE':
+          b.reply(request, '200 OK', [
+            'Contact: <sip:bob@192.0.2.20;transport=ws>',
+            'Content-Type: application/sdp'
+          ], FakeWebRTC.sdp('bob'));
+          break;
+        case 'BYE':
+          b.reply(request);
+
+          // Closed once the call is over.
+          setTimeout(function() {
+            test.ok(!ua.transport.flows.length);
+
+            Timers.TIMER_M = timer_m;
+            FakeWebRTC.restore();
+            ua.stop();
+            test.done();
+          }, 50);
+          break;
+      }
+    };
+
+    a.onrequest = function(request) {
+      switch (method(request)) {
+        // The preferred server is checked with OPTIONS.
+        case 'OPTIONS':
+          test.ok(request.indexOf('OPTIONS sip:a:12345;transport=ws SIP/2.0') === 0);
+          a.reply(request);
+          break;
+        // Registered again over the preferred socket, the call goes on over
+        // the previous one.
+        case 'REGISTER':
+          a.reply(request, '200 OK', [request.match(/^Contact: .*$/m)[0] + ';expires=600']);
+
+          // Not the un-REGISTER on stop.
+          if (session.isEnded()) {
+            return;
+          }
+
+          test.strictEqual(ua.transport.url, a.url);
+          test.strictEqual(ua.transport.flows.length, 1);
+          test.strictEqual(ua.transport.flows[0].url, b.url);
+
+          session.terminate();
+          test.strictEqual(method(b.sent[b.sent.length - 1]), 'BYE');
+          break;
+        default:
+          test.ok(false, 'unexpected ' + method(request) + ' over the preferred socket');
+      }
+    };
+
+    ua.on('registered', function() {
+      test.strictEqual(ua.transport.url, b.url);
+
+      session = ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: {
+          confirmed: function() {
+            a.fail = false;
+          }
+        }
+      });
+    });
+
+    ua.start();
+  }
+};
@@ -68,6 +68,89 @@ module.exports = {
     );
 
     ua.stop();
+    test.done();
+  },
+
+  'UA accounts': function(test) {
+    var ua = new JsSIP.UA(testUA.UA_CONFIGURATION),
+      account, message;
+
+    account = ua.addAccount({
+      uri: 'sip:bob@example.com',
+      password: '5678',
+      display_name: 'Bob',
+      register: false
+    });
+
+    test.strictEqual(account.id, 'sip:bob@example.com');
+    test.strictEqual(account.configuration.authorization_user, 'bob');
+    test.strictEqual(account.configuration.registrar_server.toString(), 'sip:example.com');
+    test.strictEqual(account.configuration.register_expires, 600);
+    test.strictEqual(ua.getAccount('sip:bob@example.com'), account);
+    test.strictEqual(ua.getAccount(account), account);
+
+    // Each account has its own Contact in the UA Contact host.
+    test.notStrictEqual(account.contact.uri.user, ua.contact.uri.user);
+    test.strictEqual(account.contact.uri.host, ua.contact.uri.host);
+    test.strictEqual(account.registrator().contact.indexOf(account.contact.toString()), 0);
+
+    // Incoming requests are routed by Request-URI.
+    test.strictEqual(ua.findAccount(account.contact.uri), account);
+    test.strictEqual(ua.findAccount(JsSIP.URI.parse('sip:bob@example.com')), account);
+    test.strictEqual(ua.findAccount(JsSIP.URI.parse('sip:bob@jssip.net')), null);
+
+    test.throws(
+      function() {
+        ua.addAccount({uri: 'sip:bob@example.com'});
+      },
+      JsSIP.Exceptions.ConfigurationError
+    );
+    test.throws(
+      function() {
+        ua.addAccount({uri: 'sip:example.com'});
+      },
+      JsSIP.Exceptions.ConfigurationError
+    );
+    test.throws(
+      function() {
+        ua.addAccount({uri: 'sip:alice@example.com', register_expires: -1});
+      },
+      JsSIP.Exceptions.ConfigurationError
+    );
+
+    // Credentials are checked as in the UA configuration.
+    test.strictEqual(account.set('password', null), false);
+    test.strictEqual(account.set('realm', ''), false);
+    test.strictEqual(account.set('ha1', undefined), false);
+    test.strictEqual(account.configuration.password, '5678');
+    test.strictEqual(account.set('realm', 'example.com'), true);
+    test.strictEqual(account.set('ha1', 'abcdef'), true);
+    test.strictEqual(account.configuration.ha1, 'abcdef');
+    test.strictEqual(account.configuration.password, null);
+    test.strictEqual(account.set('password', 5678), true);
+    test.strictEqual(account.configuration.password, '5678');
+
+    // Outgoing requests use the account identity.
+    message = ua.sendMessage('sip:carol@example.com', 'hi', {
+      account: 'sip:bob@example.com',
+      eventHandlers: { failed: function() {} }
+    });
+
+    test.strictEqual(message.request.account, account);
+    test.strictEqual(message.request.from.uri.toString(), 'sip:bob@example.com');
+    test.strictEqual(message.request.from.display_name, 'Bob');
+
+    test.throws(
+      function() {
+        ua.sendMessage('sip:carol@example.com', 'hi', {account: 'sip:nobody@example.com'});
+      },
+      TypeError
+    );
+
+    test.strictEqual(ua.removeAccount(account), true);
+    test.strictEqual(ua.removeAccount(account), false);
+    test.strictEqual(ua.getAccount('sip:bob@example.com'), null);
+
     test.done();
   }
 
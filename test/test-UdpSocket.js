@@ -0,0 +1,370 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var FakeWebRTC = require('./include/FakeWebRTC');
+var dgram = require('dgram');
+var net = require('net');
+var JsSIP = require('../');
+var Socket = require('../lib/Socket');
+var Timers = require('../lib/Timers');
+var Transactions = require('../lib/Transactions');
+var UdpSocket = require('../lib/UdpSocket');
+
+
+var OPTIONS =
+  'OPTIONS sip:alice@jssip.net SIP/2.0\r\n' +
+  'Via: SIP/2.0/UDP 192.0.2.1:5070;rport;branch=z9hG4bK1234\r\n' +
+  'To: <sip:alice@jssip.net>\r\n' +
+  'From: <sip:bob@jssip.net>;tag=1234\r\n' +
+  'Call-ID: 1234\r\n' +
+  'CSeq: 1 OPTIONS\r\n' +
+  'Content-Length: 0\r\n' +
+  '\r\n';
+
+// Shortened timers, restored with setTimers(previous).
+var TIMERS = {
+  T1: 10,
+  T2: 40,
+  TIMER_B: 640,
+  TIMER_F: 640,
+  TIMER_H: 300,
+  TIMER_D_UNRELIABLE: 50,
+  TIMER_I_UNRELIABLE: 50,
+  TIMER_J_UNRELIABLE: 50,
+  TIMER_K_UNRELIABLE: 50
+};
+
+function setTimers(values) {
+  var previous = {};
+
+  Object.keys(values).forEach(function(name) {
+    previous[name] = Timers[name];
+    Timers[name] = values[name];
+  });
+
+  return previous;
+}
+
+// FakeSocket over UDP: just the requests bigger than the UDP limit are sent
+// reliably (over TCP).
+function fakeUdpSocket() {
+  var socket = new FakeSocket();
+
+  socket.via_transport = 'UDP';
+  socket.sip_uri = 'sip:localhost:12345;transport=udp';
+  socket.tcpFallback = true;
+  socket.isReliable = UdpSocket.prototype.isReliable;
+
+  return socket;
+}
+
+// Number of sent messages with the given start line.
+function count(socket, start) {
+  return socket.sent.filter(function(message) {
+    return message.indexOf(start + ' ') === 0;
+  }).length;
+}
+
+// Request from bob.
+function request(method, branch, body) {
+  return method + ' sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/UDP 192.0.2.20;rport;branch=z9hG4bK' + branch + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>\r\n' +
+    'From: <sip:bob@jssip.net>;tag=5678\r\n' +
+    'Call-ID: ' + branch + '\r\n' +
+    'CSeq: 1 ' + method + '\r\n' +
+    'Contact: <sip:bob@192.0.2.20>\r\n' +
+    (body ? 'Content-Type: application/sdp\r\n' : '') +
+    'Content-Length: ' + (body ? body.length : 0) + '\r\n\r\n' +
+    (body || '');
+}
+
+
+module.exports = {
+
+  'new UdpSocket': function(test) {
+    var socket = new JsSIP.UdpSocket('sip:proxy.jssip.net');
+
+    test.strictEqual(Socket.isSocket(socket), true);
+    test.strictEqual(socket.via_transport, 'UDP');
+    test.strictEqual(socket.sip_uri, 'sip:proxy.jssip.net;transport=udp');
+    test.strictEqual(socket.port, 5060);
+
+    test.strictEqual(socket.isReliable(), false);
+    test.strictEqual(socket.isReliable(OPTIONS), false);
+    test.strictEqual(socket.isReliable(OPTIONS + new Array(1300).join('x')), true);
+    test.strictEqual(socket.isReliable('SIP/2.0 200 OK\r\n' + new Array(1300).join('x')), false);
+
+    test.throws(
+      function() {
+        new JsSIP.UdpSocket('sips:proxy.jssip.net');
+      },
+      TypeError
+    );
+    test.throws(
+      function() {
+        new JsSIP.UdpSocket('sip:proxy.jssip.net;transport=tcp');
+      },
+      TypeError
+    );
+
+    test.done();
+  },
+
+  'UdpSocket Via received and rport': function(test) {
+    var socket,
+      server = dgram.createSocket('udp4');
+
+    server.on('message', function(data, rinfo) {
+      test.strictEqual(data.toString().split('\r\n')[0], 'SIP/2.0 200 OK');
+      test.strictEqual(rinfo.port, socket.socket.address().port);
+      socket.disconnect();
+      server.close();
+      test.done();
+    });
+
+    server.bind(0, '127.0.0.1', function() {
+      socket = new JsSIP.UdpSocket('sip:127.0.0.1:' + server.address().port);
+
+      socket.onconnect = function() {
+        server.send(OPTIONS, socket.socket.address().port, '127.0.0.1');
+      };
+
+      socket.ondata = function(data) {
+        var via = data.match(/^Via: (.*)$/m)[1];
+
+        test.strictEqual(via, 'SIP/2.0/UDP 192.0.2.1:5070;branch=z9hG4bK1234' +
+          ';received=127.0.0.1;rport=' + server.address().port);
+
+        // The response goes to the received address and rport, not to the sent-by.
+        test.strictEqual(socket.send('SIP/2.0 200 OK\r\nVia: ' + via + '\r\n\r\n'), true);
+      };
+
+      socket.ondisconnect = function() {};
+
+      socket.connect();
+    });
+  },
+
+  'UdpSocket TCP fallback': function(test) {
+    var socket, udp_server,
+      tcp_server = net.createServer(),
+      big = OPTIONS.replace('Content-Length: 0', 'Content-Length: 1400') + new Array(1401).join('x');
+
+    tcp_server.on('connection', function(connection) {
+      var data = '';
+
+      connection.on('data', function(chunk) {
+        data += chunk.toString();
+
+        if (data.length < big.length) { return; }
+
+        // Sent over TCP, with the transport of the top Via changed accordingly.
+        test.strictEqual(data, big.replace('SIP/2.0/UDP', 'SIP/2.0/TCP'));
+
+        connection.destroy();
+        socket.disconnect();
+        udp_server.close();
+        tcp_server.close();
+        test.done();
+      });
+    });
+
+    // TCP and UDP servers on the same port.
+    tcp_server.listen(0, '127.0.0.1', function() {
+      udp_server = dgram.createSocket('udp4');
+
+      udp_server.on('message', function() {
+        test.ok(false, 'big request sent over UDP');
+      });
+
+      udp_server.bind(tcp_server.address().port, '127.0.0.1', function() {
+        socket = new JsSIP.UdpSocket('sip:127.0.0.1:' + tcp_server.address().port);
+
+        socket.onconnect = function() {
+          test.strictEqual(socket.send(big), true);
+        };
+        socket.ondata = function() {};
+        socket.ondisconnect = function() {};
+
+        socket.connect();
+      });
+    });
+  },
+
+  'Unreliable non INVITE client transaction': function(test) {
+    var socket = fakeUdpSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      previous = setTimers(TIMERS);
+
+    function done() {
+      setTimers(previous);
+      ua.stop();
+      test.done();
+    }
+
+    ua.on('connected', function() {
+      var sent;
+
+      ua.sendMessage('sip:bob@jssip.net', 'hi');
+
+      // RFC 3581.
+      test.ok(/^Via: SIP\/2\.0\/UDP [^;]+;branch=z9hG4bK[^;\r]+;rport\r$/m.test(socket.sent[0]));
+
+      // Timer E: retransmitted at 10, 30 and 70 ms.
+      setTimeout(function() {
+        sent = count(socket, 'MESSAGE');
+        test.ok(sent >= 3 && sent <= 5, 'MESSAGE sent ' + sent + ' times');
+
+        socket.reply(socket.sent[0], '200 OK');
+
+        // Timer K.
+        test.strictEqual(ua.nictTransactionsCount, 1);
+
+        setTimeout(function() {
+          test.strictEqual(count(socket, 'MESSAGE'), sent);
+          test.strictEqual(ua.nictTransactionsCount, 0);
+
+          bigMessage();
+        }, 100);
+      }, 100);
+    });
+
+    // Sent over TCP: no retransmissions and no Timer K.
+    function bigMessage() {
+      var request;
+
+      socket.sent = [];
+      ua.sendMessage('sip:bob@jssip.net', new Array(1401).join('x'));
+      request = socket.sent[0];
+
+      setTimeout(function() {
+        test.strictEqual(count(socket, 'MESSAGE'), 1);
+
+        socket.reply(request, '200 OK');
+
+        setTimeout(function() {
+          test.strictEqual(ua.nictTransactionsCount, 0);
+          done();
+        }, 10);
+      }, 100);
+    }
+
+    ua.start();
+  },
+
+  'Unreliable INVITE client transaction': function(test) {
+    var socket = fakeUdpSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      previous = setTimers(TIMERS);
+
+    FakeWebRTC.install();
+
+    ua.on('connected', function() {
+      var sent, invite;
+
+      ua.call('sip:bob@jssip.net', {
+        mediaConstraints: { audio: false, video: false },
+        eventHandlers: { failed: function() {} }
+      });
+      invite = socket.sent[0];
+
+      test.ok(/^Via: SIP\/2\.0\/UDP [^;]+;branch=z9hG4bK[^;\r]+;rport\r$/m.test(invite));
+
+      // Timer A: retransmitted at 10, 30 and 70 ms.
+      setTimeout(function() {
+        sent = count(socket, 'INVITE');
+        test.ok(sent >= 3 && sent <= 5, 'INVITE sent ' + sent + ' times');
+
+        socket.reply(invite, '486 Busy Here');
+        test.strictEqual(count(socket, 'ACK'), 1);
+
+        // Retransmissions of the final response are acknowledged again.
+        socket.reply(invite, '486 Busy Here');
+        test.strictEqual(count(socket, 'ACK'), 2);
+        test.strictEqual(socket.sent[socket.sent.length - 1], socket.sent[socket.sent.length - 2]);
+
+        // Timer D.
+        test.strictEqual(ua.ictTransactionsCount, 1);
+
+        setTimeout(function() {
+          test.strictEqual(count(socket, 'INVITE'), sent);
+          test.strictEqual(ua.ictTransactionsCount, 0);
+
+          setTimers(previous);
+          FakeWebRTC.restore();
+          ua.stop();
+          test.done();
+        }, 100);
+      }, 100);
+    });
+
+    ua.start();
+  },
+
+  'Unreliable server transactions': function(test) {
+    var socket = fakeUdpSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      previous = setTimers(TIMERS);
+
+    FakeWebRTC.install();
+
+    ua.on('newRTCSession', function(e) {
+      e.session.terminate({ status_code: 486 });
+    });
+
+    ua.on('connected', function() {
+      var sent;
+
+      // The response is sent again for retransmitted requests.
+      socket.ondata(request('MESSAGE', 'nist'));
+      test.strictEqual(count(socket, 'SIP/2.0'), 1);
+      socket.ondata(request('MESSAGE', 'nist'));
+      test.strictEqual(count(socket, 'SIP/2.0'), 2);
+      test.strictEqual(ua.nistTransactionsCount, 1);
+
+      socket.sent = [];
+      socket.ondata(request('INVITE', 'ist', FakeWebRTC.sdp('bob')));
+
+      // Timer G: the final response is retransmitted at 10, 30 and 70 ms.
+      setTimeout(function() {
+        var response = socket.sent[socket.sent.length - 1];
+
+        // Timer J.
+        test.strictEqual(ua.nistTransactionsCount, 0);
+
+        sent = count(socket, 'SIP/2.0 486');
+        test.ok(sent >= 4 && sent <= 6, '486 sent ' + sent + ' times');
+
+        // Also for retransmitted requests.
+        socket.ondata(request('INVITE', 'ist', FakeWebRTC.sdp('bob')));
+        test.strictEqual(count(socket, 'SIP/2.0 486'), sent + 1);
+        sent += 1;
+
+        socket.ondata(request('ACK', 'ist').replace(/^To: (.*)$/m, 'To: ' +
+          response.match(/^To: (.*)$/m)[1]));
+
+        // Timer I.
+        test.strictEqual(ua.transactions.ist.z9hG4bKist.state, Transactions.C.STATUS_CONFIRMED);
+
+        setTimeout(function() {
+          test.strictEqual(count(socket, 'SIP/2.0 486'), sent);
+          test.strictEqual(ua.transactions.ist.z9hG4bKist.state, Transactions.C.STATUS_TERMINATED);
+
+          // Timer H.
+          setTimeout(function() {
+            test.strictEqual(ua.istTransactionsCount, 0);
+
+            setTimers(previous);
+            FakeWebRTC.restore();
+            ua.stop();
+            test.done();
+          }, 150);
+        }, 100);
+      }, 100);
+    });
+
+    ua.start();
+  }
+
+};
@@ -1,5 +1,6 @@
 require('./include/common');
 var JsSIP = require('../');
+var Socket = require('../lib/Socket');
 
 
 module.exports = {
@@ -155,6 +156,69 @@ module.exports = {
     test.strictEqual(name2.display_name, '@ł€');
     test.strictEqual(name.user, undefined);
 
+    test.done();
+  },
+
+  'new NodeWebSocketInterface': function(test) {
+    var created = [];
+    var FakeWebSocket = function(url, protocols, options) {
+      created.push(this);
+      this.url = url;
+      this.protocols = protocols;
+      this.options = options;
+      this.readyState = 0;
+      this.sent = [];
+      this.send = function(data) { this.sent.push(data); };
+      this.close = function() { this.readyState = 3; };
+    };
+    var received = [];
+    var disconnected = [];
+
+    test.throws(
+      function() {
+        new JsSIP.NodeWebSocketInterface('http://jssip.net', { WebSocket: FakeWebSocket });
+      },
+      TypeError
+    );
+
+    var socket = new JsSIP.NodeWebSocketInterface('wss://jssip.net:8443/ws', {
+      WebSocket: FakeWebSocket,
+      requestHeaders: { 'Cookie': 'session=1234' },
+      tlsOptions: { rejectUnauthorized: false }
+    });
+
+    test.strictEqual(Socket.isSocket(socket), true);
+    test.strictEqual(socket.via_transport, 'WSS');
+    test.strictEqual(socket.sip_uri, 'sip:jssip.net:8443;transport=ws');
+
+    socket.onconnect = function() {};
+    socket.ondata = function(data) { received.push(data); };
+    socket.ondisconnect = function(error) { disconnected.push(error); };
+
+    socket.connect();
+    test.strictEqual(created.length, 1);
+    test.strictEqual(created[0].url, 'wss://jssip.net:8443/ws');
+    test.strictEqual(created[0].protocols, 'sip');
+    test.deepEqual(created[0].options, {
+      headers: { 'Cookie': 'session=1234' },
+      rejectUnauthorized: false
+    });
+    test.strictEqual(socket.isConnecting(), true);
+    test.strictEqual(socket.send('OPTIONS'), false);
+
+    created[0].readyState = 1;
+    created[0].onopen();
+    test.strictEqual(socket.isConnected(), true);
+    test.strictEqual(socket.send('OPTIONS'), true);
+    test.deepEqual(created[0].sent, ['OPTIONS']);
+
+    created[0].onmessage({ data: Buffer.from('SIP/2.0 200 OK') });
+    test.deepEqual(received, ['SIP/2.0 200 OK']);
+
+    created[0].onclose({ wasClean: false, code: 1006 });
+    test.deepEqual(disconnected, [true]);
+    test.strictEqual(socket.isConnected(), false);
+
     test.done();
   }
 
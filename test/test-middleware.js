@@ -0,0 +1,231 @@
+require('./include/common');
+var FakeSocket = require('./include/FakeSocket');
+var JsSIP = require('../');
+var Parser = require('../lib/Parser');
+var Transactions = require('../lib/Transactions');
+
+
+function message(call_id) {
+  return 'MESSAGE sip:alice@jssip.net SIP/2.0\r\n' +
+    'Via: SIP/2.0/WS 192.0.2.10;branch=z9hG4bK' + call_id + '\r\n' +
+    'Max-Forwards: 70\r\n' +
+    'To: <sip:alice@jssip.net>\r\n' +
+    'From: <sip:bob@jssip.net>;tag=1234\r\n' +
+    'Call-ID: ' + call_id + '\r\n' +
+    'CSeq: 1 MESSAGE\r\n' +
+    'Content-Type: text/plain\r\n' +
+    'Content-Length: 5\r\n\r\n' +
+    'hello';
+}
+
+
+module.exports = {
+
+  'UA.use() wrong middleware': function(test) {
+    var ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: new FakeSocket(), register: false });
+
+    test.throws(function() { ua.use(); }, TypeError);
+    test.throws(function() { ua.use({ lalala: function() {} }); }, TypeError);
+
+    test.done();
+  },
+
+  'Outgoing request middleware': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      order = [];
+
+    ua.use({
+      outgoingRequest: function(request, reply) {
+        order.push('first');
+        request.setHeader('X-Tenant', 'acme');
+
+        switch (request.body) {
+          case 'drop':
+            return false;
+          case 'reply':
+            reply(488, null, ['X-Reason: blocked']);
+            break;
+        }
+      }
+    });
+
+    ua.use({
+      outgoingRequest: function() {
+        order.push('second');
+      }
+    });
+
+    ua.on('connected', function() {
+      var failed = [];
+
+      ua.sendMessage('sip:bob@jssip.net', 'hello');
+
+      test.deepEqual(order, ['first', 'second']);
+      test.strictEqual(socket.sent.length, 1);
+      test.ok(/^X-Tenant: acme$/m.test(socket.sent[0]));
+
+      ua.sendMessage('sip:bob@jssip.net', 'drop', {
+        eventHandlers: {
+          failed: function(e) { failed.push(e); }
+        }
+      });
+
+      ua.sendMessage('sip:bob@jssip.net', 'reply', {
+        eventHandlers: {
+          failed: function(e) { failed.push(e); }
+        }
+      });
+
+      // Neither sent nor passed to the second middleware.
+      test.strictEqual(socket.sent.length, 1);
+      test.deepEqual(order, ['first', 'second', 'first', 'first']);
+
+      test.strictEqual(failed[0].originator, 'system');
+      test.strictEqual(failed[0].cause, JsSIP.C.causes.CONNECTION_ERROR);
+
+      test.strictEqual(failed[1].originator, 'remote');
+      test.strictEqual(failed[1].cause, JsSIP.C.causes.INCOMPATIBLE_SDP);
+      test.strictEqual(failed[1].response.status_code, 488);
+      test.strictEqual(failed[1].response.getHeader('X-Reason'), 'blocked');
+      test.ok(failed[1].response.to_tag);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Incoming request and outgoing response middleware': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      messages = [];
+
+    ua.use({
+      incomingRequest: function(request, reply) {
+        switch (request.call_id) {
+          case 'drop':
+            return false;
+          case 'reply':
+            reply(403, 'Not Here', ['Content-Type: text/plain'], 'go away');
+            break;
+          default:
+            request.setHeader('Content-Type', 'text/html');
+        }
+      },
+
+      outgoingResponse: function(response) {
+        response.setHeader('X-Tenant', 'acme');
+
+        if (response.call_id === 'drop-response') {
+          return false;
+        }
+      }
+    });
+
+    ua.on('newMessage', function(e) {
+      messages.push(e.request);
+    });
+
+    ua.on('connected', function() {
+      var response;
+
+      socket.ondata(message('drop'));
+      test.strictEqual(messages.length, 0);
+      test.strictEqual(socket.sent.length, 0);
+
+      socket.ondata(message('reply'));
+      test.strictEqual(messages.length, 0);
+      test.strictEqual(socket.sent.length, 1);
+
+      response = Parser.parseMessage(socket.sent[0], ua);
+      test.strictEqual(response.status_code, 403);
+      test.strictEqual(response.reason_phrase, 'Not Here');
+      test.strictEqual(response.getHeader('X-Tenant'), 'acme');
+      test.strictEqual(response.body, 'go away');
+      test.strictEqual(response.getHeader('Content-Length'), '7');
+
+      socket.ondata(message('rewrite'));
+      test.strictEqual(messages.length, 1);
+      test.strictEqual(messages[0].getHeader('Content-Type'), 'text/html');
+      test.strictEqual(socket.sent.length, 2);
+
+      response = Parser.parseMessage(socket.sent[1], ua);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.call_id, 'rewrite');
+      test.strictEqual(response.getHeader('X-Tenant'), 'acme');
+
+      // A final response cannot be dropped.
+      socket.ondata(message('drop-response'));
+      test.strictEqual(messages.length, 2);
+      test.strictEqual(socket.sent.length, 3);
+
+      response = Parser.parseMessage(socket.sent[2], ua);
+      test.strictEqual(response.status_code, 200);
+      test.strictEqual(response.getHeader('X-Tenant'), 'acme');
+
+      // A provisional one can: the 100 Trying is not sent (just the 405 as
+      // there is no WebRTC).
+      socket.ondata(message('drop-response').replace(/MESSAGE/g, 'INVITE'));
+      test.deepEqual(socket.sent.slice(3).map(function(raw) {
+        return Parser.parseMessage(raw, ua).status_code;
+      }), [405]);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  },
+
+  'Incoming response middleware': function(test) {
+    var socket = new FakeSocket(),
+      ua = new JsSIP.UA({ uri: 'sip:alice@jssip.net', sockets: socket, register: false }),
+      responses = [];
+
+    ua.use({
+      incomingResponse: function(response) {
+        if (response.status_code === 180) {
+          return false;
+        }
+        response.setHeader('X-Seen', 'yes');
+      }
+    });
+
+    ua.on('connected', function() {
+      var request, reply;
+
+      ua.sendMessage('sip:bob@jssip.net', 'hello', {
+        eventHandlers: {
+          succeeded: function(e) { responses.push(e.response); }
+        }
+      });
+
+      request = Parser.parseMessage(socket.sent[0], ua);
+
+      reply = function(status) {
+        return 'SIP/2.0 ' + status + '\r\n' +
+          'Via: ' + request.getHeader('via') + '\r\n' +
+          'To: ' + request.getHeader('to') + ';tag=abcd\r\n' +
+          'From: ' + request.getHeader('from') + '\r\n' +
+          'Call-ID: ' + request.call_id + '\r\n' +
+          'CSeq: ' + request.cseq + ' MESSAGE\r\n' +
+          'Content-Length: 0\r\n\r\n';
+      };
+
+      socket.ondata(reply('180 Ringing'));
+      test.strictEqual(ua.transactions.nict[request.via_branch].state, Transactions.C.STATUS_TRYING);
+
+      socket.ondata(reply('200 OK'));
+      test.strictEqual(responses.length, 1);
+      test.strictEqual(responses[0].getHeader('X-Seen'), 'yes');
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+  }
+
+};
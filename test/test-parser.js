@@ -309,6 +309,24 @@ module.exports = {
     test.strictEqual(parsed.to_tag, '03aq91cl9n');
     test.strictEqual(parsed.from_tag, 'kun98clbf7');
 
+    test.done();
+  },
+
+  'parse RSeq and RAck': function(test) {
+    var data, parsed;
+
+    data = '988789';
+    test.strictEqual(JsSIP.Grammar.parse(data, 'RSeq'), 988789);
+    test.strictEqual(JsSIP.Grammar.parse('abc', 'RSeq'), -1);
+
+    data = '776656  1  INVITE';
+    test.ok((parsed = JsSIP.Grammar.parse(data, 'RAck')) !== -1);
+    test.strictEqual(parsed.rseq, 776656);
+    test.strictEqual(parsed.cseq, 1);
+    test.strictEqual(parsed.method, 'INVITE');
+
+    test.strictEqual(JsSIP.Grammar.parse('776656 INVITE', 'RAck'), -1);
+
     test.done();
   }
 };
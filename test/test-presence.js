@@ -0,0 +1,106 @@
+require('./include/common');
+var Presence = require('../lib/Presence');
+
+
+module.exports = {
+
+  'build and parse PIDF': function(test) {
+    var body, presence;
+
+    body = Presence.build({
+      entity: 'sip:alice@jssip.net',
+      basic: 'open',
+      note: 'Lunch & coffee <back soon>',
+      activities: ['away', 'on-the-phone']
+    });
+
+    presence = Presence.parse(body);
+
+    test.strictEqual(presence.entity, 'sip:alice@jssip.net');
+    test.strictEqual(presence.basic, 'open');
+    test.strictEqual(presence.tuples.length, 1);
+    test.strictEqual(presence.tuples[0].basic, 'open');
+    test.deepEqual(presence.notes, ['Lunch & coffee <back soon>']);
+    test.deepEqual(presence.activities, ['away', 'on-the-phone']);
+
+    test.throws(
+      function() {
+        Presence.build({basic: 'open'});
+      },
+      TypeError
+    );
+    test.throws(
+      function() {
+        Presence.build({entity: 'sip:alice@jssip.net', activities: ['dancing']});
+      },
+      TypeError
+    );
+
+    test.done();
+  },
+
+  'parse PIDF with RPID': function(test) {
+    var presence = Presence.parse(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<presence xmlns="urn:ietf:params:xml:ns:pidf"\n' +
+      '    xmlns:dm="urn:ietf:params:xml:ns:pidf:data-model"\n' +
+      '    xmlns:rpid="urn:ietf:params:xml:ns:pidf:rpid"\n' +
+      '    entity="pres:bob@jssip.net">\n' +
+      '  <tuple id="t1">\n' +
+      '    <status><basic>closed</basic></status>\n' +
+      '    <contact priority="0.8">sip:bob@192.168.0.1</contact>\n' +
+      '  </tuple>\n' +
+      '  <tuple id=\'t2\'>\n' +
+      '    <status><basic>OPEN</basic></status>\n' +
+      '    <note xml:lang="en">Mobile</note>\n' +
+      '  </tuple>\n' +
+      '  <dm:person id="p1">\n' +
+      '    <rpid:activities><rpid:busy/><rpid:other>Coding</rpid:other></rpid:activities>\n' +
+      '    <dm:note><![CDATA[In a <meeting>]]></dm:note>\n' +
+      '  </dm:person>\n' +
+      '</presence>'
+    );
+
+    test.strictEqual(presence.entity, 'pres:bob@jssip.net');
+    test.strictEqual(presence.basic, 'open');
+    test.deepEqual(presence.tuples, [
+      {id: 't1', basic: 'closed', contact: 'sip:bob@192.168.0.1', notes: []},
+      {id: 't2', basic: 'open', contact: null, notes: ['Mobile']}
+    ]);
+    test.deepEqual(presence.notes, ['In a <meeting>']);
+    test.deepEqual(presence.activities, ['busy', 'Coding']);
+
+    test.strictEqual(Presence.parse('<presence><tuple></presence>'), null);
+    test.strictEqual(Presence.parse('<foo/>'), null);
+    test.strictEqual(Presence.parse('not xml'), null);
+
+    test.done();
+  },
+
+  'parse watcherinfo': function(test) {
+    var watcherinfo = Presence.parseWatcherInfo(
+      '<?xml version="1.0"?>\n' +
+      '<watcherinfo xmlns="urn:ietf:params:xml:ns:watcherinfo" version="3" state="full">\n' +
+      '  <watcher-list resource="sip:alice@jssip.net" package="presence">\n' +
+      '    <watcher id="w1" event="subscribe" status="pending" display-name="Bob">sip:bob@jssip.net</watcher>\n' +
+      '    <watcher id="w2" event="approved" status="active">sip:carol@jssip.net</watcher>\n' +
+      '  </watcher-list>\n' +
+      '</watcherinfo>'
+    );
+
+    test.strictEqual(watcherinfo.version, 3);
+    test.strictEqual(watcherinfo.state, 'full');
+    test.strictEqual(watcherinfo.lists.length, 1);
+    test.strictEqual(watcherinfo.lists[0].resource, 'sip:alice@jssip.net');
+    test.strictEqual(watcherinfo.lists[0].package, 'presence');
+    test.deepEqual(watcherinfo.lists[0].watchers, [
+      {id: 'w1', status: 'pending', event: 'subscribe', display_name: 'Bob', uri: 'sip:bob@jssip.net'},
+      {id: 'w2', status: 'active', event: 'approved', display_name: null, uri: 'sip:carol@jssip.net'}
+    ]);
+
+    test.strictEqual(Presence.parseWatcherInfo('<presence/>'), null);
+
+    test.done();
+  }
+
+};